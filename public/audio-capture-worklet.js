@@ -0,0 +1,50 @@
+/*
+ * AudioWorklet processor of ROS2AudioStreamer (src/ROS2AudioStreamer.js). It collects the 128 frame
+ * render quanta of its input into chunks of processorOptions.chunkFrames frames and posts them to the
+ * main thread as { channels: [Float32Array, ...], frame }, where frame is the context frame of the first sample.
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.chunkFrames = options.processorOptions.chunkFrames;
+        this.buffers = null;
+        this.filled = 0;
+        this.chunkStartFrame = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        // No input connected (yet), or the track has ended
+        if (!input || input.length === 0) {
+            return true;
+        }
+        if (!this.buffers || this.buffers.length !== input.length) {
+            this.buffers = input.map(() => new Float32Array(this.chunkFrames));
+            this.filled = 0;
+        }
+
+        let offset = 0;
+        const frames = input[0].length;
+        while (offset < frames) {
+            if (this.filled === 0) {
+                this.chunkStartFrame = currentFrame + offset;
+            }
+            const count = Math.min(frames - offset, this.chunkFrames - this.filled);
+            input.forEach((channel, index) => {
+                this.buffers[index].set(channel.subarray(offset, offset + count), this.filled);
+            });
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.chunkFrames) {
+                const channels = this.buffers;
+                this.port.postMessage({ channels, frame: this.chunkStartFrame }, channels.map((channel) => channel.buffer));
+                this.buffers = input.map(() => new Float32Array(this.chunkFrames));
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -0,0 +1,11 @@
+// Runtime configuration of the operator app. Replace this file on deployment instead of rebuilding.
+// Use wss:// and https:// URLs when the servers are started with tls.cert and tls.key.
+window.APP_CONFIG = {
+    signalingUrl: 'ws://localhost:8090',
+    publisherUrl: 'ws://localhost:8092',
+    bridgeUrl: 'ws://localhost:8093',
+    recordingsUrl: 'http://localhost:8091/recordings',
+    topic: '/camera/image_raw/compressed',
+    audioTopic: '/audio',
+    frameId: 'camera_frame'
+};
@@ -0,0 +1,30 @@
+/*
+ * Web Worker of FrameEncoder (src/FrameEncoder.js). Draws the ImageBitmaps of captured video frames
+ * onto an OffscreenCanvas and encodes them, so the UI thread does neither.
+ *
+ * In:  { id, bitmap, width, height, type, quality }
+ * Out: { id, blob } or { id, error }
+ */
+let canvas = null;
+let context = null;
+
+self.onmessage = async (event) => {
+    const { id, bitmap, width, height, type, quality } = event.data;
+    try {
+        if (!canvas) {
+            canvas = new OffscreenCanvas(width, height);
+            context = canvas.getContext('2d');
+        }
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+        const blob = await canvas.convertToBlob({ type, quality });
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        bitmap.close();
+    }
+};
@@ -0,0 +1,65 @@
+/*
+ * Turns the PCM chunks sent by the operator app (see src/ROS2AudioStreamer.js) into
+ * audio_common_msgs/AudioStamped messages.
+ */
+
+// audio_common_msgs/AudioInfo formats, the PortAudio sample format constants
+const FORMATS = {
+    pcm_s16le: 8, // paInt16
+};
+
+/**
+* Builds the AudioStamped message for a chunk, but will throw an exception if the chunk is malformed
+* @param {Object} chunk { audioData (base64), encoding, sampleRate, channels } as sent by the app
+* @param {Object} options frameId and stamp of the header, the stamp of the chunk's captureTime, see stampFrame
+* @returns {Object} The audio_common_msgs/AudioStamped message
+*/
+function createAudioMessage(chunk, { frameId, stamp }) {
+    const format = FORMATS[chunk.encoding];
+    if (format === undefined) {
+        throw new Error(`Unsupported audio encoding '${chunk.encoding}'`);
+    }
+    if (!Number.isInteger(chunk.sampleRate) || chunk.sampleRate <= 0) {
+        throw new Error(`Invalid audio sample rate ${chunk.sampleRate}`);
+    }
+    if (!Number.isInteger(chunk.channels) || chunk.channels <= 0) {
+        throw new Error(`Invalid audio channel count ${chunk.channels}`);
+    }
+
+    const pcm = Buffer.from(chunk.audioData || '', 'base64');
+    const frameBytes = 2 * chunk.channels;
+    if (pcm.length % frameBytes !== 0) {
+        throw new Error(`Audio chunk of ${pcm.length} bytes does not hold whole frames of ${chunk.channels} channels`);
+    }
+    const samples = new Array(pcm.length / 2);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2);
+    }
+
+    return {
+        header: {
+            stamp,
+            frame_id: frameId,
+        },
+        audio: {
+            audio_data: {
+                float32_data: [],
+                int32_data: [],
+                int16_data: samples,
+                int8_data: [],
+                uint8_data: [],
+            },
+            info: {
+                format,
+                channels: chunk.channels,
+                rate: chunk.sampleRate,
+                chunk: pcm.length / frameBytes,
+            },
+        },
+    };
+}
+
+module.exports = {
+    FORMATS,
+    createAudioMessage,
+};
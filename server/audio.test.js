@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+const { FORMATS, createAudioMessage } = require('./audio');
+
+const pcm = (...samples) => {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+    return buffer.toString('base64');
+};
+
+const chunk = {
+    droneID: 'drone1',
+    audioData: pcm(0, -1, 32767, -32768),
+    encoding: 'pcm_s16le',
+    sampleRate: 48000,
+    channels: 2,
+    frames: 2,
+    captureTime: 1700000000250,
+    sequence: 7,
+};
+
+describe('audio messages', () => {
+    test('carry the samples with sample rate, channel count and stamp', () => {
+        const stamp = { sec: 1700000000, nanosec: 250000000 };
+        const message = createAudioMessage(chunk, { frameId: 'drone1/camera_frame', stamp });
+        expect(message.header).toEqual({ stamp, frame_id: 'drone1/camera_frame' });
+        expect(message.audio.info).toEqual({ format: FORMATS.pcm_s16le, channels: 2, rate: 48000, chunk: 2 });
+        expect(message.audio.audio_data.int16_data).toEqual([0, -1, 32767, -32768]);
+        expect(message.audio.audio_data.float32_data).toEqual([]);
+    });
+
+    test('reject chunks that are not whole frames', () => {
+        expect(() => createAudioMessage({ ...chunk, audioData: pcm(1, 2, 3) }, { frameId: 'f' }))
+            .toThrow(/does not hold whole frames of 2 channels/);
+    });
+
+    test('reject unknown encodings and invalid formats', () => {
+        expect(() => createAudioMessage({ ...chunk, encoding: 'opus' }, { frameId: 'f' })).toThrow(/Unsupported audio encoding/);
+        expect(() => createAudioMessage({ ...chunk, sampleRate: 0 }, { frameId: 'f' })).toThrow(/sample rate/);
+        expect(() => createAudioMessage({ ...chunk, channels: 1.5 }, { frameId: 'f' })).toThrow(/channel count/);
+    });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROLES } = require('./peerRegistry');
+
+const DEFAULT_KEY_FILE = path.join(__dirname, 'signaling.key');
+const DEFAULT_TOKEN_TTL = 12 * 60 * 60; // seconds
+// Role of tokens accepted by the HTTP admin API
+const ADMIN_ROLE = 'admin';
+
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AuthError";
+    }
+}
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+* Returns the HMAC secret used to sign tokens. The secret is read from SIGNALING_SECRET,
+* or from the key file, which is generated on first use if it does not exist yet.
+* @param {String} [keyFile] Path of the key file
+* @returns {String} The shared secret
+*/
+function loadSecret(keyFile = process.env.SIGNALING_KEY_FILE || DEFAULT_KEY_FILE) {
+    if (process.env.SIGNALING_SECRET) {
+        return process.env.SIGNALING_SECRET;
+    }
+    if (!fs.existsSync(keyFile)) {
+        fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+        console.log('Generated new signaling key in', keyFile);
+    }
+    return fs.readFileSync(keyFile, 'utf8').trim();
+}
+
+/**
+* Creates a signed token of the form `<payload>.<signature>`
+* @param {Object} claims The role and name the token grants
+* @param {String} secret The shared secret
+* @param {Number} [ttl] Lifetime of the token in seconds
+* @returns {String} The signed token
+*/
+function createToken({ role, name }, secret, ttl = DEFAULT_TOKEN_TTL) {
+    const payload = base64url(JSON.stringify({
+        role,
+        name,
+        exp: Math.floor(Date.now() / 1000) + ttl,
+    }));
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+* Verifies a token and returns its claims, but will throw an AuthError if it is invalid
+* @param {String} token The token presented by the client
+* @param {String} secret The shared secret
+* @returns {Object} The role, name and expiry encoded in the token
+*/
+function verifyToken(token, secret) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        throw new AuthError('Missing or malformed token');
+    }
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AuthError('Invalid token signature');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError('Malformed token payload');
+    }
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+        throw new AuthError('Token expired');
+    }
+    return claims;
+}
+
+/**
+* Decides whether one peer may send signaling messages to another. Only drones and operators
+* talk to each other, never two peers of the same role.
+* @param {Object} from The sending peer
+* @param {Object} to The target peer
+* @returns {Boolean} true if the message may be relayed
+*/
+function canSignal(from, to) {
+    if (!from.claims || !to.claims) {
+        return false;
+    }
+    const roles = [from.claims.role, to.claims.role].sort();
+    return roles[0] === 'drone' && roles[1] === 'operator';
+}
+
+// Mint a token from the command line: node server/auth.js <role> <name> [ttl seconds]
+if (require.main === module) {
+    const [role, name, ttl] = process.argv.slice(2);
+    if (![...ROLES, ADMIN_ROLE].includes(role) || !name) {
+        console.error(`Usage: node server/auth.js <${[...ROLES, ADMIN_ROLE].join('|')}> <name> [ttl seconds]`);
+        process.exit(1);
+    }
+    console.log(createToken({ role, name }, loadSecret(), ttl ? Number(ttl) : undefined));
+}
+
+module.exports = {
+    ADMIN_ROLE,
+    AuthError,
+    loadSecret,
+    createToken,
+    verifyToken,
+    canSignal,
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const debug = require('debug')(`${process.env.APPNAME}:cameraInfo`);
+
+/*
+ * Camera calibrations in the YAML format of the ROS camera_calibration package, one file per camera
+ * named <camera_name>.yaml, and the sensor_msgs/CameraInfo messages published next to the images.
+ */
+
+// Sizes of the matrices of a calibration, rows x cols
+const MATRICES = {
+    camera_matrix: [3, 3],
+    rectification_matrix: [3, 3],
+    projection_matrix: [3, 4],
+};
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+const readMatrix = (calibration, key, rows, cols) => {
+    const matrix = calibration[key];
+    const data = matrix && matrix.data;
+    if (!Array.isArray(data) || data.length !== rows * cols || !data.every(Number.isFinite)) {
+        throw new Error(`Calibration ${key} must hold ${rows}x${cols} numbers`);
+    }
+    return data;
+};
+
+/**
+* Parses a camera_calibration YAML file, but will throw an exception if it is malformed
+* @param {String} text The contents of the file
+* @returns {Object} { cameraName, width, height, distortionModel, d, k, r, p }
+*/
+function parseCalibration(text) {
+    const calibration = yaml.safeLoad(text);
+    if (!calibration || typeof calibration !== 'object') {
+        throw new Error('Calibration is not a YAML mapping');
+    }
+    const { image_width: width, image_height: height } = calibration;
+    if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+        throw new Error(`Calibration image size ${width}x${height} is invalid`);
+    }
+    const distortion = calibration.distortion_coefficients;
+    const d = (distortion && distortion.data) || [];
+    if (!Array.isArray(d) || !d.every(Number.isFinite)) {
+        throw new Error('Calibration distortion_coefficients must be numbers');
+    }
+    return {
+        cameraName: calibration.camera_name || '',
+        width,
+        height,
+        distortionModel: calibration.distortion_model || 'plumb_bob',
+        d,
+        k: readMatrix(calibration, 'camera_matrix', ...MATRICES.camera_matrix),
+        r: calibration.rectification_matrix ? readMatrix(calibration, 'rectification_matrix', ...MATRICES.rectification_matrix) : IDENTITY,
+        p: readMatrix(calibration, 'projection_matrix', ...MATRICES.projection_matrix),
+    };
+}
+
+const formatMatrix = (name, rows, cols, data) => [
+    `${name}:`,
+    `  rows: ${rows}`,
+    `  cols: ${cols}`,
+    `  data: [${Array.from(data).join(', ')}]`,
+].join('\n');
+
+/**
+* Formats a CameraInfo as a camera_calibration YAML file, as camera_calibration writes them
+* @param {Object} cameraInfo The sensor_msgs/CameraInfo sent to set_camera_info
+* @param {String} cameraName The name of the camera
+* @returns {String} The contents of the file
+*/
+function formatCalibration(cameraInfo, cameraName) {
+    const d = Array.from(cameraInfo.d || []);
+    return [
+        `image_width: ${cameraInfo.width}`,
+        `image_height: ${cameraInfo.height}`,
+        `camera_name: ${cameraName}`,
+        formatMatrix('camera_matrix', 3, 3, cameraInfo.k),
+        `distortion_model: ${cameraInfo.distortion_model || 'plumb_bob'}`,
+        formatMatrix('distortion_coefficients', 1, d.length, d),
+        formatMatrix('rectification_matrix', 3, 3, cameraInfo.r),
+        formatMatrix('projection_matrix', 3, 4, cameraInfo.p),
+        '',
+    ].join('\n');
+}
+
+/**
+* Builds the CameraInfo of an image. The intrinsics are scaled from the calibrated image size to the
+* size of the image, which the operator app scales down before sending.
+* @param {Object|null} calibration As returned by parseCalibration, null for an uncalibrated camera
+* @param {Object} size width and height of the image
+* @param {Object} header The header of the image, so the two match
+* @returns {Object} The sensor_msgs/CameraInfo message
+*/
+function createCameraInfoMessage(calibration, { width, height }, header) {
+    const message = {
+        header,
+        height,
+        width,
+        distortion_model: '',
+        d: [],
+        k: new Array(9).fill(0),
+        r: new Array(9).fill(0),
+        p: new Array(12).fill(0),
+        binning_x: 0,
+        binning_y: 0,
+        roi: { x_offset: 0, y_offset: 0, height: 0, width: 0, do_rectify: false },
+    };
+    if (!calibration) {
+        return message;
+    }
+
+    // As image_proc's resize scales them
+    const scaleX = width / calibration.width;
+    const scaleY = height / calibration.height;
+    const k = calibration.k.slice();
+    k[0] *= scaleX;
+    k[2] *= scaleX;
+    k[4] *= scaleY;
+    k[5] *= scaleY;
+    const p = calibration.p.slice();
+    p[0] *= scaleX;
+    p[2] *= scaleX;
+    p[3] *= scaleX;
+    p[5] *= scaleY;
+    p[6] *= scaleY;
+    return {
+        ...message,
+        distortion_model: calibration.distortionModel,
+        d: calibration.d.slice(),
+        k,
+        r: calibration.r.slice(),
+        p,
+    };
+}
+
+/**
+ * CalibrationStore reads and writes the calibration files of the cameras in a directory
+ */
+class CalibrationStore {
+    /**
+    * @param {String} dir The directory, created when the first calibration is written
+    */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    file(cameraName) {
+        if (!/^[A-Za-z0-9_]+$/.test(cameraName)) {
+            throw new Error(`Invalid camera name '${cameraName}'`);
+        }
+        return path.join(this.dir, `${cameraName}.yaml`);
+    }
+
+    /**
+    * Loads the calibration of a camera, but will throw an exception if its file is malformed
+    * @param {String} cameraName The name of the camera
+    * @returns {Object|null} The calibration, see parseCalibration, or null if the camera has none
+    */
+    load(cameraName) {
+        const file = this.file(cameraName);
+        if (!fs.existsSync(file)) {
+            debug(`No calibration for ${cameraName} in ${file}`);
+            return null;
+        }
+        return parseCalibration(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+    * Writes the calibration of a camera, replacing the file at once so readers never see half of it
+    * @param {String} cameraName The name of the camera
+    * @param {Object} cameraInfo The sensor_msgs/CameraInfo to save
+    * @returns {Promise<Object>} The calibration as it will be loaded
+    */
+    async save(cameraName, cameraInfo) {
+        const file = this.file(cameraName);
+        const text = formatCalibration(cameraInfo, cameraName);
+        const calibration = parseCalibration(text);
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, text);
+        await fs.promises.rename(`${file}.tmp`, file);
+        console.log(`Calibration of ${cameraName} written to ${file}`);
+        return calibration;
+    }
+}
+
+module.exports = {
+    parseCalibration,
+    formatCalibration,
+    createCameraInfoMessage,
+    CalibrationStore,
+};
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCalibration, formatCalibration, createCameraInfoMessage, CalibrationStore } = require('./cameraInfo');
+
+// As camera_calibration writes them
+const CALIBRATION = `image_width: 1280
+image_height: 720
+camera_name: drone1
+camera_matrix:
+  rows: 3
+  cols: 3
+  data: [900.5, 0, 640.2, 0, 901.5, 360.7, 0, 0, 1]
+distortion_model: plumb_bob
+distortion_coefficients:
+  rows: 1
+  cols: 5
+  data: [-0.1, 0.05, 0.001, -0.002, 0]
+rectification_matrix:
+  rows: 3
+  cols: 3
+  data: [1, 0, 0, 0, 1, 0, 0, 0, 1]
+projection_matrix:
+  rows: 3
+  cols: 4
+  data: [880, 0, 641, 10, 0, 882, 359, 0, 0, 0, 1, 0]
+`;
+
+const header = { stamp: { sec: 1700000000, nanosec: 5e8 }, frame_id: 'drone1/camera_frame' };
+
+describe('calibrations', () => {
+    test('are read from camera_calibration YAML', () => {
+        expect(parseCalibration(CALIBRATION)).toEqual({
+            cameraName: 'drone1',
+            width: 1280,
+            height: 720,
+            distortionModel: 'plumb_bob',
+            d: [-0.1, 0.05, 0.001, -0.002, 0],
+            k: [900.5, 0, 640.2, 0, 901.5, 360.7, 0, 0, 1],
+            r: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+            p: [880, 0, 641, 10, 0, 882, 359, 0, 0, 0, 1, 0],
+        });
+    });
+
+    test('reject files that are not calibrations', () => {
+        expect(() => parseCalibration('just text')).toThrow(/not a YAML mapping/);
+        expect(() => parseCalibration(CALIBRATION.replace('image_width: 1280', 'image_width: 0'))).toThrow(/image size/);
+        expect(() => parseCalibration(CALIBRATION.replace('0, 0, 1]\ndistortion', '0, 1]\ndistortion'))).toThrow(/camera_matrix/);
+    });
+
+    test('written from a CameraInfo read back the same', () => {
+        const message = createCameraInfoMessage(parseCalibration(CALIBRATION), { width: 1280, height: 720 }, header);
+        expect(parseCalibration(formatCalibration(message, 'drone1'))).toEqual(parseCalibration(CALIBRATION));
+    });
+});
+
+describe('CameraInfo messages', () => {
+    test('scale the intrinsics to the size of the frame', () => {
+        const message = createCameraInfoMessage(parseCalibration(CALIBRATION), { width: 640, height: 360 }, header);
+        expect(message).toMatchObject({ header, width: 640, height: 360, distortion_model: 'plumb_bob', binning_x: 0, binning_y: 0 });
+        expect(message.k).toEqual([450.25, 0, 320.1, 0, 450.75, 180.35, 0, 0, 1]);
+        expect(message.p).toEqual([440, 0, 320.5, 5, 0, 441, 179.5, 0, 0, 0, 1, 0]);
+        // Distortion and rectification do not depend on the image size
+        expect(message.d).toEqual([-0.1, 0.05, 0.001, -0.002, 0]);
+        expect(message.r).toEqual([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    });
+
+    test('of uncalibrated cameras only have the frame size', () => {
+        const message = createCameraInfoMessage(null, { width: 320, height: 240 }, header);
+        expect(message).toMatchObject({ header, width: 320, height: 240, distortion_model: '', d: [] });
+        expect(message.k).toEqual(new Array(9).fill(0));
+        expect(message.p).toEqual(new Array(12).fill(0));
+    });
+});
+
+describe('CalibrationStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-info-'));
+        store = new CalibrationStore(path.join(dir, 'calibrations'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('saves calibrations per camera and loads them back', async () => {
+        expect(store.load('drone1')).toBeNull();
+        const message = createCameraInfoMessage(parseCalibration(CALIBRATION), { width: 1280, height: 720 }, header);
+        const saved = await store.save('drone1', message);
+        expect(saved).toEqual(parseCalibration(CALIBRATION));
+        expect(store.load('drone1')).toEqual(saved);
+        expect(fs.readdirSync(store.dir)).toEqual(['drone1.yaml']);
+    });
+
+    test('rejects camera names that are not file names', async () => {
+        expect(() => store.load('../drone1')).toThrow(/Invalid camera name/);
+        await expect(store.save('', {})).rejects.toThrow(/Invalid camera name/);
+    });
+});
@@ -0,0 +1,119 @@
+const { performance } = require('perf_hooks');
+
+/*
+ * Clock synchronization with the operator app. The app measures the offset and drift of the publisher's
+ * clock in NTP-style exchanges (see src/ClockSync.js):
+ *
+ *   app       { type: 'time_sync', data: { id, t0 } }
+ *   publisher { type: 'time_sync', data: { id, t0, t1, t2 } }  t1 received, t2 answered, in the publisher's clock
+ *   app       { type: 'clock', data: { offsetMs, driftPpm, referenceTime, rttMs } }
+ *
+ * and the publisher converts the capture times of the frames that follow the estimate with it. Frames of
+ * apps that never sent one are stamped with the time they arrived, as their clock may be anything.
+ */
+
+// Offsets and drifts beyond these are not clocks being off but a broken estimate
+const MAX_OFFSET_MS = 365 * 24 * 3600 * 1000;
+const MAX_DRIFT_PPM = 1000;
+
+/**
+* The publisher's clock for the exchanges: ms since the epoch, with sub-ms resolution and without the jumps
+* of Date.now() when the system clock is set
+* @returns {Number} The time
+*/
+const now = () => performance.timeOrigin + performance.now();
+
+/**
+* Answers a time_sync request of an app
+* @param {Object} request { id, t0 } as sent by the app
+* @param {Number} receiveTime When the request arrived, see now
+* @returns {Object} The time_sync message to send back
+*/
+function answerTimeSync({ id, t0 }, receiveTime) {
+    return { type: 'time_sync', data: { id, t0, t1: receiveTime, t2: now() } };
+}
+
+/**
+* Converts ms since the epoch to a builtin_interfaces/Time
+* @param {Number} time The time in ms
+* @returns {Object} { sec, nanosec }
+*/
+function toStamp(time) {
+    const sec = Math.floor(time / 1000);
+    return { sec, nanosec: Math.min(999999999, Math.round((time - sec * 1000) * 1e6)) };
+}
+
+/**
+ * ClientClock holds the latest clock estimate of a connection and converts its capture times
+ */
+class ClientClock {
+    constructor() {
+        this.estimate = null;
+    }
+
+    /**
+    * Takes a new estimate in, but will throw an exception if it is not one
+    * @param {Object} estimate { offsetMs, driftPpm, referenceTime, rttMs } as sent by the app
+    */
+    update({ offsetMs, driftPpm = 0, referenceTime, rttMs = null }) {
+        if (!Number.isFinite(offsetMs) || Math.abs(offsetMs) > MAX_OFFSET_MS) {
+            throw new Error(`Invalid clock offset ${offsetMs}`);
+        }
+        if (!Number.isFinite(driftPpm) || Math.abs(driftPpm) > MAX_DRIFT_PPM) {
+            throw new Error(`Invalid clock drift ${driftPpm}`);
+        }
+        if (!Number.isFinite(referenceTime)) {
+            throw new Error(`Invalid clock reference time ${referenceTime}`);
+        }
+        this.estimate = { offsetMs, driftPpm, referenceTime, rttMs };
+    }
+
+    isSynced() {
+        return this.estimate !== null;
+    }
+
+    /**
+    * Converts a time of the app's clock to the publisher's
+    * @param {Number} time ms since the epoch in the app's clock
+    * @returns {Number} The time in the publisher's clock
+    */
+    toServerTime(time) {
+        const { offsetMs, driftPpm, referenceTime } = this.estimate;
+        return time + offsetMs + driftPpm * 1e-6 * (time - referenceTime);
+    }
+
+    getState() {
+        return this.estimate ? { synced: true, ...this.estimate } : { synced: false };
+    }
+}
+
+/**
+* Works out the stamp of a frame. Frames of synchronized apps are stamped with their capture time: their age
+* in the publisher's clock is taken off the current ROS time, which is the simulation time with use_sim_time.
+* The others are stamped with the current ROS time.
+* @param {Object} times
+* @param {Number} [times.captureTime] When the frame was captured, in the app's clock
+* @param {ClientClock} [times.clock] The clock estimate of the app
+* @param {Number} times.serverTime The current time, see now
+* @param {Number} times.rosTime The current ROS time, in ms
+* @returns {Object} { stamp, latencyMs } where latencyMs is the age of the frame, null without a capture time
+*/
+function stampFrame({ captureTime, clock, serverTime, rosTime }) {
+    if (!Number.isFinite(captureTime)) {
+        return { stamp: toStamp(rosTime), latencyMs: null };
+    }
+    if (!clock || !clock.isSynced()) {
+        return { stamp: toStamp(rosTime), latencyMs: serverTime - captureTime };
+    }
+    // An estimate a little off can put the capture in the future
+    const age = Math.max(0, serverTime - clock.toServerTime(captureTime));
+    return { stamp: toStamp(Math.max(0, rosTime - age)), latencyMs: age };
+}
+
+module.exports = {
+    now,
+    answerTimeSync,
+    toStamp,
+    ClientClock,
+    stampFrame,
+};
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+const { now, answerTimeSync, toStamp, ClientClock, stampFrame } = require('./clockSync');
+
+const synced = (estimate) => {
+    const clock = new ClientClock();
+    clock.update(estimate);
+    return clock;
+};
+
+describe('time_sync', () => {
+    test('is answered with the times the request came and went', () => {
+        const receiveTime = now();
+        const { type, data } = answerTimeSync({ id: 3, t0: 1700000000000.25 }, receiveTime);
+        expect(type).toBe('time_sync');
+        expect(data).toMatchObject({ id: 3, t0: 1700000000000.25, t1: receiveTime });
+        expect(data.t2).toBeGreaterThanOrEqual(receiveTime);
+        expect(Math.abs(data.t2 - Date.now())).toBeLessThan(1000);
+    });
+});
+
+describe('ClientClock', () => {
+    test('converts capture times with the offset and drift of the estimate', () => {
+        const clock = synced({ offsetMs: -2000, driftPpm: 100, referenceTime: 1700000000000, rttMs: 12 });
+        expect(clock.toServerTime(1700000000000)).toBe(1699999998000);
+        // 100 ppm over 10 s is a millisecond
+        expect(clock.toServerTime(1700000010000)).toBeCloseTo(1700000008001, 6);
+        expect(clock.getState()).toEqual({ synced: true, offsetMs: -2000, driftPpm: 100, referenceTime: 1700000000000, rttMs: 12 });
+    });
+
+    test('rejects estimates that are not clocks', () => {
+        const clock = new ClientClock();
+        expect(() => clock.update({ offsetMs: 'soon', referenceTime: 0 })).toThrow(/offset/);
+        expect(() => clock.update({ offsetMs: 0, driftPpm: 5000, referenceTime: 0 })).toThrow(/drift/);
+        expect(() => clock.update({ offsetMs: 0 })).toThrow(/reference time/);
+        expect(clock.getState()).toEqual({ synced: false });
+    });
+});
+
+describe('frame stamps', () => {
+    const serverTime = 1700000000500;
+
+    test('are the capture time of frames of synchronized apps', () => {
+        // The app's clock is 3 s ahead, the frame was captured 80 ms ago
+        const clock = synced({ offsetMs: -3000, referenceTime: 1700000003000 });
+        const captureTime = serverTime - 80 + 3000;
+        expect(stampFrame({ captureTime, clock, serverTime, rosTime: serverTime })).toEqual({
+            stamp: { sec: 1700000000, nanosec: 420000000 },
+            latencyMs: 80,
+        });
+    });
+
+    test('follow the simulation time with use_sim_time', () => {
+        const clock = synced({ offsetMs: 0, referenceTime: serverTime });
+        expect(stampFrame({ captureTime: serverTime - 50, clock, serverTime, rosTime: 42000 }).stamp).toEqual({ sec: 41, nanosec: 950000000 });
+        // Before the simulation runs long enough, and with captures the estimate puts in the future
+        expect(stampFrame({ captureTime: serverTime - 50, clock, serverTime, rosTime: 20 }).stamp).toEqual({ sec: 0, nanosec: 0 });
+        expect(stampFrame({ captureTime: serverTime + 5, clock, serverTime, rosTime: 42000 })).toEqual({ stamp: { sec: 42, nanosec: 0 }, latencyMs: 0 });
+    });
+
+    test('are the arrival time of frames of apps without a clock estimate', () => {
+        expect(stampFrame({ captureTime: serverTime - 3080, clock: new ClientClock(), serverTime, rosTime: serverTime })).toEqual({
+            stamp: toStamp(serverTime),
+            latencyMs: 3080,
+        });
+        expect(stampFrame({ serverTime, rosTime: serverTime })).toEqual({ stamp: { sec: 1700000000, nanosec: 500000000 }, latencyMs: null });
+    });
+});
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+/*
+ * Settings shared by the signaling server and the ROS2 publisher. Every value can be set in the
+ * config file, overridden by the environment variable next to it, and then by a CLI flag
+ * named after its path, e.g. `--publisher.port=9092` or `--tls.cert /etc/ssl/drone.pem`.
+ */
+const DEFAULTS = {
+    tls: {
+        cert: null,
+        key: null,
+    },
+    signaling: {
+        port: 8090,
+        heartbeatInterval: 10000,
+        heartbeatTimeout: 30000,
+        relay: 'memory',
+        redisUrl: 'redis://localhost:6379',
+        http: {
+            port: 8091,
+            host: '127.0.0.1',
+        },
+    },
+    publisher: {
+        port: 8092,
+        topic: '/camera/image_raw/compressed',
+        frameId: 'camera_frame',
+        publishRate: 10,
+        diagnosticsTopic: '/camera/diagnostics',
+        audioTopic: '/audio',
+        // How often clients are sent the publisher's stats, in ms
+        statsInterval: 1000,
+        // Stamp images with the simulation time of /clock, as ROS use_sim_time
+        useSimTime: false,
+        // sensor_msgs/Image publishing of ros2ImagePublisher.js, optionally with the compressed topic as well
+        raw: {
+            topic: '/camera/image_raw',
+            encoding: 'rgb8',
+            compressed: false,
+        },
+        // sensor_msgs/CameraInfo of every stream, namespaced like the images, with the calibrations in dir
+        cameraInfo: {
+            topic: '/camera/camera_info',
+            service: '/camera/set_camera_info',
+            dir: 'camera_info',
+        },
+    },
+    // Recordings uploaded by the operator app through the signaling HTTP API
+    recordings: {
+        dir: 'recordings',
+        maxChunkBytes: 8 * 1024 * 1024,
+    },
+    bridge: {
+        port: 8093,
+        // Data channel messages from the drone to publish on ROS2, matched by message type
+        publish: [
+            { type: 'telemetry.*', topic: '/drone/telemetry', messageType: 'std_msgs/msg/String' },
+        ],
+        // ROS2 topics whose messages are sent to the drone
+        subscribe: [
+            { topic: '/drone/command', messageType: 'std_msgs/msg/String', type: 'command', channel: 'commands' },
+        ],
+    },
+};
+
+const ENVIRONMENT = {
+    TLS_CERT: 'tls.cert',
+    TLS_KEY: 'tls.key',
+    SIGNALING_PORT: 'signaling.port',
+    SIGNALING_HEARTBEAT_INTERVAL_MS: 'signaling.heartbeatInterval',
+    SIGNALING_HEARTBEAT_TIMEOUT_MS: 'signaling.heartbeatTimeout',
+    SIGNALING_RELAY: 'signaling.relay',
+    SIGNALING_REDIS_URL: 'signaling.redisUrl',
+    SIGNALING_HTTP_PORT: 'signaling.http.port',
+    SIGNALING_HTTP_HOST: 'signaling.http.host',
+    PUBLISHER_PORT: 'publisher.port',
+    PUBLISHER_TOPIC: 'publisher.topic',
+    PUBLISHER_FRAME_ID: 'publisher.frameId',
+    PUBLISHER_RATE: 'publisher.publishRate',
+    PUBLISHER_DIAGNOSTICS_TOPIC: 'publisher.diagnosticsTopic',
+    PUBLISHER_AUDIO_TOPIC: 'publisher.audioTopic',
+    PUBLISHER_STATS_INTERVAL: 'publisher.statsInterval',
+    PUBLISHER_USE_SIM_TIME: 'publisher.useSimTime',
+    PUBLISHER_RAW_TOPIC: 'publisher.raw.topic',
+    PUBLISHER_RAW_ENCODING: 'publisher.raw.encoding',
+    PUBLISHER_RAW_COMPRESSED: 'publisher.raw.compressed',
+    PUBLISHER_CAMERA_INFO_TOPIC: 'publisher.cameraInfo.topic',
+    PUBLISHER_CAMERA_INFO_SERVICE: 'publisher.cameraInfo.service',
+    PUBLISHER_CAMERA_INFO_DIR: 'publisher.cameraInfo.dir',
+    BRIDGE_PORT: 'bridge.port',
+    RECORDINGS_DIR: 'recordings.dir',
+};
+
+const getPath = (object, keyPath) => keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (typeof node[key] !== 'object' || node[key] === null) {
+            node[key] = {};
+        }
+        return node[key];
+    }, object);
+    parent[last] = value;
+}
+
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            target[key] = merge(typeof target[key] === 'object' && target[key] ? target[key] : {}, value);
+        }
+        else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+// Environment variables and CLI flags are strings, convert them to the type of the default value
+function coerce(keyPath, value) {
+    const defaultValue = getPath(DEFAULTS, keyPath);
+    if (typeof defaultValue === 'number') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+            throw new Error(`Config ${keyPath} must be a number, got '${value}'`);
+        }
+        return number;
+    }
+    if (typeof defaultValue === 'boolean') {
+        return value === true || value === 'true' || value === '1';
+    }
+    return value;
+}
+
+// Parses `--a.b=value`, `--a.b value` and `--flag` into [keyPath, value] pairs
+function parseArgs(argv) {
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            continue;
+        }
+        const arg = argv[i].slice(2);
+        const equals = arg.indexOf('=');
+        if (equals >= 0) {
+            args.push([arg.slice(0, equals), arg.slice(equals + 1)]);
+        }
+        else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args.push([arg, argv[++i]]);
+        }
+        else {
+            args.push([arg, true]);
+        }
+    }
+    return args;
+}
+
+/**
+* Loads the configuration from the config file, environment and command line, in increasing precedence
+* @param {Object} [sources]
+* @param {Array} [sources.argv] Command line arguments, `--config <file>` selects the config file
+* @param {Object} [sources.env] Environment variables, WEBRTC_CONFIG also selects the config file
+* @returns {Object} The merged configuration
+*/
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const args = parseArgs(argv);
+    const configArg = args.find(([key]) => key === 'config');
+    const configFile = (configArg && configArg[1]) || env.WEBRTC_CONFIG || DEFAULT_CONFIG_FILE;
+
+    const config = merge({}, DEFAULTS);
+    if (fs.existsSync(configFile)) {
+        merge(config, JSON.parse(fs.readFileSync(configFile, 'utf8')));
+    }
+    else if (configArg || env.WEBRTC_CONFIG) {
+        throw new Error(`Config file ${configFile} not found`);
+    }
+
+    for (const [variable, keyPath] of Object.entries(ENVIRONMENT)) {
+        if (env[variable] !== undefined && env[variable] !== '') {
+            setPath(config, keyPath, coerce(keyPath, env[variable]));
+        }
+    }
+    for (const [keyPath, value] of args) {
+        if (keyPath !== 'config') {
+            setPath(config, keyPath, coerce(keyPath, value));
+        }
+    }
+
+    if (!!config.tls.cert !== !!config.tls.key) {
+        throw new Error('TLS needs both tls.cert and tls.key');
+    }
+    return config;
+}
+
+module.exports = {
+    DEFAULTS,
+    loadConfig,
+};
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, loadConfig } = require('./config');
+
+let configFile;
+
+beforeAll(() => {
+    configFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'webrtc-config-')), 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        signaling: { port: 9000, http: { host: '0.0.0.0' } },
+        publisher: { topic: '/drone1/camera/image_raw/compressed' },
+    }));
+});
+
+describe('loadConfig', () => {
+    test('falls back to the defaults', () => {
+        const config = loadConfig({ argv: [], env: { WEBRTC_CONFIG: '' } });
+        expect(config).toEqual(DEFAULTS);
+    });
+
+    test('merges the config file into the defaults', () => {
+        const config = loadConfig({ argv: ['--config', configFile], env: {} });
+        expect(config.signaling.port).toBe(9000);
+        expect(config.signaling.http).toEqual({ port: 8091, host: '0.0.0.0' });
+        expect(config.publisher.topic).toBe('/drone1/camera/image_raw/compressed');
+        expect(config.publisher.frameId).toBe('camera_frame');
+    });
+
+    test('lets the environment override the file and the command line override both', () => {
+        const config = loadConfig({
+            argv: ['--signaling.port=9100', '--publisher.frameId', 'drone1_camera'],
+            env: { WEBRTC_CONFIG: configFile, SIGNALING_PORT: '9050', PUBLISHER_PORT: '9092' },
+        });
+        expect(config.signaling.port).toBe(9100);
+        expect(config.publisher.port).toBe(9092);
+        expect(config.publisher.frameId).toBe('drone1_camera');
+    });
+
+    test('rejects values that do not match the type of the default', () => {
+        expect(() => loadConfig({ argv: ['--publisher.port=abc'], env: {} })).toThrow(/must be a number/);
+    });
+
+    test('requires both a TLS certificate and key', () => {
+        expect(() => loadConfig({ argv: ['--tls.cert', '/tmp/cert.pem'], env: {} })).toThrow(/tls.cert and tls.key/);
+    });
+
+    test('fails when an explicitly given config file is missing', () => {
+        expect(() => loadConfig({ argv: ['--config', '/nonexistent/config.json'], env: {} })).toThrow(/not found/);
+    });
+});
@@ -0,0 +1,193 @@
+/*
+ * Maps the typed data channel messages ({ type, data, ts }) between the drone and ROS2 topics.
+ * Routes come from the `bridge` section of the configuration:
+ *
+ *   publish:   [{ type, topic, messageType }]           drone messages whose type matches are published
+ *   subscribe: [{ topic, messageType, type, channel }]  ROS2 messages are sent to the drone as `type`
+ *
+ * Every drone gets the topics of the routes under its namespace, like its image stream, so
+ * /drone1/drone/command only reaches drone1 and its telemetry goes to /drone1/drone/telemetry.
+ *
+ * A publish type ending in `.*` matches every type with that prefix, `*` matches everything.
+ * With std_msgs/msg/String the whole message travels as JSON in `data`, any other message type
+ * carries the message's `data` field as the ROS2 message itself.
+ */
+
+const { namespaceTopic } = require('./imageStreams');
+
+const DATA_CHANNELS = ['commands', 'telemetry'];
+const STRING_TYPE = 'std_msgs/msg/String';
+
+function matchesType(pattern, type) {
+    if (pattern === '*') {
+        return true;
+    }
+    if (pattern.endsWith('.*')) {
+        return type.startsWith(pattern.slice(0, -1));
+    }
+    return pattern === type;
+}
+
+/**
+* Checks the routes of the bridge configuration, but will throw an exception if one is incomplete
+* @param {Object} bridge The `bridge` section of the configuration
+*/
+function validateRoutes({ publish = [], subscribe = [] }) {
+    for (const route of publish) {
+        if (!route.type || !route.topic || !route.messageType) {
+            throw new Error(`Bridge publish route ${JSON.stringify(route)} needs a type, topic and messageType`);
+        }
+    }
+    for (const route of subscribe) {
+        if (!route.type || !route.topic || !route.messageType) {
+            throw new Error(`Bridge subscribe route ${JSON.stringify(route)} needs a topic, messageType and type`);
+        }
+        if (route.channel && !DATA_CHANNELS.includes(route.channel)) {
+            throw new Error(`Bridge subscribe route for ${route.topic} uses unknown channel '${route.channel}'`);
+        }
+    }
+}
+
+/**
+* Returns the first publish route matching the type of a drone message
+* @param {Array} routes The publish routes
+* @param {String} type The message type
+* @returns {Object|null} The route, or null if the message is not bridged
+*/
+function findPublishRoute(routes, type) {
+    return routes.find(route => matchesType(route.type, type)) || null;
+}
+
+/**
+* Converts a drone message into the ROS2 message published on the route's topic
+* @param {Object} route The publish route
+* @param {Object} message The data channel message { type, data, ts }
+* @returns {Object} The ROS2 message
+*/
+function toRos2Message(route, message) {
+    if (route.messageType === STRING_TYPE) {
+        return { data: JSON.stringify(message) };
+    }
+    return message.data;
+}
+
+/**
+* Converts a ROS2 message received on a subscribed topic into a message for the drone
+* @param {Object} route The subscribe route
+* @param {Object} ros2Message The ROS2 message
+* @returns {Object} The data channel message { type, data, ts }
+*/
+function fromRos2Message(route, ros2Message) {
+    let data = ros2Message;
+    if (route.messageType === STRING_TYPE) {
+        try {
+            data = JSON.parse(ros2Message.data);
+        } catch (error) {
+            // Plain text, e.g. `ros2 topic pub /drone/command std_msgs/msg/String "{data: land}"`
+            data = ros2Message.data;
+        }
+    }
+    return { type: route.type, data, ts: Date.now() };
+}
+
+/**
+ * DroneRouteRegistry creates the publishers and subscriptions of a drone's routes when its first
+ * connection declares the drone, and destroys them when the last one disconnects
+ */
+class DroneRouteRegistry {
+    /**
+    * @param {Object} options
+    * @param {Object} options.routes The `bridge` section of the configuration (publish, subscribe)
+    * @param {Function} options.createPublisher Creates the ROS2 publisher of a publish route, given the route and topic
+    * @param {Function} options.createSubscription Subscribes to the topic of a subscribe route, given the route,
+    * topic and drone
+    * @param {Function} options.destroyPublisher Destroys a publisher made by createPublisher
+    * @param {Function} options.destroySubscription Destroys a subscription made by createSubscription
+    */
+    constructor({ routes, createPublisher, createSubscription, destroyPublisher, destroySubscription }) {
+        this.routes = { publish: [], subscribe: [], ...routes };
+        this.createPublisher = createPublisher;
+        this.createSubscription = createSubscription;
+        this.destroyPublisher = destroyPublisher;
+        this.destroySubscription = destroySubscription;
+        this.drones = new Map();
+    }
+
+    /**
+    * Returns the routes of a drone for a connection, creating its publishers and subscriptions if needed
+    * @param {String} namespace The normalized namespace of the drone, see normalizeNamespace
+    * @param {Object} client The connection
+    * @returns {Object} The drone { namespace, publishers, subscriptions, clients }
+    */
+    acquire(namespace, client) {
+        let drone = this.drones.get(namespace);
+        if (!drone) {
+            drone = { namespace, publishers: new Map(), subscriptions: [], clients: new Set() };
+            for (const route of this.routes.publish) {
+                const topic = namespaceTopic(namespace, route.topic);
+                if (!drone.publishers.has(topic)) {
+                    drone.publishers.set(topic, this.createPublisher(route, topic));
+                }
+            }
+            for (const route of this.routes.subscribe) {
+                drone.subscriptions.push(this.createSubscription(route, namespaceTopic(namespace, route.topic), drone));
+            }
+            this.drones.set(namespace, drone);
+            console.log(`Bridging the data channels of drone ${namespace || '(default)'}`);
+        }
+        drone.clients.add(client);
+        return drone;
+    }
+
+    /**
+    * Removes a connection from its drone, and the drone's publishers and subscriptions once no connection is left
+    * @param {Object} drone The drone returned by acquire
+    * @param {Object} client The connection
+    */
+    release(drone, client) {
+        drone.clients.delete(client);
+        if (drone.clients.size > 0 || this.drones.get(drone.namespace) !== drone) {
+            return;
+        }
+        this.drones.delete(drone.namespace);
+        try {
+            drone.publishers.forEach(publisher => this.destroyPublisher(publisher));
+            drone.subscriptions.forEach(subscription => this.destroySubscription(subscription));
+        } catch (error) {
+            console.error(`Error destroying the routes of drone ${drone.namespace || '(default)'}:`, error);
+        }
+        console.log(`Stopped bridging the data channels of drone ${drone.namespace || '(default)'}`);
+    }
+
+    /**
+    * Returns the publisher a drone message goes to, if a publish route matches its type
+    * @param {Object} drone The drone returned by acquire
+    * @param {String} type The message type
+    * @returns {Object|null} { route, publisher }, or null if the message is not bridged
+    */
+    findPublisher(drone, type) {
+        const route = findPublishRoute(this.routes.publish, type);
+        return route ? { route, publisher: drone.publishers.get(namespaceTopic(drone.namespace, route.topic)) } : null;
+    }
+
+    all() {
+        return Array.from(this.drones.values());
+    }
+
+    // Destroys the routes of every drone, when the bridge shuts down
+    clear() {
+        this.all().forEach((drone) => {
+            drone.clients.clear();
+            this.release(drone, null);
+        });
+    }
+}
+
+module.exports = {
+    DATA_CHANNELS,
+    DroneRouteRegistry,
+    validateRoutes,
+    findPublishRoute,
+    toRos2Message,
+    fromRos2Message,
+};
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+const { DEFAULTS } = require('./config');
+const { validateRoutes, findPublishRoute, toRos2Message, fromRos2Message, DroneRouteRegistry } = require('./dataRoutes');
+
+const publish = [
+    { type: 'telemetry.battery', topic: '/drone/battery', messageType: 'sensor_msgs/msg/BatteryState' },
+    { type: 'telemetry.*', topic: '/drone/telemetry', messageType: 'std_msgs/msg/String' },
+];
+
+describe('bridge routes', () => {
+    test('the defaults are valid', () => {
+        expect(() => validateRoutes(DEFAULTS.bridge)).not.toThrow();
+    });
+
+    test('reject incomplete routes and unknown channels', () => {
+        expect(() => validateRoutes({ publish: [{ type: 'telemetry' }] })).toThrow(/needs a type, topic and messageType/);
+        expect(() => validateRoutes({
+            subscribe: [{ topic: '/drone/command', messageType: 'std_msgs/msg/String', type: 'command', channel: 'video' }],
+        })).toThrow(/unknown channel 'video'/);
+    });
+
+    test('match exact types before wildcards in the order they are configured', () => {
+        expect(findPublishRoute(publish, 'telemetry.battery').topic).toBe('/drone/battery');
+        expect(findPublishRoute(publish, 'telemetry.gps').topic).toBe('/drone/telemetry');
+        expect(findPublishRoute(publish, 'telemetry')).toBeNull();
+        expect(findPublishRoute([{ type: '*', topic: '/all', messageType: 'std_msgs/msg/String' }], 'status').topic).toBe('/all');
+    });
+});
+
+describe('message conversion', () => {
+    const message = { type: 'telemetry.gps', data: { lat: 52.1, lon: 5.2 }, ts: 1700000000000 };
+
+    test('wraps the whole message as JSON in std_msgs/String', () => {
+        const ros2Message = toRos2Message(publish[1], message);
+        expect(JSON.parse(ros2Message.data)).toEqual(message);
+    });
+
+    test('passes the payload as the ROS2 message for other message types', () => {
+        const battery = { voltage: 15.2, percentage: 0.8 };
+        expect(toRos2Message(publish[0], { type: 'telemetry.battery', data: battery })).toBe(battery);
+    });
+
+    test('turns ROS2 messages into typed messages for the drone', () => {
+        const command = { topic: '/drone/command', messageType: 'std_msgs/msg/String', type: 'command' };
+        expect(fromRos2Message(command, { data: '{"action":"land"}' })).toMatchObject({ type: 'command', data: { action: 'land' } });
+        expect(fromRos2Message(command, { data: 'land' }).data).toBe('land');
+
+        const velocity = { topic: '/drone/cmd_vel', messageType: 'geometry_msgs/msg/Twist', type: 'command.velocity' };
+        const twist = { linear: { x: 1, y: 0, z: 0 }, angular: { x: 0, y: 0, z: 0.5 } };
+        const converted = fromRos2Message(velocity, twist);
+        expect(converted).toMatchObject({ type: 'command.velocity', data: twist });
+        expect(typeof converted.ts).toBe('number');
+    });
+});
+
+describe('DroneRouteRegistry', () => {
+    let calls;
+    let registry;
+
+    beforeEach(() => {
+        calls = [];
+        registry = new DroneRouteRegistry({
+            routes: {
+                publish,
+                subscribe: [{ topic: '/drone/command', messageType: 'std_msgs/msg/String', type: 'command', channel: 'commands' }],
+            },
+            createPublisher: (route, topic) => ({ topic }),
+            createSubscription: (route, topic, drone) => {
+                calls.push(`subscribe ${topic} for ${drone.namespace}`);
+                return { topic };
+            },
+            destroyPublisher: ({ topic }) => calls.push(`unpublish ${topic}`),
+            destroySubscription: ({ topic }) => calls.push(`unsubscribe ${topic}`),
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('gives every drone the route topics under its namespace', () => {
+        const drone1 = registry.acquire('drone1', 'tab1');
+        const drone2 = registry.acquire('drone2', 'tab1');
+        expect(registry.acquire('drone1', 'tab2')).toBe(drone1);
+        expect(calls).toEqual(['subscribe /drone1/drone/command for drone1', 'subscribe /drone2/drone/command for drone2']);
+
+        expect(registry.findPublisher(drone1, 'telemetry.battery').publisher.topic).toBe('/drone1/drone/battery');
+        expect(registry.findPublisher(drone2, 'telemetry.gps').publisher.topic).toBe('/drone2/drone/telemetry');
+        expect(registry.findPublisher(drone2, 'status')).toBeNull();
+        // Connections without a drone share the configured topics
+        expect(registry.findPublisher(registry.acquire('', 'legacy'), 'telemetry.gps').publisher.topic).toBe('/drone/telemetry');
+    });
+
+    test('destroys the topics of a drone when its last connection leaves', () => {
+        const drone = registry.acquire('drone1', 'tab1');
+        registry.acquire('drone1', 'tab2');
+        registry.release(drone, 'tab1');
+        expect(calls).toHaveLength(1);
+        registry.release(drone, 'tab2');
+        expect(calls.slice(1)).toEqual(['unpublish /drone1/drone/battery', 'unpublish /drone1/drone/telemetry', 'unsubscribe /drone1/drone/command']);
+
+        registry.acquire('drone2', 'tab1');
+        registry.clear();
+        expect(registry.all()).toHaveLength(0);
+    });
+});
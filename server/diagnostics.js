@@ -0,0 +1,90 @@
+/*
+ * Turns the link quality samples of the operator app (see src/LinkQuality.js) into
+ * diagnostic_msgs/DiagnosticArray messages, one DiagnosticStatus per drone stream.
+ */
+
+// diagnostic_msgs/DiagnosticStatus levels
+const LEVELS = {
+    OK: 0,
+    WARN: 1,
+    ERROR: 2,
+    STALE: 3,
+};
+
+// Above these the link is reported as degraded (WARN) or broken (ERROR)
+const THRESHOLDS = {
+    packetLossPercent: { warn: 2, error: 10 },
+    jitterMs: { warn: 30, error: 100 },
+    roundTripTimeMs: { warn: 250, error: 1000 },
+};
+
+// Order and units of the key/value pairs in the status
+const VALUES = [
+    ['bitrateKbps', 'bitrate (kbit/s)'],
+    ['audioBitrateKbps', 'audio bitrate (kbit/s)'],
+    ['framesPerSecond', 'frames per second'],
+    ['jitterMs', 'jitter (ms)'],
+    ['packetLossPercent', 'packet loss (%)'],
+    ['packetsLost', 'packets lost'],
+    ['freezeCount', 'freeze count'],
+    ['roundTripTimeMs', 'round-trip time (ms)'],
+    ['frameWidth', 'frame width'],
+    ['frameHeight', 'frame height'],
+    ['codec', 'codec'],
+];
+
+/**
+* Rates a link quality sample
+* @param {Object} quality The sample
+* @returns {Object} { level, message } for the DiagnosticStatus
+*/
+function rateLinkQuality(quality) {
+    if (quality.framesPerSecond === 0) {
+        return { level: LEVELS.ERROR, message: 'No video frames received' };
+    }
+    let level = LEVELS.OK;
+    const problems = [];
+    for (const [key, { warn, error }] of Object.entries(THRESHOLDS)) {
+        const value = quality[key];
+        if (value === null || value === undefined || value <= warn) {
+            continue;
+        }
+        level = Math.max(level, value > error ? LEVELS.ERROR : LEVELS.WARN);
+        problems.push(`${key} ${value}`);
+    }
+    return { level, message: problems.length ? `Degraded: ${problems.join(', ')}` : 'OK' };
+}
+
+/**
+* Builds the DiagnosticArray for a link quality sample
+* @param {Object} quality The sample, including the droneID of the stream
+* @param {Object} options frameId and stamp of the header, the stamp of the sample's timestamp, see stampFrame
+* @returns {Object} The diagnostic_msgs/DiagnosticArray message
+*/
+function createDiagnosticArray(quality, { frameId, stamp }) {
+    const { level, message } = rateLinkQuality(quality);
+    const values = VALUES
+        .filter(([key]) => quality[key] !== null && quality[key] !== undefined)
+        .map(([key, label]) => ({ key: label, value: String(quality[key]) }));
+
+    return {
+        header: {
+            stamp,
+            frame_id: frameId,
+        },
+        status: [{
+            level,
+            name: `webrtc: ${quality.droneID || 'drone'} link quality`,
+            message,
+            hardware_id: quality.droneID || '',
+            values,
+        }],
+    };
+}
+
+module.exports = {
+    LEVELS,
+    THRESHOLDS,
+    rateLinkQuality,
+    createDiagnosticArray,
+};
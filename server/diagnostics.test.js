@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+const { LEVELS, rateLinkQuality, createDiagnosticArray } = require('./diagnostics');
+
+const quality = {
+    droneID: 'drone1',
+    timestamp: 1700000000250,
+    bitrateKbps: 2000,
+    audioBitrateKbps: null,
+    framesPerSecond: 29,
+    jitterMs: 12,
+    packetLossPercent: 0.5,
+    packetsLost: 30,
+    freezeCount: 2,
+    roundTripTimeMs: 42,
+};
+
+describe('link quality diagnostics', () => {
+    test('are a DiagnosticArray with one status per stream', () => {
+        const stamp = { sec: 1700000000, nanosec: 250000000 };
+        const message = createDiagnosticArray(quality, { frameId: 'drone1/camera_frame', stamp });
+        expect(message.header).toEqual({ stamp, frame_id: 'drone1/camera_frame' });
+        expect(message.status).toHaveLength(1);
+        expect(message.status[0]).toMatchObject({
+            level: LEVELS.OK,
+            name: 'webrtc: drone1 link quality',
+            message: 'OK',
+            hardware_id: 'drone1',
+        });
+        expect(message.status[0].values).toContainEqual({ key: 'bitrate (kbit/s)', value: '2000' });
+        expect(message.status[0].values).toContainEqual({ key: 'freeze count', value: '2' });
+        // Values that could not be measured are left out
+        expect(message.status[0].values.map((value) => value.key)).not.toContain('audio bitrate (kbit/s)');
+    });
+
+    test('rate a lossy or slow link as degraded', () => {
+        expect(rateLinkQuality({ ...quality, packetLossPercent: 4 })).toEqual({
+            level: LEVELS.WARN,
+            message: 'Degraded: packetLossPercent 4',
+        });
+        expect(rateLinkQuality({ ...quality, roundTripTimeMs: 1500, jitterMs: 40 }).level).toBe(LEVELS.ERROR);
+        expect(rateLinkQuality({ ...quality, framesPerSecond: 0 })).toEqual({ level: LEVELS.ERROR, message: 'No video frames received' });
+    });
+});
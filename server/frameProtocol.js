@@ -0,0 +1,93 @@
+/*
+ * Binary frame transport between the operator app (see src/FrameProtocol.js) and the image publisher.
+ * A binary WebSocket message is a fixed header followed by the encoded image:
+ *
+ *   offset  size  field
+ *        0     1  version (1)
+ *        1     1  encoding, index into ENCODINGS
+ *        2     2  header length in bytes (24), the image starts there
+ *        4     2  width
+ *        6     2  height
+ *        8     8  capture time, float64 ms since the epoch
+ *       16     4  sequence number
+ *       20     4  image length in bytes
+ *
+ * All fields are little-endian. The protocol is chosen in a handshake: the app sends
+ * { type: 'hello', data: { protocols: [...] } } and the publisher answers { type: 'welcome', data: { protocol } }.
+ * Apps that get no answer, and older apps that never say hello, use JSON messages.
+ */
+
+const FRAME_VERSION = 1;
+const FRAME_HEADER_BYTES = 24;
+const ENCODINGS = ['jpeg', 'png', 'webp'];
+// Protocols the publisher speaks, the first one the app also offers is used
+const PROTOCOLS = ['binary', 'json'];
+
+/**
+* Picks the protocol of a connection
+* @param {Array} offered The protocols of the app's hello, in order of preference
+* @returns {String} 'binary' or 'json'
+*/
+function negotiateProtocol(offered) {
+    const protocols = Array.isArray(offered) ? offered : [];
+    return protocols.find((protocol) => PROTOCOLS.includes(protocol)) || 'json';
+}
+
+/**
+* Encodes a binary frame message, the counterpart of decodeFrame
+* @param {Object} frame { width, height, encoding, captureTime, sequence, data }
+* @returns {Buffer} The message
+*/
+function encodeFrame({ width, height, encoding, captureTime, sequence, data }) {
+    const header = Buffer.alloc(FRAME_HEADER_BYTES);
+    header.writeUInt8(FRAME_VERSION, 0);
+    header.writeUInt8(ENCODINGS.indexOf(encoding), 1);
+    header.writeUInt16LE(FRAME_HEADER_BYTES, 2);
+    header.writeUInt16LE(width, 4);
+    header.writeUInt16LE(height, 6);
+    header.writeDoubleLE(captureTime, 8);
+    header.writeUInt32LE(sequence, 16);
+    header.writeUInt32LE(data.length, 20);
+    return Buffer.concat([header, data]);
+}
+
+/**
+* Decodes a binary frame message, but will throw an exception if it is malformed
+* @param {Buffer} message The message as received
+* @returns {Object} { width, height, encoding, captureTime, sequence, data }, data is a view into the message
+*/
+function decodeFrame(message) {
+    if (message.length < FRAME_HEADER_BYTES) {
+        throw new Error(`Frame of ${message.length} bytes is shorter than its header`);
+    }
+    const version = message.readUInt8(0);
+    if (version !== FRAME_VERSION) {
+        throw new Error(`Unsupported frame version ${version}`);
+    }
+    const encoding = ENCODINGS[message.readUInt8(1)];
+    if (!encoding) {
+        throw new Error(`Unknown frame encoding ${message.readUInt8(1)}`);
+    }
+    const headerBytes = message.readUInt16LE(2);
+    const length = message.readUInt32LE(20);
+    if (headerBytes < FRAME_HEADER_BYTES || headerBytes + length !== message.length) {
+        throw new Error(`Frame of ${message.length} bytes does not match its header`);
+    }
+    return {
+        width: message.readUInt16LE(4),
+        height: message.readUInt16LE(6),
+        encoding,
+        captureTime: message.readDoubleLE(8),
+        sequence: message.readUInt32LE(16),
+        data: message.subarray(headerBytes),
+    };
+}
+
+module.exports = {
+    FRAME_HEADER_BYTES,
+    ENCODINGS,
+    PROTOCOLS,
+    negotiateProtocol,
+    encodeFrame,
+    decodeFrame,
+};
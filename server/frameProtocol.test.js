@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+const { FRAME_HEADER_BYTES, negotiateProtocol, encodeFrame, decodeFrame } = require('./frameProtocol');
+
+const frame = {
+    width: 640,
+    height: 360,
+    encoding: 'jpeg',
+    captureTime: 1700000000123.5,
+    sequence: 42,
+    data: Buffer.from([0xff, 0xd8, 0xff, 0xd9]),
+};
+
+describe('binary frames', () => {
+    test('carry the header fields and the image bytes', () => {
+        const message = encodeFrame(frame);
+        expect(message).toHaveLength(FRAME_HEADER_BYTES + 4);
+        const decoded = decodeFrame(message);
+        expect(decoded).toEqual(frame);
+        // The image is not copied out of the message
+        expect(decoded.data.buffer).toBe(message.buffer);
+    });
+
+    test('are rejected when truncated or of an unknown version or encoding', () => {
+        const message = encodeFrame(frame);
+        expect(() => decodeFrame(message.subarray(0, 10))).toThrow(/shorter than its header/);
+        expect(() => decodeFrame(message.subarray(0, message.length - 1))).toThrow(/does not match its header/);
+
+        const version = Buffer.from(message);
+        version[0] = 2;
+        expect(() => decodeFrame(version)).toThrow(/Unsupported frame version 2/);
+        const encoding = Buffer.from(message);
+        encoding[1] = 9;
+        expect(() => decodeFrame(encoding)).toThrow(/Unknown frame encoding 9/);
+    });
+});
+
+test('the handshake picks the first protocol both sides speak and falls back to JSON', () => {
+    expect(negotiateProtocol(['binary', 'json'])).toBe('binary');
+    expect(negotiateProtocol(['msgpack', 'json'])).toBe('json');
+    expect(negotiateProtocol(undefined)).toBe('json');
+});
@@ -0,0 +1,175 @@
+const debug = require('debug')(`${process.env.APPNAME}:http`);
+const { ADMIN_ROLE, verifyToken, loadSecret } = require('./auth');
+const { RecordingError } = require('./recordings');
+const metrics = require('./metrics');
+const tls = require('./tls');
+
+const startedAt = Date.now();
+
+// Recordings are uploaded by the operator app, which is served from another origin
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+// Roles of tokens allowed to upload recordings
+const RECORDING_ROLES = ['operator', ADMIN_ROLE];
+
+function sendJSON(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// Decodes a path segment, null for malformed escapes such as %E0%A4%A
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        debug('Malformed path segment:', segment);
+        return null;
+    }
+}
+
+function hasRole(req, secret, roles) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return false;
+    }
+    try {
+        return roles.includes(verifyToken(token, secret).role);
+    } catch (error) {
+        debug('Rejected token:', error.message);
+        return false;
+    }
+}
+
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new RecordingError(`Chunk exceeds ${maxBytes} bytes`, 413));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+* Handles `PUT /recordings/<name>?offset=<bytes>[&last=1]`, see RecordingStore
+*/
+async function uploadRecording(req, res, recordings, name, query) {
+    try {
+        const data = await readBody(req, recordings.maxChunkBytes);
+        const result = await recordings.writeChunk(name, Number(query.get('offset') || 0), data, query.get('last') === '1');
+        sendJSON(res, 200, result, CORS_HEADERS);
+    } catch (error) {
+        if (!(error instanceof RecordingError)) {
+            console.error('Failed to store recording chunk:', error);
+            sendJSON(res, 500, { error: 'internal_error' }, CORS_HEADERS);
+            return;
+        }
+        debug('Rejected recording chunk:', error.message);
+        sendJSON(res, error.status, { error: error.message, ...error.details }, CORS_HEADERS);
+    }
+}
+
+/**
+* Starts the HTTP server that exposes health, metrics and the admin API of the signaling server
+* @param {Number} port The port to listen on
+* @param {Object} signaling The signaling module (server/wss.js) to report on
+* @param {Object} [options] host to bind to, the tls cert and key paths to serve HTTPS,
+* and the RecordingStore to accept recording uploads with
+* @returns {http.Server|https.Server} The running server
+*/
+function init(port, signaling, options = {}) {
+    const host = options.host || '127.0.0.1';
+    const secret = loadSecret();
+
+    const server = tls.createServer(options.tls, (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        debug(req.method, pathname);
+
+        if (req.method === 'GET' && pathname === '/healthz') {
+            sendJSON(res, 200, {
+                status: 'ok',
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                clients: signaling.countClientsByRole(),
+            });
+            return;
+        }
+
+        if (req.method === 'GET' && pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(metrics.render(signaling.countClientsByRole()));
+            return;
+        }
+
+        const recording = pathname.match(/^\/recordings\/([^/]+)$/);
+        if (recording && options.recordings) {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, CORS_HEADERS);
+                res.end();
+                return;
+            }
+            if (!hasRole(req, secret, RECORDING_ROLES)) {
+                sendJSON(res, 401, { error: 'unauthorized' }, CORS_HEADERS);
+                return;
+            }
+            if (req.method === 'PUT') {
+                const name = decodeSegment(recording[1]);
+                if (name === null) {
+                    sendJSON(res, 400, { error: 'invalid_name' }, CORS_HEADERS);
+                    return;
+                }
+                uploadRecording(req, res, options.recordings, name, searchParams);
+                return;
+            }
+        }
+
+        if (pathname.startsWith('/admin/')) {
+            if (!hasRole(req, secret, [ADMIN_ROLE])) {
+                sendJSON(res, 401, { error: 'unauthorized' });
+                return;
+            }
+
+            if (req.method === 'GET' && pathname === '/admin/peers') {
+                sendJSON(res, 200, { peers: signaling.getPeers() });
+                return;
+            }
+
+            const match = pathname.match(/^\/admin\/peers\/([^/]+)$/);
+            if (req.method === 'DELETE' && match) {
+                const id = decodeSegment(match[1]);
+                if (id === null) {
+                    sendJSON(res, 400, { error: 'invalid_id' });
+                }
+                else if (signaling.disconnectPeer(id)) {
+                    sendJSON(res, 200, { disconnected: id });
+                }
+                else {
+                    sendJSON(res, 404, { error: 'peer_not_found' });
+                }
+                return;
+            }
+        }
+
+        sendJSON(res, 404, { error: 'not_found' });
+    });
+
+    server.listen(port, host, () => {
+        const scheme = tls.isEnabled(options.tls) ? 'https' : 'http';
+        console.log(`Signaling HTTP API listening on ${scheme}://${host}:${server.address().port}`);
+    });
+    return server;
+}
+
+module.exports = {
+    init,
+};
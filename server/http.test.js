@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SIGNALING_SECRET = 'test-secret';
+const httpApi = require('./http');
+const metrics = require('./metrics');
+const { createToken } = require('./auth');
+const { RecordingStore } = require('./recordings');
+
+const disconnected = [];
+const signaling = {
+    countClientsByRole: () => ({ unregistered: 1, drone: 2, operator: 1 }),
+    getPeers: () => [{ socketID: 'drone1', role: 'drone', name: 'Drone 1' }],
+    disconnectPeer: (id) => {
+        disconnected.push(id);
+        return id === 'drone1';
+    },
+};
+
+let server;
+const recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+
+function request(method, path, token, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method,
+            path,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+        }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+beforeAll((done) => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = httpApi.init(0, signaling, { recordings: new RecordingStore(recordingsDir) });
+    server.on('listening', done);
+});
+
+afterAll((done) => {
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+    server.close(done);
+});
+
+test('reports health with client counts', async () => {
+    const res = await request('GET', '/healthz');
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body)).toMatchObject({ status: 'ok', clients: { drone: 2, operator: 1 } });
+});
+
+test('exposes Prometheus metrics', async () => {
+    metrics.reset();
+    metrics.countRelayed('webrtc_msg', 'offer');
+    metrics.countRelayed('webrtc_msg', 'offer');
+    metrics.countRelayed('webrtc_msg', 'media_request');
+    metrics.countRelayed('webrtc_msg', 'made-up-1');
+    metrics.countRelayed('webrtc_msg', 'made-up-2');
+    metrics.countError('target_not_found');
+
+    const res = await request('GET', '/metrics');
+    expect(res.status).toBe(200);
+    expect(res.body).toContain('# TYPE signaling_connected_clients gauge');
+    expect(res.body).toContain('signaling_connected_clients{role="drone"} 2');
+    expect(res.body).toContain('signaling_relayed_messages_total{event="webrtc_msg",type="offer"} 2');
+    expect(res.body).toContain('signaling_relayed_messages_total{event="webrtc_msg",type="other"} 3');
+    expect(res.body).not.toContain('made-up');
+    expect(res.body).toContain('signaling_relay_errors_total{code="target_not_found"} 1');
+});
+
+test('requires an admin token for the admin API', async () => {
+    expect((await request('GET', '/admin/peers')).status).toBe(401);
+    const operatorToken = createToken({ role: 'operator', name: 'op' }, process.env.SIGNALING_SECRET);
+    expect((await request('GET', '/admin/peers', operatorToken)).status).toBe(401);
+});
+
+test('lists and disconnects peers with an admin token', async () => {
+    const token = createToken({ role: 'admin', name: 'root' }, process.env.SIGNALING_SECRET);
+
+    const list = await request('GET', '/admin/peers', token);
+    expect(JSON.parse(list.body).peers).toHaveLength(1);
+
+    expect((await request('DELETE', '/admin/peers/drone1', token)).status).toBe(200);
+    expect(disconnected).toContain('drone1');
+    expect((await request('DELETE', '/admin/peers/nobody', token)).status).toBe(404);
+});
+
+test('rejects peer ids with malformed escapes', async () => {
+    const token = createToken({ role: 'admin', name: 'root' }, process.env.SIGNALING_SECRET);
+
+    const malformed = await request('DELETE', '/admin/peers/%E0%A4%A', token);
+    expect(malformed.status).toBe(400);
+    expect(JSON.parse(malformed.body)).toEqual({ error: 'invalid_id' });
+    expect((await request('GET', '/healthz')).status).toBe(200);
+});
+
+describe('recording uploads', () => {
+    const token = createToken({ role: 'operator', name: 'op' }, process.env.SIGNALING_SECRET);
+
+    test('require an operator or admin token', async () => {
+        expect((await request('PUT', '/recordings/a.webm?offset=0', undefined, 'x')).status).toBe(401);
+        const droneToken = createToken({ role: 'drone', name: 'd' }, process.env.SIGNALING_SECRET);
+        expect((await request('PUT', '/recordings/a.webm?offset=0', droneToken, 'x')).status).toBe(401);
+        // CORS preflight of the browser carries no token
+        expect((await request('OPTIONS', '/recordings/a.webm')).status).toBe(204);
+    });
+
+    test('are written to the recordings directory chunk by chunk', async () => {
+        expect((await request('PUT', '/recordings/drone1.webm?offset=0', token, 'abc')).status).toBe(200);
+        const wrongOffset = await request('PUT', '/recordings/drone1.webm?offset=9', token, 'def');
+        expect(wrongOffset.status).toBe(409);
+        expect(JSON.parse(wrongOffset.body)).toMatchObject({ size: 3 });
+
+        const last = await request('PUT', '/recordings/drone1.webm?offset=3&last=1', token, 'def');
+        expect(JSON.parse(last.body)).toEqual({ name: 'drone1.webm', size: 6, complete: true });
+        expect(fs.readFileSync(path.join(recordingsDir, 'drone1.webm'), 'utf8')).toBe('abcdef');
+
+        expect((await request('PUT', '/recordings/..%2Fescape.webm?offset=0', token, 'x')).status).toBe(400);
+    });
+
+    test('reject names with malformed escapes', async () => {
+        const malformed = await request('PUT', '/recordings/%E0%A4%A?offset=0', token, 'x');
+        expect(malformed.status).toBe(400);
+        expect(JSON.parse(malformed.body)).toEqual({ error: 'invalid_name' });
+        expect((await request('GET', '/healthz')).status).toBe(200);
+    });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ICE_CONFIG_FILE = path.join(__dirname, 'ice.json');
+const DEFAULT_TURN_TTL = 60 * 60; // seconds
+
+const DEFAULT_ICE_CONFIG = {
+    iceServers: [
+        {
+            urls: 'stun:stun.l.google.com:19302'
+        }
+    ]
+};
+
+/**
+* Loads the ICE configuration. Without a config file the public Google STUN server is used.
+* @param {String} [configFile] Path of the JSON config file
+* @returns {Object} iceServers served as-is, plus an optional `turn` section with a shared secret
+*/
+function loadIceConfig(configFile = process.env.SIGNALING_ICE_CONFIG || DEFAULT_ICE_CONFIG_FILE) {
+    if (!fs.existsSync(configFile)) {
+        console.log('No ICE config found at', configFile + ', using the default STUN server');
+        return DEFAULT_ICE_CONFIG;
+    }
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    if (config.turn && !config.turn.secret) {
+        throw new Error(`ICE config ${configFile} has a turn section without a secret`);
+    }
+    return config;
+}
+
+/**
+* Creates time-limited TURN credentials following the TURN REST API scheme, which coturn
+* checks with `use-auth-secret` / `static-auth-secret`
+* @param {String} secret The secret shared with the TURN server
+* @param {String} user The user the credentials are issued for
+* @param {Number} ttl Lifetime of the credentials in seconds
+* @returns {Object} username, credential and the expiry as a unix timestamp in seconds
+*/
+function createTurnCredentials(secret, user, ttl = DEFAULT_TURN_TTL) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+    const username = `${expiresAt}:${user}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential, expiresAt };
+}
+
+/**
+* Returns the RTCConfiguration for a client, with fresh TURN credentials if TURN is configured
+* @param {Object} config The loaded ICE config
+* @param {String} user The user the TURN credentials are issued for
+* @returns {Object} iceServers and the time (ms since epoch) at which the configuration expires
+*/
+function getIceConfiguration(config, user) {
+    const iceServers = [...(config.iceServers || [])];
+    let expiresAt = null;
+
+    if (config.turn) {
+        const { username, credential, expiresAt: expiry } = createTurnCredentials(config.turn.secret, user, config.turn.ttl);
+        iceServers.push({ urls: config.turn.urls, username, credential });
+        expiresAt = expiry * 1000;
+    }
+
+    return {
+        iceServers,
+        iceTransportPolicy: config.iceTransportPolicy || 'all',
+        expiresAt,
+    };
+}
+
+module.exports = {
+    DEFAULT_ICE_CONFIG,
+    loadIceConfig,
+    createTurnCredentials,
+    getIceConfiguration,
+};
@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+const crypto = require('crypto');
+const { createTurnCredentials, getIceConfiguration } = require('./ice');
+
+describe('TURN REST credentials', () => {
+    test('derive the credential from the expiry and user with HMAC-SHA1', () => {
+        const { username, credential, expiresAt } = createTurnCredentials('shared', 'op', 600);
+        expect(username).toBe(`${expiresAt}:op`);
+        expect(expiresAt).toBeGreaterThan(Date.now() / 1000 + 590);
+        expect(credential).toBe(crypto.createHmac('sha1', 'shared').update(username).digest('base64'));
+    });
+
+    test('are appended to the configured ICE servers with their expiry', () => {
+        const config = getIceConfiguration({
+            iceServers: [{ urls: 'stun:stun.range.local:3478' }],
+            turn: { urls: ['turn:turn.range.local:3478'], secret: 'shared', ttl: 60 },
+        }, 'drone1');
+
+        expect(config.iceServers).toHaveLength(2);
+        expect(config.iceServers[1]).toMatchObject({ urls: ['turn:turn.range.local:3478'] });
+        expect(config.iceServers[1].username).toMatch(/^\d+:drone1$/);
+        expect(config.expiresAt).toBe(Number(config.iceServers[1].username.split(':')[0]) * 1000);
+    });
+
+    test('are not issued without a turn section', () => {
+        const config = getIceConfiguration({ iceServers: [{ urls: 'stun:stun.range.local:3478' }] }, 'op');
+        expect(config.iceServers).toEqual([{ urls: 'stun:stun.range.local:3478' }]);
+        expect(config.expiresAt).toBeNull();
+    });
+});
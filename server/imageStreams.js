@@ -0,0 +1,210 @@
+/*
+ * Streams of the image publisher. Every app connection declares the namespace of its stream in the
+ * hello, usually the drone's name, and its frames go to a publisher of its own on the namespaced topic,
+ * e.g. /drone1/camera/image_raw/compressed. Rate limiting and stats are kept per stream, so streams do
+ * not starve each other. Connections of apps that declare no namespace share the default stream on the
+ * configured topic.
+ */
+
+// Moving average weight of the latest latency sample
+const LATENCY_WEIGHT = 0.2;
+
+/**
+* Turns a drone name or ID into a ROS2 namespace: letters, digits and single underscores, not starting with a digit
+* @param {String} [value] The namespace declared by the app
+* @returns {String} The namespace, '' for the default stream
+*/
+function normalizeNamespace(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value !== 'string') {
+        throw new Error(`Stream namespace must be a string, got ${typeof value}`);
+    }
+    const namespace = value.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return /^[0-9]/.test(namespace) ? `stream_${namespace}` : namespace;
+}
+
+/**
+* Returns the topic of a stream
+* @param {String} namespace The namespace of the stream, '' for the default stream
+* @param {String} topic The configured topic, e.g. /camera/image_raw/compressed
+* @returns {String} The namespaced topic
+*/
+function namespaceTopic(namespace, topic) {
+    if (!namespace) {
+        return topic;
+    }
+    return `/${namespace}${topic.startsWith('/') ? topic : `/${topic}`}`;
+}
+
+/**
+* Returns the frame_id of the images of a stream
+* @param {String} namespace The namespace of the stream, '' for the default stream
+* @param {String} frameId The configured frame_id, e.g. camera_frame
+* @returns {String} The namespaced frame_id, e.g. drone1/camera_frame
+*/
+function namespaceFrameId(namespace, frameId) {
+    return namespace ? `${namespace}/${frameId}` : frameId;
+}
+
+/**
+ * ImageStream is one stream of images, with the publisher of its topic and its own rate limit and stats
+ */
+class ImageStream {
+    /**
+    * @param {String} namespace The namespace, '' for the default stream
+    * @param {String} topic The topic published to
+    * @param {Object} publisher The ROS2 publisher of the topic
+    */
+    constructor(namespace, topic, publisher) {
+        this.namespace = namespace;
+        this.topic = topic;
+        this.publisher = publisher;
+        // Connections sending frames to this stream
+        this.clients = new Set();
+        this.isProcessing = false;
+        this.resetStats();
+    }
+
+    /**
+    * Decides whether a frame arriving now is published. Frames are dropped while the previous one is
+    * processed, or when they come sooner than the publish rate allows.
+    * @param {Number} now The time in ms
+    * @param {Number} minPublishInterval The shortest time in ms between two published frames
+    * @returns {String|null} Why the frame is dropped, 'rate_limited' or 'busy', or null to publish it
+    */
+    admit(now, minPublishInterval) {
+        let reason = null;
+        if (now - this.lastPublishTime < minPublishInterval) {
+            reason = 'rate_limited';
+        }
+        else if (this.isProcessing) {
+            reason = 'busy';
+        }
+        if (reason) {
+            this.frameDropCount++;
+            return reason;
+        }
+        this.isProcessing = true;
+        this.lastPublishTime = now;
+        return null;
+    }
+
+    /**
+    * Counts a published frame
+    * @param {Number} processingTimeMs How long publishing took
+    * @param {Number|null} latencyMs Time from capture to publish, if the frame had a capture time
+    */
+    published(processingTimeMs, latencyMs) {
+        this.frameCount++;
+        this.lastProcessTime = processingTimeMs;
+        if (typeof latencyMs === 'number') {
+            this.latencyMs = this.latencyMs === null ? latencyMs : (1 - LATENCY_WEIGHT) * this.latencyMs + LATENCY_WEIGHT * latencyMs;
+        }
+    }
+
+    resetStats() {
+        this.frameCount = 0;
+        this.frameDropCount = 0;
+        // Moving average of the time from capture to publish
+        this.latencyMs = null;
+        this.lastProcessTime = 0;
+        this.lastPublishTime = 0;
+    }
+
+    getStats() {
+        return {
+            namespace: this.namespace,
+            topic: this.topic,
+            clients: this.clients.size,
+            frameCount: this.frameCount,
+            frameDropCount: this.frameDropCount,
+            latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+            lastProcessTime: this.lastProcessTime,
+            isProcessing: this.isProcessing,
+        };
+    }
+}
+
+/**
+ * ImageStreamRegistry creates the stream of a namespace when its first connection declares it, and
+ * destroys it with its publisher when the last one disconnects
+ */
+class ImageStreamRegistry {
+    /**
+    * @param {Object} options
+    * @param {Function} options.getTopic Returns the configured topic
+    * @param {Function} options.createPublisher Creates the ROS2 publisher of a topic, given the topic and namespace
+    * @param {Function} options.destroyPublisher Destroys a publisher made by createPublisher
+    * @param {Function} [options.setup] Called with a new stream, to attach what else it publishes
+    * @param {Function} [options.teardown] Called with a stream before its publisher is destroyed
+    */
+    constructor({ getTopic, createPublisher, destroyPublisher, setup = () => {}, teardown = () => {} }) {
+        this.getTopic = getTopic;
+        this.createPublisher = createPublisher;
+        this.destroyPublisher = destroyPublisher;
+        this.setup = setup;
+        this.teardown = teardown;
+        this.streams = new Map();
+    }
+
+    /**
+    * Returns the stream of a namespace for a connection, creating it and its publisher if needed
+    * @param {String} namespace The normalized namespace, see normalizeNamespace
+    * @param {Object} client The connection
+    * @returns {ImageStream} The stream
+    */
+    acquire(namespace, client) {
+        let stream = this.streams.get(namespace);
+        if (!stream) {
+            const topic = namespaceTopic(namespace, this.getTopic());
+            stream = new ImageStream(namespace, topic, this.createPublisher(topic, namespace));
+            this.setup(stream);
+            this.streams.set(namespace, stream);
+            console.log(`Publishing stream ${namespace || '(default)'} to topic: ${topic}`);
+        }
+        stream.clients.add(client);
+        return stream;
+    }
+
+    /**
+    * Removes a connection from its stream, and the stream once no connection is left
+    * @param {ImageStream} stream The stream returned by acquire
+    * @param {Object} client The connection
+    */
+    release(stream, client) {
+        stream.clients.delete(client);
+        if (stream.clients.size > 0 || this.streams.get(stream.namespace) !== stream) {
+            return;
+        }
+        this.streams.delete(stream.namespace);
+        try {
+            this.teardown(stream);
+            this.destroyPublisher(stream.publisher);
+        } catch (error) {
+            console.error(`Error destroying the publisher of ${stream.topic}:`, error);
+        }
+        console.log(`Stopped publishing to topic: ${stream.topic}`);
+    }
+
+    all() {
+        return Array.from(this.streams.values());
+    }
+
+    // Destroys every stream, when the publisher shuts down
+    clear() {
+        this.all().forEach((stream) => {
+            stream.clients.clear();
+            this.release(stream, null);
+        });
+    }
+}
+
+module.exports = {
+    normalizeNamespace,
+    namespaceTopic,
+    namespaceFrameId,
+    ImageStream,
+    ImageStreamRegistry,
+};
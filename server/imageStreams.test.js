@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+const { normalizeNamespace, namespaceTopic, namespaceFrameId, ImageStream, ImageStreamRegistry } = require('./imageStreams');
+
+describe('stream namespaces', () => {
+    test('are made of the drone names apps declare', () => {
+        expect(normalizeNamespace('drone1')).toBe('drone1');
+        expect(normalizeNamespace('Scout 2 (north)')).toBe('Scout_2_north');
+        expect(normalizeNamespace('7f3a-socket')).toBe('stream_7f3a_socket');
+        expect(normalizeNamespace(undefined)).toBe('');
+        expect(normalizeNamespace('--')).toBe('');
+        expect(() => normalizeNamespace(42)).toThrow(/must be a string/);
+    });
+
+    test('prefix the topic and frame_id', () => {
+        expect(namespaceTopic('drone1', '/camera/image_raw/compressed')).toBe('/drone1/camera/image_raw/compressed');
+        expect(namespaceTopic('drone1', 'camera/image_raw/compressed')).toBe('/drone1/camera/image_raw/compressed');
+        expect(namespaceTopic('', '/camera/image_raw/compressed')).toBe('/camera/image_raw/compressed');
+        expect(namespaceFrameId('drone1', 'camera_frame')).toBe('drone1/camera_frame');
+        expect(namespaceFrameId('', 'camera_frame')).toBe('camera_frame');
+    });
+});
+
+describe('ImageStream', () => {
+    test('rate limits its own frames', () => {
+        const stream = new ImageStream('drone1', '/drone1/camera/image_raw/compressed', {});
+        expect(stream.admit(1000, 100)).toBeNull();
+        expect(stream.admit(1010, 100)).toBe('rate_limited');
+        expect(stream.admit(1100, 100)).toBe('busy');
+        stream.isProcessing = false;
+        stream.published(2, 40);
+        expect(stream.admit(1100, 100)).toBeNull();
+        stream.isProcessing = false;
+        stream.published(4, 90);
+
+        expect(stream.getStats()).toMatchObject({ frameCount: 2, frameDropCount: 2, latencyMs: 50, lastProcessTime: 4 });
+        stream.resetStats();
+        expect(stream.getStats()).toMatchObject({ frameCount: 0, frameDropCount: 0, latencyMs: null });
+    });
+});
+
+describe('ImageStreamRegistry', () => {
+    let created;
+    let destroyed;
+    let registry;
+
+    beforeEach(() => {
+        created = [];
+        destroyed = [];
+        registry = new ImageStreamRegistry({
+            getTopic: () => '/camera/image_raw/compressed',
+            createPublisher: (topic) => {
+                const publisher = { topic };
+                created.push(publisher);
+                return publisher;
+            },
+            destroyPublisher: (publisher) => destroyed.push(publisher),
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('gives every namespace a publisher of its own, shared by its connections', () => {
+        const tab1 = registry.acquire('drone1', 'tab1');
+        const tab2 = registry.acquire('drone1', 'tab2');
+        const other = registry.acquire('drone2', 'tab1');
+        expect(tab2).toBe(tab1);
+        expect(other).not.toBe(tab1);
+        expect(created.map(({ topic }) => topic)).toEqual(['/drone1/camera/image_raw/compressed', '/drone2/camera/image_raw/compressed']);
+
+        // Streams do not share a rate limit
+        expect(tab1.admit(1000, 100)).toBeNull();
+        expect(other.admit(1000, 100)).toBeNull();
+    });
+
+    test('destroys the publisher of a stream when its last connection leaves', () => {
+        const stream = registry.acquire('drone1', 'tab1');
+        registry.acquire('drone1', 'tab2');
+        registry.release(stream, 'tab1');
+        expect(destroyed).toHaveLength(0);
+        registry.release(stream, 'tab2');
+        expect(destroyed).toEqual([stream.publisher]);
+        expect(registry.all()).toHaveLength(0);
+
+        // The namespace gets a new publisher when a connection comes back
+        expect(registry.acquire('drone1', 'tab1')).not.toBe(stream);
+        expect(created).toHaveLength(2);
+    });
+
+    test('destroys every publisher on clear', () => {
+        registry.acquire('drone1', 'tab1');
+        registry.acquire('', 'legacy');
+        registry.clear();
+        expect(destroyed).toHaveLength(2);
+        expect(registry.all()).toHaveLength(0);
+    });
+
+    test('sets streams up and tears them down around their publisher', () => {
+        const calls = [];
+        registry = new ImageStreamRegistry({
+            getTopic: () => '/camera/image_raw/compressed',
+            createPublisher: (topic) => ({ topic }),
+            destroyPublisher: () => calls.push('destroy'),
+            setup: (stream) => calls.push(`setup ${stream.namespace} ${stream.publisher.topic}`),
+            teardown: (stream) => calls.push(`teardown ${stream.namespace}`),
+        });
+        const stream = registry.acquire('drone1', 'tab1');
+        registry.acquire('drone1', 'tab2');
+        registry.release(stream, 'tab1');
+        registry.release(stream, 'tab2');
+        expect(calls).toEqual(['setup drone1 /drone1/camera/image_raw/compressed', 'teardown drone1', 'destroy']);
+    });
+});
@@ -1,5 +1,24 @@
 const wss = require('./wss');
-const WSSPORT = 8090;
+const httpApi = require('./http');
+const { createRelay } = require('./relay');
+const { loadConfig } = require('./config');
+const { RecordingStore } = require('./recordings');
+
+const config = loadConfig();
+const { signaling } = config;
 
 // WebSocket server
-wss.init(WSSPORT);
+wss.init(signaling.port, {
+    heartbeatInterval: signaling.heartbeatInterval,
+    heartbeatTimeout: signaling.heartbeatTimeout,
+    relay: createRelay(signaling.relay, { url: signaling.redisUrl }),
+    tls: config.tls,
+});
+console.log(`Signaling server listening on ${config.tls.cert ? 'wss' : 'ws'}://0.0.0.0:${signaling.port}`);
+
+// Health, metrics, admin API and recording uploads
+httpApi.init(signaling.http.port, wss, {
+    host: signaling.http.host,
+    tls: config.tls,
+    recordings: new RecordingStore(config.recordings.dir, { maxChunkBytes: config.recordings.maxChunkBytes }),
+});
@@ -0,0 +1,60 @@
+// Counters exported in the Prometheus text format by server/http.js
+const relayedMessages = new Map();
+const relayErrors = new Map();
+
+const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(',');
+
+// Message types get a series of their own, anything else a client sends counts as `other` so clients
+// cannot grow the number of series
+const RELAYED_TYPES = ['offer', 'answer', 'candidate'];
+
+function countRelayed(event, type) {
+    increment(relayedMessages, JSON.stringify({ event, type: RELAYED_TYPES.includes(type) ? type : 'other' }));
+}
+
+function countError(code) {
+    increment(relayErrors, code);
+}
+
+function reset() {
+    relayedMessages.clear();
+    relayErrors.clear();
+}
+
+/**
+* Renders all metrics in the Prometheus text exposition format
+* @param {Object} clientsByRole Number of connected clients keyed by role
+* @returns {String} The metrics page
+*/
+function render(clientsByRole) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            lines.push(`${name}{${formatLabels(labels)}} ${value}`);
+        }
+    };
+
+    metric('signaling_connected_clients', 'gauge', 'Connected signaling clients by role',
+        Object.entries(clientsByRole).map(([role, count]) => [{ role }, count]));
+    metric('signaling_relayed_messages_total', 'counter', 'Signaling messages relayed between peers by event and message type',
+        [...relayedMessages].map(([key, count]) => [JSON.parse(key), count]));
+    metric('signaling_relay_errors_total', 'counter', 'Error replies sent to clients by error code',
+        [...relayErrors].map(([code, count]) => [{ code }, count]));
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    countRelayed,
+    countError,
+    reset,
+    render,
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+const ROLES = ['drone', 'operator'];
+
+/**
+ * PeerRegistry keeps track of every connected socket and, once a client has
+ * registered, the role, readable name and metadata it announced.
+ */
+class PeerRegistry {
+    constructor() {
+        this.peers = new Map();
+    }
+
+    add(id, socket) {
+        const peer = {
+            id,
+            socket,
+            role: null,
+            name: null,
+            metadata: {},
+            registered: false,
+            claims: null,
+            authTimer: null,
+            resumeToken: null,
+            queue: [],
+            graceTimer: null,
+            disconnectedAt: null,
+            connectedAt: Date.now(),
+            lastSeen: Date.now(),
+            // IDs of the peers this peer has exchanged signaling messages with
+            sessions: new Set(),
+        };
+        this.peers.set(id, peer);
+        return peer;
+    }
+
+    get(id) {
+        return this.peers.get(id) || null;
+    }
+
+    findByResumeToken(resumeToken) {
+        for (const peer of this.peers.values()) {
+            if (peer.resumeToken && peer.resumeToken === resumeToken) {
+                return peer;
+            }
+        }
+        return null;
+    }
+
+    findBySocket(socket) {
+        for (const peer of this.peers.values()) {
+            if (peer.socket === socket) {
+                return peer;
+            }
+        }
+        return null;
+    }
+
+    remove(id) {
+        const peer = this.get(id);
+        this.peers.delete(id);
+        for (const other of this.peers.values()) {
+            other.sessions.delete(id);
+        }
+        return peer;
+    }
+
+    /**
+    * Returns every peer that currently has a socket, registered or not
+    * @returns {Array} The connected peer records
+    */
+    connected() {
+        return [...this.peers.values()].filter(peer => peer.socket);
+    }
+
+    /**
+    * Remembers that two peers are negotiating with each other
+    * @param {Object} peer One side of the session
+    * @param {Object} other The other side of the session
+    */
+    link(peer, other) {
+        peer.sessions.add(other.id);
+        other.sessions.add(peer.id);
+    }
+
+    authenticate(id, claims) {
+        const peer = this.get(id);
+        if (peer) {
+            peer.claims = claims;
+        }
+        return peer;
+    }
+
+    register(id, { role, name, metadata }) {
+        const peer = this.get(id);
+        if (!peer) {
+            return null;
+        }
+        peer.role = role;
+        peer.name = name || `${role}-${id}`;
+        peer.metadata = metadata || {};
+        peer.registered = true;
+        if (!peer.resumeToken) {
+            peer.resumeToken = crypto.randomBytes(16).toString('hex');
+        }
+        return peer;
+    }
+
+    /**
+    * Detaches the socket from a registered peer, keeping its ID and queue until it resumes or is removed
+    * @param {String} id The socket id of the peer
+    * @returns {Object} The suspended peer record
+    */
+    suspend(id) {
+        const peer = this.get(id);
+        if (peer) {
+            peer.socket = null;
+            peer.disconnectedAt = Date.now();
+        }
+        return peer;
+    }
+
+    /**
+    * Moves the socket of a freshly connected client onto a suspended peer, which takes over its identity
+    * @param {String} newID The temporary socket id assigned to the new connection
+    * @param {String} suspendedID The socket id of the suspended peer
+    * @returns {Object} The resumed peer record
+    */
+    resume(newID, suspendedID) {
+        const fresh = this.get(newID);
+        const peer = this.get(suspendedID);
+        if (!fresh || !peer || peer.socket) {
+            return null;
+        }
+        peer.socket = fresh.socket;
+        peer.claims = fresh.claims;
+        peer.disconnectedAt = null;
+        peer.lastSeen = Date.now();
+        this.peers.delete(newID);
+        return peer;
+    }
+
+    /**
+    * Returns the registered peers, optionally filtered by role
+    * @param {String} [role] Only return peers with this role
+    * @returns {Array} The registered peer records
+    */
+    list(role) {
+        return [...this.peers.values()]
+            .filter(peer => peer.registered && (!role || peer.role === role));
+    }
+
+    /**
+    * Returns the public description of a peer that is safe to send to other clients
+    * @param {Object} peer The peer record
+    * @returns {Object} socketID, role, name and metadata of the peer
+    */
+    static describe(peer) {
+        return {
+            socketID: peer.id,
+            role: peer.role,
+            name: peer.name,
+            metadata: peer.metadata,
+            online: !!peer.socket,
+        };
+    }
+}
+
+module.exports = {
+    ROLES,
+    PeerRegistry,
+};
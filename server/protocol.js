@@ -0,0 +1,132 @@
+const { ROLES } = require('./peerRegistry');
+
+// Version of the signaling protocol spoken by this server. Messages without `v` are treated as version 1.
+const PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = {
+    BAD_MESSAGE: 'bad_message',
+    UNSUPPORTED_EVENT: 'unsupported_event',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    TARGET_NOT_FOUND: 'target_not_found',
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    INTERNAL_ERROR: 'internal_error',
+};
+
+class ProtocolError extends Error {
+    constructor(code, message, event) {
+        super(message);
+        this.name = "ProtocolError";
+        this.code = code;
+        this.event = event;
+    }
+}
+
+/*
+ * Schema of the `data` payload of every event a client may send. `target` marks events that are
+ * relayed to another peer and therefore need a socketID, either on the envelope or inside `data`.
+ */
+const SCHEMAS = {
+    auth: {
+        data: {
+            token: { type: 'string', required: true },
+        },
+    },
+    register: {
+        data: {
+            role: { type: 'string', required: true, oneOf: ROLES },
+            name: { type: 'string' },
+            metadata: { type: 'object' },
+            resumeToken: { type: 'string' },
+        },
+    },
+    list_peers: {},
+    get_ice_config: {},
+    webrtc_msg: {
+        target: true,
+        data: {
+            type: { type: 'string', required: true },
+        },
+    },
+};
+
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+};
+
+function validateData(event, schema, data) {
+    if (!schema) {
+        return;
+    }
+    if (typeOf(data) !== 'object') {
+        throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, `'${event}' requires a data object`, event);
+    }
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+        if (value === undefined) {
+            if (rule.required) {
+                throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, `'${event}' is missing data.${field}`, event);
+            }
+            continue;
+        }
+        if (typeOf(value) !== rule.type) {
+            throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, `'${event}' data.${field} must be a ${rule.type}`, event);
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, `'${event}' data.${field} must be one of ${rule.oneOf.join(', ')}`, event);
+        }
+    }
+}
+
+/**
+* Parses and validates a raw signaling message, but will throw a ProtocolError if it does not follow the protocol
+* @param {String|Buffer} raw The message as received from the socket
+* @returns {Object} The protocol version, event, data and target socketID of the message
+*/
+function parseMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, 'Message is not valid JSON');
+    }
+    if (typeOf(message) !== 'object') {
+        throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, 'Message must be a JSON object');
+    }
+
+    const { event, data } = message;
+    if (typeof event !== 'string' || !event) {
+        throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, 'Message is missing an event');
+    }
+
+    const version = message.v === undefined ? 1 : message.v;
+    if (!Number.isInteger(version) || version < 1 || version > PROTOCOL_VERSION) {
+        throw new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION, `Protocol version ${message.v} is not supported, use ${PROTOCOL_VERSION}`, event);
+    }
+
+    const schema = SCHEMAS[event];
+    if (!schema) {
+        throw new ProtocolError(ERROR_CODES.UNSUPPORTED_EVENT, `Unsupported event '${event}'`, event);
+    }
+    validateData(event, schema.data, data);
+
+    let target = null;
+    if (schema.target) {
+        target = message.socketID || data.socketID;
+        if (typeof target !== 'string' || !target) {
+            throw new ProtocolError(ERROR_CODES.BAD_MESSAGE, `'${event}' requires a target socketID`, event);
+        }
+    }
+
+    return { version, event, data, target };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    ProtocolError,
+    parseMessage,
+};
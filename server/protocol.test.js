@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+const { PROTOCOL_VERSION, ERROR_CODES, ProtocolError, parseMessage } = require('./protocol');
+
+const expectProtocolError = (raw, code) => {
+    let thrown;
+    try {
+        parseMessage(raw);
+    } catch (error) {
+        thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(ProtocolError);
+    expect(thrown.code).toBe(code);
+    return thrown;
+};
+
+describe('parseMessage', () => {
+    test('parses a valid webrtc_msg with the target on the envelope', () => {
+        const parsed = parseMessage(JSON.stringify({
+            v: PROTOCOL_VERSION,
+            event: 'webrtc_msg',
+            socketID: 'drone1',
+            data: { type: 'offer', sdp: 'v=0' },
+        }));
+        expect(parsed).toEqual({
+            version: PROTOCOL_VERSION,
+            event: 'webrtc_msg',
+            data: { type: 'offer', sdp: 'v=0' },
+            target: 'drone1',
+        });
+    });
+
+    test('takes the target from data and treats a missing version as 1', () => {
+        const parsed = parseMessage(Buffer.from(JSON.stringify({
+            event: 'webrtc_msg',
+            data: { type: 'candidate', socketID: 'drone1' },
+        })));
+        expect(parsed.version).toBe(1);
+        expect(parsed.target).toBe('drone1');
+    });
+
+    test('rejects invalid JSON', () => {
+        expectProtocolError('{not json', ERROR_CODES.BAD_MESSAGE);
+    });
+
+    test('rejects messages that are not objects', () => {
+        expectProtocolError('[1, 2]', ERROR_CODES.BAD_MESSAGE);
+        expectProtocolError('null', ERROR_CODES.BAD_MESSAGE);
+    });
+
+    test('rejects messages without an event', () => {
+        expectProtocolError(JSON.stringify({ data: {} }), ERROR_CODES.BAD_MESSAGE);
+    });
+
+    test('rejects unknown protocol versions', () => {
+        const error = expectProtocolError(JSON.stringify({ v: PROTOCOL_VERSION + 1, event: 'list_peers' }), ERROR_CODES.UNSUPPORTED_VERSION);
+        expect(error.event).toBe('list_peers');
+    });
+
+    test('rejects unknown events', () => {
+        expectProtocolError(JSON.stringify({ event: 'self_destruct' }), ERROR_CODES.UNSUPPORTED_EVENT);
+    });
+
+    test('rejects a webrtc_msg without data', () => {
+        expectProtocolError(JSON.stringify({ event: 'webrtc_msg', socketID: 'drone1' }), ERROR_CODES.BAD_MESSAGE);
+    });
+
+    test('rejects a webrtc_msg without a target', () => {
+        expectProtocolError(JSON.stringify({ event: 'webrtc_msg', data: { type: 'offer' } }), ERROR_CODES.BAD_MESSAGE);
+    });
+
+    test('rejects register with a role outside of the known roles', () => {
+        const error = expectProtocolError(JSON.stringify({ event: 'register', data: { role: 'admin' } }), ERROR_CODES.BAD_MESSAGE);
+        expect(error.message).toMatch(/data\.role/);
+    });
+
+    test('rejects fields of the wrong type', () => {
+        expectProtocolError(JSON.stringify({ event: 'register', data: { role: 'drone', metadata: 'x' } }), ERROR_CODES.BAD_MESSAGE);
+        expectProtocolError(JSON.stringify({ event: 'auth', data: { token: 42 } }), ERROR_CODES.BAD_MESSAGE);
+    });
+});
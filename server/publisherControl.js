@@ -0,0 +1,114 @@
+/*
+ * Control protocol of the image publisher, spoken on the same WebSocket as the frames. A client sends
+ *
+ *   { type: 'control', data: { id, command, params } }
+ *
+ * and gets exactly one answer with the same id, either { type: 'control_response', data: { id, result } }
+ * or { type: 'control_response', data: { id, error: { code, message } } }. Changes to the configuration are
+ * also announced to every client as { type: 'config', data: <getConfig()> }.
+ */
+
+const CONTROL_ERRORS = {
+    BAD_REQUEST: 'bad_request',
+    UNKNOWN_COMMAND: 'unknown_command',
+    INVALID_PARAMS: 'invalid_params',
+    INTERNAL_ERROR: 'internal_error',
+};
+
+class ControlError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "ControlError";
+        this.code = code;
+    }
+}
+
+// Settings of the publisher that can be changed while it runs, and the values they accept
+const LIVE_CONFIG = {
+    publishRate: { type: 'number', min: 1, max: 30 },
+    frameId: { type: 'string' },
+    statsInterval: { type: 'number', min: 100, max: 60000 },
+};
+
+/**
+* Checks changes to the live configuration, but will throw a ControlError if one is not allowed
+* @param {Object} changes Settings to change, keys of LIVE_CONFIG
+* @returns {Object} The changes
+*/
+function validateConfigChanges(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new ControlError(CONTROL_ERRORS.INVALID_PARAMS, 'Configuration changes must be an object');
+    }
+    for (const [key, value] of Object.entries(changes)) {
+        const rule = LIVE_CONFIG[key];
+        if (!rule) {
+            throw new ControlError(CONTROL_ERRORS.INVALID_PARAMS, `'${key}' cannot be changed while running`);
+        }
+        if (typeof value !== rule.type || (rule.type === 'string' && !value)) {
+            throw new ControlError(CONTROL_ERRORS.INVALID_PARAMS, `'${key}' must be a non-empty ${rule.type}`);
+        }
+        if (rule.type === 'number' && !(value >= rule.min && value <= rule.max)) {
+            throw new ControlError(CONTROL_ERRORS.INVALID_PARAMS, `'${key}' must be between ${rule.min} and ${rule.max}`);
+        }
+    }
+    return changes;
+}
+
+/*
+ * Commands a client may send, each runs against the publisher with the params of the request and the
+ * connection it came in on, and returns the result of the response. Stats are those of the connection's
+ * stream, listStreams has the stats of every stream.
+ */
+const COMMANDS = {
+    getStats: (publisher, params, { stream }) => publisher.getStats(stream),
+    resetStats: (publisher, params, { stream }) => {
+        publisher.resetStats(stream);
+        return publisher.getStats(stream);
+    },
+    listStreams: (publisher) => publisher.getStats().streams,
+    setPublishRate: (publisher, { fps }, { namespace }) => {
+        publisher.configure(validateConfigChanges({ publishRate: fps }));
+        return publisher.getConfig(namespace);
+    },
+    getConfig: (publisher, params, { namespace }) => publisher.getConfig(namespace),
+    setConfig: (publisher, changes, { namespace }) => {
+        publisher.configure(validateConfigChanges(changes));
+        return publisher.getConfig(namespace);
+    },
+};
+
+/**
+* Runs a control request against the publisher
+* @param {Object} publisher The ROS2ImagePublisherCompressed, or anything with the methods COMMANDS call
+* @param {Object} request The data of the control message, { id, command, params }
+* @param {Object} [client] The connection of the request, its stream and namespace
+* @returns {Object} The control_response message to send back
+*/
+function handleControlRequest(publisher, request, { stream = null, namespace = '' } = {}) {
+    const id = request && request.id !== undefined ? request.id : null;
+    try {
+        if (!request || typeof request !== 'object' || typeof request.command !== 'string') {
+            throw new ControlError(CONTROL_ERRORS.BAD_REQUEST, 'Control requests need a command');
+        }
+        const command = Object.prototype.hasOwnProperty.call(COMMANDS, request.command) && COMMANDS[request.command];
+        if (!command) {
+            throw new ControlError(CONTROL_ERRORS.UNKNOWN_COMMAND, `Unknown command '${request.command}'`);
+        }
+        const result = command(publisher, request.params || {}, { stream, namespace });
+        return { type: 'control_response', data: { id, result } };
+    } catch (error) {
+        const code = error instanceof ControlError ? error.code : CONTROL_ERRORS.INTERNAL_ERROR;
+        if (code === CONTROL_ERRORS.INTERNAL_ERROR) {
+            console.error('Error running control request:', error);
+        }
+        return { type: 'control_response', data: { id, error: { code, message: error.message } } };
+    }
+}
+
+module.exports = {
+    CONTROL_ERRORS,
+    ControlError,
+    LIVE_CONFIG,
+    validateConfigChanges,
+    handleControlRequest,
+};
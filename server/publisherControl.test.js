@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+const { CONTROL_ERRORS, handleControlRequest } = require('./publisherControl');
+
+// Stands in for ROS2ImagePublisherCompressed, which needs ROS2
+class FakePublisher {
+    constructor() {
+        this.config = { topic: '/camera/image_raw/compressed', frameId: 'camera_frame', publishRate: 10, statsInterval: 1000 };
+        this.stats = { frameCount: 12, frameDropCount: 3 };
+    }
+
+    getStats(stream) {
+        return stream ? { ...this.stats, namespace: stream.namespace } : { ...this.stats, streams: [] };
+    }
+
+    resetStats() {
+        this.stats = { frameCount: 0, frameDropCount: 0 };
+    }
+
+    getConfig(namespace = '') {
+        return { ...this.config, namespace };
+    }
+
+    configure(changes) {
+        Object.assign(this.config, changes);
+    }
+}
+
+let publisher;
+
+beforeEach(() => {
+    publisher = new FakePublisher();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('control requests', () => {
+    test('read and reset the stats', () => {
+        expect(handleControlRequest(publisher, { id: 1, command: 'getStats' })).toEqual({
+            type: 'control_response',
+            data: { id: 1, result: { frameCount: 12, frameDropCount: 3, streams: [] } },
+        });
+        expect(handleControlRequest(publisher, { id: 2, command: 'resetStats' }).data.result).toMatchObject({ frameCount: 0, frameDropCount: 0 });
+        expect(publisher.stats.frameCount).toBe(0);
+    });
+
+    test('change the live configuration and answer with the new one', () => {
+        expect(handleControlRequest(publisher, { id: 1, command: 'setPublishRate', params: { fps: 20 } }).data.result)
+            .toMatchObject({ publishRate: 20 });
+        expect(handleControlRequest(publisher, { id: 2, command: 'setConfig', params: { frameId: 'gimbal', statsInterval: 500 } }).data.result)
+            .toMatchObject({ frameId: 'gimbal', statsInterval: 500, publishRate: 20 });
+        expect(handleControlRequest(publisher, { id: 3, command: 'getConfig' }).data.result).toEqual({ ...publisher.config, namespace: '' });
+    });
+
+    test('apply to the stream of the connection they came in on', () => {
+        const client = { namespace: 'drone1', stream: { namespace: 'drone1' } };
+        expect(handleControlRequest(publisher, { id: 1, command: 'getStats' }, client).data.result.namespace).toBe('drone1');
+        expect(handleControlRequest(publisher, { id: 2, command: 'getConfig' }, client).data.result.namespace).toBe('drone1');
+        expect(handleControlRequest(publisher, { id: 3, command: 'listStreams' }, client).data.result).toEqual([]);
+    });
+
+    test('are answered with an error for unknown commands and invalid params', () => {
+        const error = (request) => handleControlRequest(publisher, request).data;
+        expect(error({ id: 1 })).toMatchObject({ id: 1, error: { code: CONTROL_ERRORS.BAD_REQUEST } });
+        expect(error({ id: 2, command: 'shutdown' })).toMatchObject({ id: 2, error: { code: CONTROL_ERRORS.UNKNOWN_COMMAND } });
+        expect(error({ id: 3, command: 'toString' })).toMatchObject({ error: { code: CONTROL_ERRORS.UNKNOWN_COMMAND } });
+        expect(error({ id: 4, command: 'setPublishRate', params: { fps: 100 } }))
+            .toEqual({ id: 4, error: { code: CONTROL_ERRORS.INVALID_PARAMS, message: "'publishRate' must be between 1 and 30" } });
+        expect(error({ id: 5, command: 'setConfig', params: { topic: '/other' } })).toMatchObject({ error: { code: CONTROL_ERRORS.INVALID_PARAMS } });
+        expect(error({ id: 6, command: 'setConfig', params: { frameId: '' } })).toMatchObject({ error: { code: CONTROL_ERRORS.INVALID_PARAMS } });
+        expect(publisher.config).toMatchObject({ publishRate: 10, frameId: 'camera_frame' });
+        expect(handleControlRequest(publisher, null).data).toMatchObject({ id: null, error: { code: CONTROL_ERRORS.BAD_REQUEST } });
+    });
+
+    test('report failures of the publisher as internal errors', () => {
+        publisher.getStats = () => {
+            throw new Error('node destroyed');
+        };
+        expect(handleControlRequest(publisher, { id: 1, command: 'getStats' }).data)
+            .toEqual({ id: 1, error: { code: CONTROL_ERRORS.INTERNAL_ERROR, message: 'node destroyed' } });
+    });
+});
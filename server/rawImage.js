@@ -0,0 +1,155 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Jimp = require('jimp');
+
+/*
+ * Decodes the frames sent by the operator app into sensor_msgs/Image messages, for nodes that only
+ * subscribe to raw images.
+ */
+
+// Bytes per pixel of the encodings published, see sensor_msgs/image_encodings
+const RAW_ENCODINGS = {
+    rgb8: 3,
+    bgr8: 3,
+    mono8: 1,
+};
+
+/**
+* Decodes an encoded image, but will throw an exception if it is not a format Jimp reads (JPEG, PNG, BMP, ...)
+* @param {Buffer} buffer The image as sent by the app
+* @returns {Promise<Object>} { width, height, data } with the pixels as RGBA in data
+*/
+async function decodeImage(buffer) {
+    const image = await Jimp.read(buffer);
+    return image.bitmap;
+}
+
+/**
+* Converts RGBA pixels to a raw image encoding, dropping the alpha channel
+* @param {Object} bitmap { width, height, data } as returned by decodeImage
+* @param {String} encoding rgb8, bgr8 or mono8
+* @returns {Buffer} The pixels, row by row without padding
+*/
+function convertPixels({ width, height, data }, encoding) {
+    const channels = RAW_ENCODINGS[encoding];
+    if (!channels) {
+        throw new Error(`Unsupported raw image encoding '${encoding}'`);
+    }
+    const pixels = Buffer.alloc(width * height * channels);
+    for (let i = 0, o = 0; i < width * height * 4; i += 4, o += channels) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        if (encoding === 'rgb8') {
+            pixels[o] = r;
+            pixels[o + 1] = g;
+            pixels[o + 2] = b;
+        }
+        else if (encoding === 'bgr8') {
+            pixels[o] = b;
+            pixels[o + 1] = g;
+            pixels[o + 2] = r;
+        }
+        else {
+            // ITU-R BT.601 luma, as OpenCV's RGB to gray conversion
+            pixels[o] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+        }
+    }
+    return pixels;
+}
+
+/**
+* Builds the sensor_msgs/Image message of a decoded image
+* @param {Object} bitmap { width, height, data } as returned by decodeImage
+* @param {String} encoding rgb8, bgr8 or mono8
+* @param {Object} header The std_msgs/Header, stamp and frame_id
+* @returns {Object} The sensor_msgs/Image message
+*/
+function createImageMessage(bitmap, encoding, header) {
+    return {
+        header,
+        height: bitmap.height,
+        width: bitmap.width,
+        encoding,
+        is_bigendian: 0,
+        step: bitmap.width * RAW_ENCODINGS[encoding],
+        data: convertPixels(bitmap, encoding),
+    };
+}
+
+/**
+ * ImageDecoder decodes images into sensor_msgs/Image messages on a worker thread, see rawImageWorker.js.
+ * Decoding a large JPEG takes tens of milliseconds, which would otherwise hold up the frames, time_sync
+ * answers and acks of every connection.
+ */
+class ImageDecoder {
+    /**
+    * @param {String} encoding rgb8, bgr8 or mono8
+    */
+    constructor(encoding) {
+        if (!RAW_ENCODINGS[encoding]) {
+            throw new Error(`Unsupported raw image encoding '${encoding}'`);
+        }
+        this.pending = new Map();
+        this.nextID = 1;
+        // Set once the worker exited, after which every frame is rejected
+        this.stopped = null;
+        this.worker = new Worker(path.join(__dirname, 'rawImageWorker.js'), { workerData: { encoding } });
+        this.worker.on('message', ({ id, image, error }) => {
+            const request = this.pending.get(id);
+            if (!request) {
+                return;
+            }
+            this.pending.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            }
+            else {
+                request.resolve({ ...image, data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength) });
+            }
+        });
+        this.worker.on('error', (error) => {
+            console.error('Image decoder failed:', error);
+            this.rejectAll(error);
+        });
+        this.worker.on('exit', () => {
+            this.stopped = new Error('Image decoder stopped');
+            this.rejectAll(this.stopped);
+        });
+    }
+
+    /**
+    * Decodes an image, rejected if it is not a format Jimp reads or the worker stopped
+    * @param {Buffer} buffer The image as sent by the app
+    * @returns {Promise<Object>} The sensor_msgs/Image message without its header
+    */
+    decode(buffer) {
+        if (this.stopped) {
+            return Promise.reject(this.stopped);
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextID++;
+            this.pending.set(id, { resolve, reject });
+            // A copy of its own, as the frame may be a view into a larger buffer
+            const copy = new Uint8Array(buffer);
+            this.worker.postMessage({ id, buffer: copy }, [copy.buffer]);
+        });
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+
+    close() {
+        return this.worker.terminate();
+    }
+}
+
+module.exports = {
+    RAW_ENCODINGS,
+    decodeImage,
+    convertPixels,
+    createImageMessage,
+    ImageDecoder,
+};
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+const Jimp = require('jimp');
+const { decodeImage, convertPixels, createImageMessage, ImageDecoder } = require('./rawImage');
+
+// A 3x2 test image: red, green, blue on top, white, black and mid gray below
+const PIXELS = [
+    [255, 0, 0], [0, 255, 0], [0, 0, 255],
+    [255, 255, 255], [0, 0, 0], [128, 128, 128],
+];
+
+const encodeTestImage = async (mime) => {
+    const image = new Jimp(3, 2);
+    PIXELS.forEach(([r, g, b], i) => image.setPixelColor(Jimp.rgbaToInt(r, g, b, 255), i % 3, Math.floor(i / 3)));
+    return image.getBufferAsync(mime);
+};
+
+const header = { stamp: { sec: 1700000000, nanosec: 5e8 }, frame_id: 'drone1/camera_frame' };
+
+describe('raw images', () => {
+    let bitmap;
+
+    beforeAll(async () => {
+        bitmap = await decodeImage(await encodeTestImage(Jimp.MIME_PNG));
+    });
+
+    test('are rgb8 pixels row by row', () => {
+        expect(createImageMessage(bitmap, 'rgb8', header)).toEqual({
+            header,
+            height: 2,
+            width: 3,
+            encoding: 'rgb8',
+            is_bigendian: 0,
+            step: 9,
+            data: Buffer.from(PIXELS.flat()),
+        });
+    });
+
+    test('swap red and blue in bgr8', () => {
+        expect(Array.from(convertPixels(bitmap, 'bgr8'))).toEqual(PIXELS.flatMap(([r, g, b]) => [b, g, r]));
+    });
+
+    test('are BT.601 luma in mono8', () => {
+        const message = createImageMessage(bitmap, 'mono8', header);
+        expect(message.step).toBe(3);
+        expect(Array.from(message.data)).toEqual([76, 150, 29, 255, 0, 128]);
+    });
+
+    test('come out of JPEG frames close to the original colors', async () => {
+        // 16x16 quadrants of the first four test colors, big enough for JPEG to keep them apart
+        const image = new Jimp(32, 32);
+        image.scan(0, 0, 32, 32, (x, y, offset) => {
+            const [r, g, b] = PIXELS[(y >= 16 ? 2 : 0) + (x >= 16 ? 1 : 0)];
+            image.bitmap.data.set([r, g, b, 255], offset);
+        });
+        const jpeg = await decodeImage(await image.quality(90).getBufferAsync(Jimp.MIME_JPEG));
+        const pixels = convertPixels(jpeg, 'rgb8');
+        expect(pixels).toHaveLength(32 * 32 * 3);
+
+        [[8, 8], [24, 8], [8, 24], [24, 24]].forEach(([x, y], quadrant) => {
+            const offset = (y * 32 + x) * 3;
+            Array.from(pixels.subarray(offset, offset + 3)).forEach((value, channel) => {
+                expect(Math.abs(value - PIXELS[quadrant][channel])).toBeLessThanOrEqual(8);
+            });
+        });
+    });
+
+    test('reject unknown encodings and images that are not images', async () => {
+        expect(() => createImageMessage(bitmap, 'rgba16', header)).toThrow(/Unsupported raw image encoding/);
+        await expect(decodeImage(Buffer.from('not an image'))).rejects.toThrow();
+    });
+});
+
+describe('ImageDecoder', () => {
+    let decoder;
+
+    beforeEach(() => {
+        decoder = new ImageDecoder('bgr8');
+    });
+
+    afterEach(() => decoder.close());
+
+    test('decodes frames on its worker like createImageMessage', async () => {
+        const png = await encodeTestImage(Jimp.MIME_PNG);
+        const { header: _, ...expected } = createImageMessage(await decodeImage(png), 'bgr8', header);
+        // A view into a larger buffer, as frames are cut out of the binary messages
+        const message = Buffer.concat([Buffer.from('frame'), png]);
+        const image = await decoder.decode(message.subarray(5));
+        expect(image).toEqual(expected);
+        expect(Buffer.isBuffer(image.data)).toBe(true);
+        expect(message.subarray(5).equals(png)).toBe(true);
+    });
+
+    test('rejects images that are not images and keeps decoding', async () => {
+        await expect(decoder.decode(Buffer.from('not an image'))).rejects.toThrow();
+        await expect(decoder.decode(await encodeTestImage(Jimp.MIME_PNG))).resolves.toMatchObject({ width: 3, height: 2 });
+    });
+
+    test('rejects pending frames when closed', async () => {
+        const decoding = decoder.decode(await encodeTestImage(Jimp.MIME_PNG));
+        await decoder.close();
+        await expect(decoding).rejects.toThrow(/Image decoder stopped/);
+    });
+
+    test('rejects frames once its worker stopped', async () => {
+        await decoder.worker.terminate();
+        await expect(decoder.decode(await encodeTestImage(Jimp.MIME_PNG))).rejects.toThrow(/Image decoder stopped/);
+    });
+
+    test('rejects unknown encodings', () => {
+        expect(() => new ImageDecoder('rgba16')).toThrow(/Unsupported raw image encoding/);
+    });
+});
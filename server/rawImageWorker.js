@@ -0,0 +1,17 @@
+const { parentPort, workerData } = require('worker_threads');
+const { decodeImage, createImageMessage } = require('./rawImage');
+
+/*
+ * Decodes frames into sensor_msgs/Image messages off the publisher's event loop, see ImageDecoder
+ * in rawImage.js. Every request { id, buffer } is answered with { id, image } or { id, error }, where
+ * image is the message without its header.
+ */
+parentPort.on('message', async ({ id, buffer }) => {
+    try {
+        const { header, ...image } = createImageMessage(await decodeImage(Buffer.from(buffer)), workerData.encoding, null);
+        // The pixels are handed over instead of copied
+        parentPort.postMessage({ id, image }, [image.data.buffer]);
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')(`${process.env.APPNAME}:recordings`);
+
+// Recordings of the operator app and their sidecar files, see src/SessionRecorder.js
+const EXTENSIONS = ['.webm', '.mp4', '.mkv', '.json'];
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Suffix of files whose upload has not finished yet
+const PARTIAL_SUFFIX = '.part';
+
+class RecordingError extends Error {
+    /**
+    * @param {String} message What went wrong
+    * @param {Number} status The HTTP status to answer with
+    * @param {Object} [details] Added to the error response, e.g. the size to resume at
+    */
+    constructor(message, status, details = {}) {
+        super(message);
+        this.name = "RecordingError";
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * RecordingStore writes recordings uploaded in chunks to a local directory. A chunk must start where
+ * the previous one ended, so an interrupted upload can resume at the size reported in the 409 response.
+ */
+class RecordingStore {
+    /**
+    * @param {String} dir The directory, created when the first chunk arrives
+    * @param {Object} [options] maxChunkBytes, the largest chunk accepted
+    */
+    constructor(dir, { maxChunkBytes = 8 * 1024 * 1024 } = {}) {
+        this.dir = path.resolve(dir);
+        this.maxChunkBytes = maxChunkBytes;
+    }
+
+    /**
+    * Returns the path a recording is written to, but will throw a RecordingError if the name is not allowed
+    * @param {String} name The file name given by the client
+    * @returns {String} The path of the file
+    */
+    resolve(name) {
+        if (!NAME_PATTERN.test(name) || !EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+            throw new RecordingError(`Invalid recording name '${name}'`, 400);
+        }
+        return path.join(this.dir, name);
+    }
+
+    /**
+    * Appends a chunk to a recording
+    * @param {String} name The file name
+    * @param {Number} offset Where the chunk starts in the file, 0 starts the upload over
+    * @param {Buffer} data The chunk
+    * @param {Boolean} last Whether this chunk completes the file
+    * @returns {Promise<Object>} { name, size, complete }
+    */
+    async writeChunk(name, offset, data, last) {
+        const file = this.resolve(name);
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new RecordingError(`Invalid offset ${offset}`, 400);
+        }
+        if (data.length > this.maxChunkBytes) {
+            throw new RecordingError(`Chunk of ${data.length} bytes exceeds ${this.maxChunkBytes} bytes`, 413);
+        }
+
+        const partial = file + PARTIAL_SUFFIX;
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        if (offset === 0) {
+            await fs.promises.writeFile(partial, data);
+        }
+        else {
+            const size = await fs.promises.stat(partial).then((stat) => stat.size, () => 0);
+            if (size !== offset) {
+                throw new RecordingError(`Chunk starts at ${offset}, but ${size} bytes were received`, 409, { size });
+            }
+            await fs.promises.appendFile(partial, data);
+        }
+
+        const size = offset + data.length;
+        if (last) {
+            await fs.promises.rename(partial, file);
+            console.log(`Recording ${file} complete (${size} bytes)`);
+        }
+        debug(`Recording ${name}: ${size} bytes${last ? ', complete' : ''}`);
+        return { name, size, complete: !!last };
+    }
+}
+
+module.exports = {
+    RecordingError,
+    RecordingStore,
+};
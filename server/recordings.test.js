@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordingError, RecordingStore } = require('./recordings');
+
+let dir;
+let store;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    store = new RecordingStore(path.join(dir, 'out'), { maxChunkBytes: 16 });
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('assembles the chunks and only names the file once the last one arrived', async () => {
+    await store.writeChunk('drone1.webm', 0, Buffer.from('abc'), false);
+    expect(await store.writeChunk('drone1.webm', 3, Buffer.from('def'), false)).toEqual({ name: 'drone1.webm', size: 6, complete: false });
+    expect(fs.existsSync(path.join(dir, 'out', 'drone1.webm'))).toBe(false);
+
+    expect(await store.writeChunk('drone1.webm', 6, Buffer.from('g'), true)).toEqual({ name: 'drone1.webm', size: 7, complete: true });
+    expect(fs.readFileSync(path.join(dir, 'out', 'drone1.webm'), 'utf8')).toBe('abcdefg');
+    expect(fs.existsSync(path.join(dir, 'out', 'drone1.webm.part'))).toBe(false);
+});
+
+test('rejects a chunk that does not continue the file with the size to resume at', async () => {
+    await store.writeChunk('drone1.webm', 0, Buffer.from('abc'), false);
+    await expect(store.writeChunk('drone1.webm', 5, Buffer.from('x'), false)).rejects.toMatchObject({
+        status: 409,
+        details: { size: 3 },
+    });
+    await expect(store.writeChunk('other.webm', 3, Buffer.from('x'), false)).rejects.toMatchObject({ details: { size: 0 } });
+});
+
+test('rejects names outside the directory, unknown extensions and oversized chunks', async () => {
+    for (const name of ['../escape.webm', '.hidden.webm', 'notes.txt', 'a/b.webm']) {
+        await expect(store.writeChunk(name, 0, Buffer.from('x'), true)).rejects.toBeInstanceOf(RecordingError);
+    }
+    await expect(store.writeChunk('big.webm', 0, Buffer.alloc(17), true)).rejects.toMatchObject({ status: 413 });
+    expect(fs.existsSync(path.join(dir, 'escape.webm'))).toBe(false);
+});
@@ -0,0 +1,260 @@
+const debug = require('debug')(`${process.env.APPNAME}:relay`);
+const crypto = require('crypto');
+
+// Instances refresh their liveness key this often, and are considered gone once it is this old
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 5000;
+const DEFAULT_INSTANCE_TIMEOUT_MS = 15000;
+
+/*
+ * A relay backend shares peer presence between signaling server instances and delivers messages
+ * to peers connected to another instance. Every backend implements:
+ *
+ *   start({ onPresence, onMessage })  connect; onPresence(type, peer) is called for presence events
+ *                                     of remote peers, onMessage(targetID, type, body) for messages
+ *                                     addressed to one of our peers
+ *   announce(type, peer)              share a presence event (peer_joined, peer_left, ...) of a local peer
+ *   getPeer(id) / listPeers()         look up peers connected to other instances
+ *   send(targetID, type, body)        deliver a message to a remote peer, resolves to false if unknown
+ *   close()                           withdraw our peers and disconnect
+ */
+
+/**
+ * MemoryRelay is used when a single signaling server runs on its own: there are no other
+ * instances, so there are never any remote peers.
+ */
+class MemoryRelay {
+    async start() {}
+
+    async announce() {}
+
+    getPeer() {
+        return null;
+    }
+
+    listPeers() {
+        return [];
+    }
+
+    async send() {
+        return false;
+    }
+
+    async close() {}
+}
+
+/**
+ * RedisRelay shares presence through a Redis hash and pub/sub channels, so several signaling
+ * servers behind a load balancer can relay messages to each other's peers. Any server speaking
+ * the Redis protocol works.
+ *
+ * An instance that crashes never withdraws its peers, so every instance keeps a liveness key that
+ * expires unless it is refreshed. The peers of instances whose key expired are dropped.
+ */
+class RedisRelay {
+    /**
+    * @param {Object} [options]
+    * @param {String} [options.url] URL of the Redis server
+    * @param {String} [options.prefix] Prefix of every key and channel used
+    * @param {Function} [options.createClient] Creates a client for the URL, defaults to ioredis
+    * @param {Number} [options.heartbeatInterval] How often the liveness key is refreshed and the other
+    * instances are checked, in milliseconds
+    * @param {Number} [options.instanceTimeout] How long the liveness key lasts without a refresh, in milliseconds
+    */
+    constructor({
+        url = 'redis://localhost:6379',
+        prefix = 'signaling',
+        createClient,
+        heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL_MS,
+        instanceTimeout = DEFAULT_INSTANCE_TIMEOUT_MS,
+    } = {}) {
+        this.url = url;
+        this.prefix = prefix;
+        this.heartbeatInterval = heartbeatInterval;
+        this.instanceTimeout = instanceTimeout;
+        this.createClient = createClient || ((redisUrl) => {
+            // Only required when this backend is selected
+            const Redis = require('ioredis');
+            return new Redis(redisUrl);
+        });
+        this.instanceID = crypto.randomBytes(8).toString('hex');
+        this.remotePeers = new Map();
+        this.localPeers = new Map();
+        this.pub = null;
+        this.sub = null;
+        this.heartbeat = null;
+    }
+
+    get peersKey() {
+        return `${this.prefix}:peers`;
+    }
+
+    get presenceChannel() {
+        return `${this.prefix}:presence`;
+    }
+
+    instanceChannel(instanceID) {
+        return `${this.prefix}:instance:${instanceID}`;
+    }
+
+    aliveKey(instanceID) {
+        return `${this.prefix}:alive:${instanceID}`;
+    }
+
+    async start({ onPresence, onMessage }) {
+        // A subscribed connection cannot issue other commands, so publishing needs its own
+        this.pub = this.createClient(this.url);
+        this.sub = this.createClient(this.url);
+
+        this.sub.on('message', (channel, raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                console.error('Ignoring malformed relay message on', channel);
+                return;
+            }
+
+            if (channel === this.presenceChannel) {
+                if (message.instance === this.instanceID) {
+                    return;
+                }
+                this.trackRemotePeer(message.type, message.instance, message.peer);
+                onPresence(message.type, message.peer);
+            }
+            else if (channel === this.instanceChannel(this.instanceID)) {
+                onMessage(message.targetID, message.type, message.body);
+            }
+        });
+        await this.sub.subscribe(this.presenceChannel, this.instanceChannel(this.instanceID));
+        await this.refreshAlive();
+
+        const entries = await this.pub.hgetall(this.peersKey);
+        const peersByInstance = new Map();
+        for (const raw of Object.values(entries || {})) {
+            const { instance, peer } = JSON.parse(raw);
+            if (instance !== this.instanceID) {
+                peersByInstance.set(instance, [...(peersByInstance.get(instance) || []), peer]);
+            }
+        }
+        for (const [instance, peers] of peersByInstance) {
+            if (await this.pub.exists(this.aliveKey(instance))) {
+                peers.forEach(peer => this.remotePeers.set(peer.socketID, { instance, peer }));
+            }
+            else {
+                await this.dropInstance(instance, peers);
+            }
+        }
+
+        this.heartbeat = setInterval(() => {
+            this.checkInstances(onPresence).catch(error => console.error('Redis relay heartbeat failed:', error));
+        }, this.heartbeatInterval);
+        this.heartbeat.unref();
+        console.log(`Redis relay ${this.instanceID} started, ${this.remotePeers.size} remote peers known`);
+    }
+
+    // Refreshes our liveness key. If it had expired, as when the process stalled for longer than the
+    // timeout, the other instances dropped our peers, so they are announced again.
+    async refreshAlive() {
+        if (await this.pub.pexpire(this.aliveKey(this.instanceID), this.instanceTimeout)) {
+            return;
+        }
+        await this.pub.set(this.aliveKey(this.instanceID), Date.now(), 'PX', this.instanceTimeout);
+        for (const peer of [...this.localPeers.values()]) {
+            await this.announce('peer_joined', peer);
+        }
+    }
+
+    // Drops the remote peers of instances whose liveness key expired, telling our peers they left
+    async checkInstances(onPresence) {
+        await this.refreshAlive();
+        const instances = new Set([...this.remotePeers.values()].map(remote => remote.instance));
+        for (const instance of instances) {
+            if (await this.pub.exists(this.aliveKey(instance))) {
+                continue;
+            }
+            const peers = [...this.remotePeers.values()].filter(remote => remote.instance === instance).map(remote => remote.peer);
+            await this.dropInstance(instance, peers);
+            peers.forEach(peer => onPresence('peer_left', { ...peer, online: false, reason: 'server_lost' }));
+        }
+    }
+
+    async dropInstance(instance, peers) {
+        console.log(`Redis relay instance ${instance} is gone, dropping its ${peers.length} peers`);
+        peers.forEach(peer => this.remotePeers.delete(peer.socketID));
+        // Any instance noticing removes the entries, removing them twice does no harm
+        await this.pub.hdel(this.peersKey, ...peers.map(peer => peer.socketID));
+    }
+
+    trackRemotePeer(type, instance, peer) {
+        if (type === 'peer_left') {
+            this.remotePeers.delete(peer.socketID);
+        }
+        else {
+            this.remotePeers.set(peer.socketID, { instance, peer });
+        }
+    }
+
+    async announce(type, peer) {
+        if (type === 'peer_left') {
+            this.localPeers.delete(peer.socketID);
+            await this.pub.hdel(this.peersKey, peer.socketID);
+        }
+        else {
+            this.localPeers.set(peer.socketID, peer);
+            await this.pub.hset(this.peersKey, peer.socketID, JSON.stringify({ instance: this.instanceID, peer }));
+        }
+        await this.pub.publish(this.presenceChannel, JSON.stringify({ instance: this.instanceID, type, peer }));
+    }
+
+    getPeer(id) {
+        const remote = this.remotePeers.get(id);
+        return remote ? remote.peer : null;
+    }
+
+    listPeers() {
+        return [...this.remotePeers.values()].map(remote => remote.peer);
+    }
+
+    async send(targetID, type, body) {
+        const remote = this.remotePeers.get(targetID);
+        if (!remote) {
+            return false;
+        }
+        debug('Relaying', type, 'for', targetID, 'to instance', remote.instance);
+        await this.pub.publish(this.instanceChannel(remote.instance), JSON.stringify({ targetID, type, body }));
+        return true;
+    }
+
+    async close() {
+        clearInterval(this.heartbeat);
+        for (const peer of [...this.localPeers.values()]) {
+            await this.announce('peer_left', { ...peer, online: false, reason: 'server_shutdown' });
+        }
+        await this.pub.del(this.aliveKey(this.instanceID));
+        await this.sub.quit();
+        await this.pub.quit();
+    }
+}
+
+/**
+* Creates the relay backend selected in the configuration
+* @param {String} type Either `memory` or `redis`
+* @param {Object} [options] Options passed to the backend
+* @returns {MemoryRelay|RedisRelay} The relay backend
+*/
+function createRelay(type = 'memory', options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryRelay();
+        case 'redis':
+            return new RedisRelay(options);
+        default:
+            throw new Error(`Unknown relay backend '${type}'`);
+    }
+}
+
+module.exports = {
+    MemoryRelay,
+    RedisRelay,
+    createRelay,
+};
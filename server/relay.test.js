@@ -0,0 +1,286 @@
+/**
+ * @jest-environment node
+ */
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+process.env.SIGNALING_SECRET = 'test-secret';
+const { MemoryRelay, RedisRelay, createRelay } = require('./relay');
+
+/*
+ * A local stand-in for a Redis server, implementing the key, hash and pub/sub commands the relay uses.
+ * Every client created from the same FakeRedisServer sees the same data, like separate
+ * connections to one Redis.
+ */
+class FakeRedisServer {
+    constructor() {
+        this.hashes = new Map();
+        this.values = new Map();
+        this.subscribers = new Map();
+    }
+
+    // The value of a key, forgetting keys whose expiry passed
+    value(key) {
+        const entry = this.values.get(key);
+        if (entry && entry.expires <= Date.now()) {
+            this.values.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    createClient() {
+        const server = this;
+        const client = new EventEmitter();
+        const hash = (key) => {
+            if (!server.hashes.has(key)) {
+                server.hashes.set(key, new Map());
+            }
+            return server.hashes.get(key);
+        };
+        Object.assign(client, {
+            async subscribe(...channels) {
+                channels.forEach((channel) => {
+                    if (!server.subscribers.has(channel)) {
+                        server.subscribers.set(channel, new Set());
+                    }
+                    server.subscribers.get(channel).add(client);
+                });
+            },
+            async publish(channel, message) {
+                const subscribers = [...(server.subscribers.get(channel) || [])];
+                // Deliver asynchronously, like a round trip through a real server
+                setImmediate(() => subscribers.forEach(subscriber => subscriber.emit('message', channel, message)));
+                return subscribers.length;
+            },
+            async set(key, value, mode, ms) {
+                server.values.set(key, { value: String(value), expires: mode === 'PX' ? Date.now() + ms : Infinity });
+                return 'OK';
+            },
+            async pexpire(key, ms) {
+                const entry = server.value(key);
+                if (!entry) {
+                    return 0;
+                }
+                entry.expires = Date.now() + ms;
+                return 1;
+            },
+            async exists(key) {
+                return server.value(key) ? 1 : 0;
+            },
+            async del(key) {
+                return server.values.delete(key) ? 1 : 0;
+            },
+            async hset(key, field, value) {
+                hash(key).set(field, value);
+            },
+            async hdel(key, ...fields) {
+                fields.forEach(field => hash(key).delete(field));
+            },
+            async hgetall(key) {
+                return Object.fromEntries(hash(key));
+            },
+            async quit() {
+                server.subscribers.forEach(subscribers => subscribers.delete(client));
+            },
+        });
+        return client;
+    }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function startRelay(redis, options = {}) {
+    const relay = new RedisRelay({ createClient: () => redis.createClient(), ...options });
+    const events = { presence: [], messages: [] };
+    const started = relay.start({
+        onPresence: (type, peer) => events.presence.push({ type, peer }),
+        onMessage: (targetID, type, body) => events.messages.push({ targetID, type, body }),
+    });
+    return { relay, events, started };
+}
+
+const drone = { socketID: 'drone1', role: 'drone', name: 'Drone 1', metadata: {}, online: true };
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('createRelay', () => {
+    test('defaults to the in-memory backend', () => {
+        expect(createRelay()).toBeInstanceOf(MemoryRelay);
+        expect(createRelay('redis', {})).toBeInstanceOf(RedisRelay);
+        expect(() => createRelay('carrier-pigeon')).toThrow(/Unknown relay backend/);
+    });
+});
+
+describe('RedisRelay', () => {
+    test('shares presence between instances', async () => {
+        const redis = new FakeRedisServer();
+        const a = startRelay(redis);
+        const b = startRelay(redis);
+        await Promise.all([a.started, b.started]);
+
+        await a.relay.announce('peer_joined', drone);
+        await tick();
+
+        expect(b.events.presence).toEqual([{ type: 'peer_joined', peer: drone }]);
+        expect(b.relay.getPeer('drone1')).toEqual(drone);
+        expect(b.relay.listPeers()).toEqual([drone]);
+        // Instances do not see their own announcements
+        expect(a.events.presence).toEqual([]);
+        expect(a.relay.getPeer('drone1')).toBeNull();
+
+        await a.relay.announce('peer_left', drone);
+        await tick();
+        expect(b.relay.getPeer('drone1')).toBeNull();
+    });
+
+    test('knows peers announced before it started', async () => {
+        const redis = new FakeRedisServer();
+        const a = startRelay(redis);
+        await a.started;
+        await a.relay.announce('peer_joined', drone);
+
+        const late = startRelay(redis);
+        await late.started;
+        expect(late.relay.getPeer('drone1')).toEqual(drone);
+    });
+
+    test('delivers messages to the instance the target is connected to', async () => {
+        const redis = new FakeRedisServer();
+        const a = startRelay(redis);
+        const b = startRelay(redis);
+        await Promise.all([a.started, b.started]);
+        await a.relay.announce('peer_joined', drone);
+        await tick();
+
+        expect(await b.relay.send('drone1', 'webrtc_msg', { type: 'offer', socketID: 'op1' })).toBe(true);
+        expect(await b.relay.send('nobody', 'webrtc_msg', { type: 'offer' })).toBe(false);
+        await tick();
+
+        expect(a.events.messages).toEqual([{ targetID: 'drone1', type: 'webrtc_msg', body: { type: 'offer', socketID: 'op1' } }]);
+        expect(b.events.messages).toEqual([]);
+    });
+
+    test('withdraws its peers when it closes', async () => {
+        const redis = new FakeRedisServer();
+        const a = startRelay(redis);
+        const b = startRelay(redis);
+        await Promise.all([a.started, b.started]);
+        await a.relay.announce('peer_joined', drone);
+
+        await a.relay.close();
+        await tick();
+
+        expect(b.relay.getPeer('drone1')).toBeNull();
+        expect(b.events.presence.pop()).toMatchObject({ type: 'peer_left', peer: { socketID: 'drone1', reason: 'server_shutdown' } });
+    });
+
+    test('drops the peers of instances that stopped refreshing their liveness key', async () => {
+        const redis = new FakeRedisServer();
+        const timing = { heartbeatInterval: 20, instanceTimeout: 60 };
+        const crashed = startRelay(redis, timing);
+        const b = startRelay(redis, timing);
+        await Promise.all([crashed.started, b.started]);
+        await crashed.relay.announce('peer_joined', drone);
+        await tick();
+        expect(b.relay.getPeer('drone1')).toEqual(drone);
+
+        // A crashed process neither withdraws its peers nor refreshes its key
+        clearInterval(crashed.relay.heartbeat);
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        expect(b.relay.getPeer('drone1')).toBeNull();
+        expect(b.events.presence.pop()).toMatchObject({ type: 'peer_left', peer: { socketID: 'drone1', online: false, reason: 'server_lost' } });
+        expect(await redis.createClient().hgetall('signaling:peers')).toEqual({});
+        await b.relay.close();
+    });
+
+    test('ignores peers of instances that are gone when it starts', async () => {
+        const redis = new FakeRedisServer();
+        await redis.createClient().hset('signaling:peers', 'drone1', JSON.stringify({ instance: 'crashed', peer: drone }));
+
+        const late = startRelay(redis);
+        await late.started;
+        expect(late.relay.getPeer('drone1')).toBeNull();
+        expect(await redis.createClient().hgetall('signaling:peers')).toEqual({});
+        await late.relay.close();
+    });
+
+    test('announces its peers again when its liveness key expired while it stalled', async () => {
+        const redis = new FakeRedisServer();
+        const a = startRelay(redis, { heartbeatInterval: 20 });
+        const b = startRelay(redis);
+        await Promise.all([a.started, b.started]);
+        await a.relay.announce('peer_joined', drone);
+        redis.values.delete(`signaling:alive:${a.relay.instanceID}`);
+        await redis.createClient().hdel('signaling:peers', 'drone1');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(Object.keys(await redis.createClient().hgetall('signaling:peers'))).toEqual(['drone1']);
+        expect(b.relay.getPeer('drone1')).toEqual(drone);
+        await a.relay.close();
+        await b.relay.close();
+    });
+});
+
+describe('signaling through the Redis relay', () => {
+    let server;
+    let remote;
+    const sockets = [];
+
+    beforeAll(async () => {
+        const redis = new FakeRedisServer();
+        // The signaling server under test, and a bare relay standing in for a second instance
+        remote = startRelay(redis);
+        await remote.started;
+        await remote.relay.announce('peer_joined', drone);
+
+        const wss = require('./wss');
+        server = wss.init(0, { relay: new RedisRelay({ createClient: () => redis.createClient() }) });
+        await new Promise(resolve => server.on('listening', resolve));
+        await tick();
+    });
+
+    afterAll(async () => {
+        sockets.forEach(socket => socket.terminate());
+        while (server.clients.size > 0) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        await new Promise(resolve => server.close(resolve));
+        await tick();
+    });
+
+    test('lists remote peers and relays webrtc_msg in both directions', async () => {
+        const { createToken } = require('./auth');
+        const operator = new WebSocket(`ws://localhost:${server.address().port}?token=${createToken({ role: 'operator', name: 'op' }, process.env.SIGNALING_SECRET)}`);
+        sockets.push(operator);
+        const messages = [];
+        operator.on('message', raw => messages.push(JSON.parse(raw)));
+        const next = async (event) => {
+            while (!messages.some(m => m.event === event)) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            return messages.splice(messages.findIndex(m => m.event === event), 1)[0].data;
+        };
+
+        await new Promise(resolve => operator.on('open', resolve));
+        operator.send(JSON.stringify({ event: 'register', data: { role: 'operator' } }));
+        const { socketID } = await next('registered');
+        expect((await next('peer_list')).peers).toEqual([drone]);
+
+        operator.send(JSON.stringify({ event: 'webrtc_msg', socketID: 'drone1', data: { type: 'offer', sdp: 'v=0' } }));
+        while (!remote.events.messages.length) {
+            await tick();
+        }
+        expect(remote.events.messages[0]).toEqual({
+            targetID: 'drone1',
+            type: 'webrtc_msg',
+            body: { type: 'offer', sdp: 'v=0', socketID },
+        });
+
+        await remote.relay.send(socketID, 'webrtc_msg', { type: 'answer', sdp: 'v=0', socketID: 'drone1' });
+        expect(await next('webrtc_msg')).toEqual({ type: 'answer', sdp: 'v=0', socketID: 'drone1' });
+    });
+});
@@ -0,0 +1,230 @@
+const rclnodejs = require('rclnodejs');
+const WebSocket = require('ws');
+const { DEFAULTS, loadConfig } = require('./config');
+const { validateRoutes, toRos2Message, fromRos2Message, DroneRouteRegistry } = require('./dataRoutes');
+const { normalizeNamespace } = require('./imageStreams');
+const tls = require('./tls');
+
+/**
+ * ROS2DataBridge connects the data channels of the drones to ROS2. The operator app opens a WebSocket
+ * per drone, declares the drone in a hello ({ type: 'hello', drone }) and forwards every message the
+ * drone sends on its data channels. It gets back the messages received on the drone's subscribed ROS2
+ * topics to send to the drone. See server/dataRoutes.js for the routes.
+ */
+class ROS2DataBridge {
+    /**
+    * @param {Object} [options] The `bridge` section of the configuration (port, publish, subscribe)
+    */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS.bridge, ...options };
+        validateRoutes(this.options);
+        this.node = null;
+        // The publishers and subscriptions of every drone, created when the drone connects
+        this.drones = new DroneRouteRegistry({
+            routes: this.options,
+            createPublisher: (route, topic) => this.node.createPublisher(route.messageType, topic),
+            createSubscription: (route, topic, drone) => this.node.createSubscription(route.messageType, topic, (ros2Message) => {
+                this.handleRos2Message(drone, route, ros2Message);
+            }),
+            destroyPublisher: (publisher) => this.node.destroyPublisher(publisher),
+            destroySubscription: (subscription) => this.node.destroySubscription(subscription),
+        });
+        // Connected apps, { ws, drone, routes }
+        this.clients = new Set();
+        this.isInitialized = false;
+        this.wss = null;
+        this.publishedCount = 0;
+        this.unroutedCount = 0;
+        this.sentCount = 0;
+    }
+
+    async initialize() {
+        try {
+            await rclnodejs.init();
+            this.node = new rclnodejs.Node('webrtc_data_bridge');
+
+            for (const route of this.options.publish) {
+                console.log(`Publishing '${route.type}' messages to /<drone>${route.topic} (${route.messageType})`);
+            }
+            for (const route of this.options.subscribe) {
+                console.log(`Sending /<drone>${route.topic} (${route.messageType}) to the drone as '${route.type}'`);
+            }
+
+            this.isInitialized = true;
+            rclnodejs.spin(this.node);
+        } catch (error) {
+            console.error('Failed to initialize ROS2:', error);
+            throw error;
+        }
+    }
+
+    setupWebSocketServer(port = this.options.port, tlsOptions = null) {
+        if (tls.isEnabled(tlsOptions)) {
+            const server = tls.createServer(tlsOptions);
+            this.wss = new WebSocket.Server({ server });
+            this.wss.on('close', () => server.close());
+            server.listen(port);
+        } else {
+            this.wss = new WebSocket.Server({ port });
+        }
+
+        const scheme = tls.isEnabled(tlsOptions) ? 'wss' : 'ws';
+        console.log(`WebSocket server for the ROS2 data bridge listening on ${scheme}://0.0.0.0:${port}`);
+
+        this.wss.on('connection', (ws) => {
+            console.log('Client connected to ROS2 data bridge WebSocket');
+            const client = { ws, drone: null, routes: null };
+            this.clients.add(client);
+
+            ws.on('message', (data) => {
+                try {
+                    const message = JSON.parse(data);
+                    if (message.type === 'hello') {
+                        this.joinDrone(client, message.drone);
+                    }
+                    else if (message.type === 'data_message' && message.message && typeof message.message.type === 'string') {
+                        // Messages without a drone stay with the drone of the hello
+                        if (message.drone !== undefined || !client.routes) {
+                            this.joinDrone(client, message.drone);
+                        }
+                        this.publishDroneMessage(client, message.message);
+                    }
+                } catch (error) {
+                    console.error('Error processing WebSocket message:', error);
+                }
+            });
+
+            ws.on('close', () => {
+                console.log('Client disconnected from ROS2 data bridge WebSocket');
+                this.clients.delete(client);
+                if (client.routes) {
+                    this.drones.release(client.routes, client);
+                }
+            });
+
+            ws.on('error', (error) => {
+                console.error('WebSocket error:', error);
+            });
+        });
+    }
+
+    /**
+    * Moves a client to the routes of the drone it declared
+    * @param {Object} client The client
+    * @param {String} [drone] The drone, usually its name, which is normalized into its ROS2 namespace. Clients
+    * declaring none share the topics of the routes as configured.
+    */
+    joinDrone(client, drone) {
+        if (!this.isInitialized) {
+            return;
+        }
+        const namespace = normalizeNamespace(drone);
+        if (client.routes) {
+            if (client.routes.namespace === namespace) {
+                return;
+            }
+            this.drones.release(client.routes, client);
+        }
+        client.drone = drone === undefined ? null : drone;
+        client.routes = this.drones.acquire(namespace, client);
+    }
+
+    /**
+    * Publishes a message a drone sent on one of its data channels, if a publish route matches its type
+    * @param {Object} client The client of the drone, see joinDrone
+    * @param {Object} message The data channel message { type, data, ts }
+    */
+    publishDroneMessage(client, message) {
+        if (!client.routes) {
+            console.warn('ROS2 not initialized, skipping data message');
+            return;
+        }
+        const target = this.drones.findPublisher(client.routes, message.type);
+        if (!target) {
+            this.unroutedCount++;
+            return;
+        }
+        try {
+            target.publisher.publish(toRos2Message(target.route, message));
+            this.publishedCount++;
+        } catch (error) {
+            console.error(`❌ Error publishing '${message.type}' from drone ${client.drone} to ${target.route.topic}:`, error);
+        }
+    }
+
+    /**
+    * Sends a message received on one of a drone's subscribed topics to the clients of that drone
+    * @param {Object} drone The drone, see DroneRouteRegistry
+    * @param {Object} route The subscribe route
+    * @param {Object} ros2Message The ROS2 message
+    */
+    handleRos2Message(drone, route, ros2Message) {
+        const message = fromRos2Message(route, ros2Message);
+        for (const client of drone.clients) {
+            if (client.ws.readyState === WebSocket.OPEN) {
+                client.ws.send(JSON.stringify({ type: 'data_message', drone: client.drone, channel: route.channel || 'commands', message }));
+                this.sentCount++;
+            }
+        }
+    }
+
+    async shutdown() {
+        console.log('Shutting down ROS2 data bridge...');
+
+        if (this.wss) {
+            this.wss.close();
+        }
+
+        if (this.node) {
+            this.drones.clear();
+            this.node.destroy();
+        }
+
+        await rclnodejs.shutdown();
+        console.log('ROS2 data bridge shutdown complete');
+    }
+
+    getStats() {
+        return {
+            publishedCount: this.publishedCount,
+            unroutedCount: this.unroutedCount,
+            sentCount: this.sentCount,
+            clients: this.clients.size,
+            drones: this.drones.all().map(drone => drone.namespace),
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    const config = loadConfig();
+    const bridge = new ROS2DataBridge(config.bridge);
+
+    try {
+        await bridge.initialize();
+        bridge.setupWebSocketServer(config.bridge.port, config.tls);
+        console.log('ROS2 data bridge service is running...');
+    } catch (error) {
+        console.error('Failed to start ROS2 data bridge:', error);
+        process.exit(1);
+    }
+
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\nReceived SIGINT, shutting down gracefully...');
+        await bridge.shutdown();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\nReceived SIGTERM, shutting down gracefully...');
+        await bridge.shutdown();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = ROS2DataBridge;
@@ -0,0 +1,110 @@
+const { DEFAULTS, loadConfig } = require('./config');
+const ROS2ImagePublisherCompressed = require('./ros2ImagePublisherCompressed');
+const { namespaceTopic } = require('./imageStreams');
+const { RAW_ENCODINGS, ImageDecoder } = require('./rawImage');
+
+/**
+ * ROS2ImagePublisher publishes the frames of the operator app as raw sensor_msgs/Image messages, for
+ * nodes that do not subscribe to compressed images. It takes frames in like ROS2ImagePublisherCompressed,
+ * with the same per-stream topics and rate limiting, and decodes them on a worker thread per stream before
+ * publishing. The compressed images can be published alongside.
+ */
+class ROS2ImagePublisher extends ROS2ImagePublisherCompressed {
+    /**
+    * @param {Object} [options] The `publisher` section of the configuration, raw.topic, raw.encoding (rgb8,
+    * bgr8 or mono8) and raw.compressed select what is published
+    */
+    constructor(options = {}) {
+        super(options);
+        this.options.raw = { ...DEFAULTS.publisher.raw, ...options.raw };
+        if (!RAW_ENCODINGS[this.options.raw.encoding]) {
+            throw new Error(`Unsupported raw image encoding '${this.options.raw.encoding}', use one of ${Object.keys(RAW_ENCODINGS).join(', ')}`);
+        }
+        this.nodeName = 'webrtc_image_publisher';
+    }
+
+    getImageTopic() {
+        return this.options.raw.topic;
+    }
+
+    createImagePublisher(topic, namespace) {
+        const compressedTopic = namespaceTopic(namespace, this.options.topic);
+        return {
+            raw: this.node.createPublisher('sensor_msgs/msg/Image', topic, this.getImageQoS()),
+            compressed: this.options.raw.compressed ? super.createImagePublisher(compressedTopic, namespace) : null,
+            decoder: new ImageDecoder(this.options.raw.encoding),
+        };
+    }
+
+    destroyImagePublisher({ raw, compressed, decoder }) {
+        decoder.close().catch(error => console.error('Error stopping the image decoder:', error));
+        super.destroyImagePublisher(raw);
+        if (compressed) {
+            super.destroyImagePublisher(compressed);
+        }
+    }
+
+    /**
+    * Decodes the image of a frame and publishes it as an Image, and as a CompressedImage if enabled
+    * @param {ImageStream} stream The stream the frame belongs to
+    * @param {Object} frameData The frame, see publishImageFrame
+    * @param {Buffer} imageBuffer The encoded image
+    * @param {Object} header The header of the messages
+    */
+    async publishImage(stream, frameData, imageBuffer, header) {
+        const image = await stream.publisher.decoder.decode(imageBuffer);
+        stream.publisher.raw.publish({ ...image, header });
+        if (stream.publisher.compressed) {
+            stream.publisher.compressed.publish(this.createCompressedImageMessage(frameData, imageBuffer, header));
+        }
+    }
+
+    getConfig(namespace = '') {
+        return {
+            ...super.getConfig(namespace),
+            encoding: this.options.raw.encoding,
+            compressedTopic: this.options.raw.compressed ? namespaceTopic(namespace, this.options.topic) : null,
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    const config = loadConfig();
+    const publisher = new ROS2ImagePublisher(config.publisher);
+
+    try {
+        await publisher.initialize();
+        publisher.setupWebSocketServer(config.publisher.port, config.tls);
+
+        const { raw } = config.publisher;
+        console.log('ROS2 Image Publisher service is running...');
+        console.log(`Publishing ${raw.encoding} images to topic: /<namespace>${raw.topic} (frame_id: <namespace>/${config.publisher.frameId})`);
+        if (raw.compressed) {
+            console.log(`Publishing compressed images to topic: /<namespace>${config.publisher.topic}`);
+        }
+
+    } catch (error) {
+        console.error('Failed to start ROS2 Image Publisher:', error);
+        process.exit(1);
+    }
+
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\nReceived SIGINT, shutting down gracefully...');
+        await publisher.shutdown();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\nReceived SIGTERM, shutting down gracefully...');
+        await publisher.shutdown();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = ROS2ImagePublisher;
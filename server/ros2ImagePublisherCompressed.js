@@ -1,17 +1,52 @@
 const rclnodejs = require('rclnodejs');
 const WebSocket = require('ws');
+const { DEFAULTS, loadConfig } = require('./config');
+const { createDiagnosticArray } = require('./diagnostics');
+const { createAudioMessage } = require('./audio');
+const { negotiateProtocol, decodeFrame } = require('./frameProtocol');
+const { handleControlRequest } = require('./publisherControl');
+const { normalizeNamespace, namespaceTopic, namespaceFrameId, ImageStreamRegistry } = require('./imageStreams');
+const { createCameraInfoMessage, CalibrationStore } = require('./cameraInfo');
+const { now, answerTimeSync, ClientClock, stampFrame } = require('./clockSync');
+const tls = require('./tls');
 
 class ROS2ImagePublisherCompressed {
-    constructor() {
+    /**
+    * @param {Object} [options] The `publisher` section of the configuration (topic, frameId, publishRate, diagnosticsTopic,
+    * audioTopic, statsInterval, cameraInfo, useSimTime)
+    */
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS.publisher, ...options };
+        this.options.cameraInfo = { ...DEFAULTS.publisher.cameraInfo, ...options.cameraInfo };
+        // Calibrations of the stream cameras, named after the namespace or 'camera' for the default stream
+        this.calibrations = new CalibrationStore(this.options.cameraInfo.dir);
+        this.nodeName = 'webrtc_compressed_image_publisher';
         this.node = null;
-        this.publisher = null;
+        // A publisher per stream, created when the stream connects, see imageStreams.js
+        this.streams = new ImageStreamRegistry({
+            getTopic: () => this.getImageTopic(),
+            createPublisher: (topic, namespace) => this.createImagePublisher(topic, namespace),
+            destroyPublisher: (publisher) => this.destroyImagePublisher(publisher),
+            setup: (stream) => {
+                this.setupCameraInfo(stream);
+                this.setupDroneTopics(stream);
+            },
+            teardown: (stream) => {
+                this.teardownDroneTopics(stream);
+                this.teardownCameraInfo(stream);
+            },
+        });
+        // Whether audio_common_msgs is there to publish audio with
+        this.audioAvailable = false;
+        this.audioChunkCount = 0;
+        this.audioDropCount = 0;
         this.isInitialized = false;
         this.wss = null;
-        this.isProcessing = false;
-        this.frameDropCount = 0;
-        this.lastProcessTime = 0;
-        this.lastPublishTime = 0;
+        // Connected apps, { ws, protocol, acks, namespace, stream, clock }
+        this.clients = new Set();
+        this.statsTimer = null;
         this.minPublishInterval = 100; // Minimum 100ms between publishes (10 FPS max)
+        this.setPublishRate(this.options.publishRate);
     }
 
     async initialize() {
@@ -20,21 +55,28 @@ class ROS2ImagePublisherCompressed {
             await rclnodejs.init();
             
             // Create a ROS2 node
-            this.node = new rclnodejs.Node('webrtc_compressed_image_publisher');
-            
-            // Create COMPRESSED image publisher with BEST EFFORT QoS and smaller queue
-            const qos = {
-                durability: rclnodejs.QoS.DurabilityPolicy.VOLATILE,
-                reliability: rclnodejs.QoS.ReliabilityPolicy.BEST_EFFORT,
-                history: rclnodejs.QoS.HistoryPolicy.KEEP_LAST,
-                depth: 1 // Keep only the latest frame to prevent queue buildup
-            };
-            
-            // Publish compressed image instead of raw RGB
-            this.publisher = this.node.createPublisher('sensor_msgs/msg/CompressedImage', '/camera/image_raw/compressed', qos);
+            this.node = new rclnodejs.Node(this.nodeName);
+            // Stamp with the simulation time published on /clock, for recordings and simulators
+            if (this.options.useSimTime) {
+                this.node.setParameter(new rclnodejs.Parameter('use_sim_time', rclnodejs.ParameterType.PARAMETER_BOOL, true));
+                console.log('Using the simulation time of /clock');
+            }
             
+            // Audio of the streams, needs the audio_common_msgs package
+            try {
+                rclnodejs.require('audio_common_msgs/msg/AudioStamped');
+                this.audioAvailable = true;
+            } catch (error) {
+                console.warn(`Audio is not published, audio_common_msgs is not available: ${error.message}`);
+            }
+
             console.log('ROS2 Compressed Image Publisher initialized successfully');
-            console.log('Publishing to topic: /camera/image_raw/compressed');
+            console.log(`Publishing streams to topic: /<namespace>${namespaceTopic('', this.getImageTopic())}`);
+            console.log(`Publishing camera info to topic: /<namespace>${this.options.cameraInfo.topic}, calibrations in ${this.calibrations.dir}`);
+            console.log(`Publishing link quality to topic: /<namespace>${this.options.diagnosticsTopic}`);
+            if (this.audioAvailable) {
+                console.log(`Publishing audio to topic: /<namespace>${this.options.audioTopic}`);
+            }
             
             this.isInitialized = true;
             
@@ -47,23 +89,188 @@ class ROS2ImagePublisherCompressed {
         }
     }
 
-    setupWebSocketServer(port = 8092) {
-        this.wss = new WebSocket.Server({ port });
+    // The topic of the images of the default stream, under the namespace of the others
+    getImageTopic() {
+        return this.options.topic;
+    }
+
+    /**
+    * Creates the publisher of a stream's images
+    * @param {String} topic The namespaced topic, see getImageTopic
+    * @param {String} namespace The namespace of the stream
+    * @returns {Object} The publisher, used by publishImage
+    */
+    createImagePublisher(topic, namespace) {
+        // Publish compressed image instead of raw RGB
+        return this.node.createPublisher('sensor_msgs/msg/CompressedImage', topic, this.getImageQoS());
+    }
+
+    // BEST EFFORT QoS and smaller queue for images
+    getImageQoS() {
+        return {
+            durability: rclnodejs.QoS.DurabilityPolicy.VOLATILE,
+            reliability: rclnodejs.QoS.ReliabilityPolicy.BEST_EFFORT,
+            history: rclnodejs.QoS.HistoryPolicy.KEEP_LAST,
+            depth: 1 // Keep only the latest frame to prevent queue buildup
+        };
+    }
+
+    destroyImagePublisher(publisher) {
+        this.node.destroyPublisher(publisher);
+    }
+
+    /**
+    * Gives a new stream its CameraInfo publisher and set_camera_info service, and loads its calibration
+    * @param {ImageStream} stream The stream
+    */
+    setupCameraInfo(stream) {
+        const { topic, service } = this.options.cameraInfo;
+        const cameraName = stream.namespace || 'camera';
+        let calibration = null;
+        try {
+            calibration = this.calibrations.load(cameraName);
+        } catch (error) {
+            console.error(`Calibration of ${cameraName} ignored:`, error.message);
+        }
+        const serviceName = namespaceTopic(stream.namespace, service);
+        stream.cameraInfo = {
+            cameraName,
+            calibration,
+            // Same QoS as the images, so subscribers synchronizing the two get them alike
+            publisher: this.node.createPublisher('sensor_msgs/msg/CameraInfo', namespaceTopic(stream.namespace, topic), this.getImageQoS()),
+            service: this.node.createService('sensor_msgs/srv/SetCameraInfo', serviceName,
+                (request, response) => this.handleSetCameraInfo(stream, request, response)),
+        };
+        console.log(`Camera info of stream ${stream.namespace || '(default)'} ${calibration ? 'calibrated' : 'uncalibrated'}, set_camera_info on ${serviceName}`);
+    }
+
+    /**
+    * Gives a new stream the publishers of the link quality and the audio of its drone
+    * @param {ImageStream} stream The stream
+    */
+    setupDroneTopics(stream) {
+        stream.diagnosticsPublisher = this.node.createPublisher('diagnostic_msgs/msg/DiagnosticArray',
+            namespaceTopic(stream.namespace, this.options.diagnosticsTopic));
+        stream.audioPublisher = this.audioAvailable
+            ? this.node.createPublisher('audio_common_msgs/msg/AudioStamped', namespaceTopic(stream.namespace, this.options.audioTopic))
+            : null;
+    }
+
+    teardownDroneTopics(stream) {
+        if (stream.diagnosticsPublisher) {
+            this.node.destroyPublisher(stream.diagnosticsPublisher);
+        }
+        if (stream.audioPublisher) {
+            this.node.destroyPublisher(stream.audioPublisher);
+        }
+        stream.diagnosticsPublisher = null;
+        stream.audioPublisher = null;
+    }
+
+    teardownCameraInfo(stream) {
+        if (!stream.cameraInfo) {
+            return;
+        }
+        this.node.destroyPublisher(stream.cameraInfo.publisher);
+        this.node.destroyService(stream.cameraInfo.service);
+        stream.cameraInfo = null;
+    }
+
+    /**
+    * Serves set_camera_info: saves the calibration of a stream's camera and publishes it from the next frame on
+    * @param {ImageStream} stream The stream
+    * @param {Object} request The sensor_msgs/srv/SetCameraInfo request, with the calibration in camera_info
+    * @param {Object} response The response of rclnodejs
+    */
+    async handleSetCameraInfo(stream, request, response) {
+        const result = response.template;
+        const { cameraName } = stream.cameraInfo;
+        try {
+            const calibration = await this.calibrations.save(cameraName, request.camera_info);
+            if (stream.cameraInfo) {
+                stream.cameraInfo.calibration = calibration;
+            }
+            result.success = true;
+            result.status_message = `Calibration of ${cameraName} saved`;
+        } catch (error) {
+            console.error(`❌ Error saving the calibration of ${cameraName}:`, error);
+            result.success = false;
+            result.status_message = error.message;
+        }
+        response.send(result);
+    }
+
+    /**
+    * Publishes the CameraInfo of a published frame, with the header of its image
+    * @param {ImageStream} stream The stream the frame belongs to
+    * @param {Object} frameData The frame, see publishImageFrame
+    * @param {Object} header The header the image was published with
+    */
+    publishCameraInfo(stream, frameData, header) {
+        if (!stream.cameraInfo) {
+            return;
+        }
+        const size = { width: frameData.width, height: frameData.height };
+        stream.cameraInfo.publisher.publish(createCameraInfoMessage(stream.cameraInfo.calibration, size, header));
+    }
+
+    setupWebSocketServer(port = this.options.port, tlsOptions = null) {
+        if (tls.isEnabled(tlsOptions)) {
+            const server = tls.createServer(tlsOptions);
+            this.wss = new WebSocket.Server({ server });
+            this.wss.on('close', () => server.close());
+            server.listen(port);
+        } else {
+            this.wss = new WebSocket.Server({ port });
+        }
+        
+        const scheme = tls.isEnabled(tlsOptions) ? 'wss' : 'ws';
+        console.log(`WebSocket server for compressed image frames listening on ${scheme}://0.0.0.0:${port}`);
         
-        console.log(`WebSocket server for compressed image frames listening on port ${port}`);
+        this.startStatsTimer();
         
         this.wss.on('connection', (ws) => {
             console.log('Client connected to compressed image publisher WebSocket');
+            const client = { ws, protocol: 'json', acks: false, namespace: '', stream: null, clock: new ClientClock() };
+            this.clients.add(client);
             
-            ws.on('message', (data) => {
+            ws.on('message', (data, isBinary) => {
+                const receiveTime = now();
                 try {
+                    // Binary messages are frames, see frameProtocol.js
+                    if (isBinary) {
+                        this.receiveFrame(client, decodeFrame(data));
+                        return;
+                    }
+
                     const message = JSON.parse(data);
                     
-                    if (message.type === 'image_frame') {
-                        // Process frame asynchronously to avoid blocking WebSocket
-                        setImmediate(() => {
-                            this.publishCompressedImageFrame(message.data);
-                        });
+                    if (message.type === 'hello') {
+                        client.protocol = negotiateProtocol(message.data && message.data.protocols);
+                        // Apps that ask for acks are told what became of every frame
+                        client.acks = !!(message.data && message.data.acks);
+                        console.log(`Client speaks the ${client.protocol} frame protocol${client.acks ? ', with acks' : ''}`);
+                        this.joinStream(client, message.data && message.data.namespace);
+                        this.send(client, { type: 'welcome', data: { protocol: client.protocol, timeSync: true, config: this.getConfig(client.namespace) } });
+                    }
+                    else if (message.type === 'time_sync') {
+                        this.send(client, answerTimeSync(message.data, receiveTime));
+                    }
+                    else if (message.type === 'clock') {
+                        // Frames sent after the estimate are converted with it, the socket keeps them in order
+                        client.clock.update(message.data);
+                    }
+                    else if (message.type === 'control') {
+                        this.send(client, handleControlRequest(this, message.data, client));
+                    }
+                    else if (message.type === 'image_frame') {
+                        this.receiveFrame(client, message.data);
+                    }
+                    else if (message.type === 'link_quality') {
+                        this.publishLinkQuality(client, message.data);
+                    }
+                    else if (message.type === 'audio_chunk') {
+                        this.publishAudioChunk(client, message.data);
                     }
                 } catch (error) {
                     console.error('Error processing WebSocket message:', error);
@@ -71,6 +278,8 @@ class ROS2ImagePublisherCompressed {
             });
             
             ws.on('close', () => {
+                this.clients.delete(client);
+                this.leaveStream(client);
                 console.log('Client disconnected from compressed image publisher WebSocket');
             });
             
@@ -80,30 +289,91 @@ class ROS2ImagePublisherCompressed {
         });
     }
 
-    async publishCompressedImageFrame(frameData) {
-        if (!this.isInitialized || !this.publisher) {
-            console.warn('ROS2 not initialized, skipping frame publication');
-            return;
+    send(client, message) {
+        if (client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(JSON.stringify(message));
         }
+    }
 
-        const now = Date.now();
-        
-        // Rate limiting: Skip frame if we published too recently
-        if (now - this.lastPublishTime < this.minPublishInterval) {
-            this.frameDropCount++;
-            console.log(`⚠️ Frame dropped (${this.frameDropCount} total) - rate limited`);
-            return;
+    /**
+    * Moves a client to the stream of the namespace it declared
+    * @param {Object} client The connection
+    * @param {String} [declared] The namespace from the hello, none for the default stream
+    */
+    joinStream(client, declared) {
+        let namespace = '';
+        try {
+            namespace = normalizeNamespace(declared);
+        } catch (error) {
+            console.warn(`Client declared an invalid namespace, using the default stream: ${error.message}`);
+        }
+        this.leaveStream(client);
+        client.namespace = namespace;
+        if (this.isInitialized) {
+            client.stream = this.streams.acquire(namespace, client);
         }
+    }
 
-        // Drop frame if still processing previous frame (non-blocking)
-        if (this.isProcessing) {
-            this.frameDropCount++;
-            console.log(`⚠️ Frame dropped (${this.frameDropCount} total) - still processing`);
-            return;
+    leaveStream(client) {
+        if (client.stream) {
+            this.streams.release(client.stream, client);
+            client.stream = null;
+        }
+    }
+
+    // Every client is sent the counters of its stream, which its adaptive quality controller follows
+    startStatsTimer() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = setInterval(() => {
+            this.clients.forEach((client) => this.send(client, { type: 'stats', data: this.getStats(client.stream) }));
+        }, this.options.statsInterval);
+    }
+
+    // The stream a client sends to, apps that never said hello send to the default stream
+    streamOf(client) {
+        if (!client.stream && this.isInitialized) {
+            client.stream = this.streams.acquire(client.namespace, client);
+        }
+        return client.stream;
+    }
+
+    receiveFrame(client, frameData) {
+        const stream = this.streamOf(client);
+        // Process frame asynchronously to avoid blocking WebSocket
+        setImmediate(async () => {
+            const outcome = await this.publishImageFrame(stream, frameData, client.clock);
+            if (client.acks) {
+                this.send(client, { type: 'frame_ack', data: { sequence: frameData.sequence, ...outcome } });
+            }
+        });
+    }
+
+    /**
+    * Takes a frame of a stream in, rate limited per stream, and publishes it with publishImage
+    * @param {ImageStream} stream The stream the frame belongs to
+    * @param {Object} frameData width, height, encoding, captureTime, and the image as a Buffer in data
+    * (binary protocol) or base64 in imageData (JSON protocol)
+    * @param {ClientClock} [clock] The clock estimate of the app, see clockSync.js
+    * @returns {Promise<Object>} What became of the frame, { published, reason } where reason says why
+    * it was dropped, and processingTimeMs and latencyMs of published frames
+    */
+    async publishImageFrame(stream, frameData, clock = null) {
+        if (!this.isInitialized) {
+            console.warn('ROS2 not initialized, skipping frame publication');
+            return { published: false, reason: 'not_initialized' };
+        }
+        // The connection closed and its stream went away while the frame waited
+        if (!stream) {
+            return { published: false, reason: 'no_stream' };
+        }
+
+        // Rate limiting per stream: skip the frame if the stream published too recently or is still processing
+        const dropReason = stream.admit(Date.now(), this.minPublishInterval);
+        if (dropReason) {
+            console.log(`⚠️ Frame of ${stream.topic} dropped (${stream.frameDropCount} total) - ${dropReason}`);
+            return { published: false, reason: dropReason };
         }
 
-        this.isProcessing = true;
-        this.lastPublishTime = now;
         const startTime = Date.now();
 
         try {
@@ -111,53 +381,144 @@ class ROS2ImagePublisherCompressed {
             const width = frameData.width;
             const height = frameData.height;
             
-            // Decode base64 to buffer - this is the JPEG data
-            const jpegBuffer = Buffer.from(frameData.imageData, 'base64');
+            // Binary frames carry the encoded image as is, JSON frames in base64
+            const imageBuffer = frameData.data || Buffer.from(frameData.imageData, 'base64');
             
-            // Create compressed image message - much faster!
-            const compressedImageMsg = {
-                header: {
-                    stamp: {
-                        sec: Math.floor(now / 1000),
-                        nanosec: (now % 1000) * 1e6
-                    },
-                    frame_id: 'camera_frame'
-                },
-                format: 'jpeg',
-                data: Array.from(jpegBuffer) // Direct JPEG data, no conversion needed!
+            // With use_sim_time the clock stands at 0 until /clock is published
+            const rosTime = this.getRosTime();
+            if (rosTime === 0) {
+                return { published: false, reason: 'no_clock' };
+            }
+            const { stamp, latencyMs } = stampFrame({
+                captureTime: frameData.captureTime || frameData.timestamp,
+                clock,
+                serverTime: now(),
+                rosTime
+            });
+            const header = {
+                stamp,
+                frame_id: namespaceFrameId(stream.namespace, this.options.frameId)
             };
-
-            // Publish immediately - no image processing needed!
-            this.publisher.publish(compressedImageMsg);
+            await this.publishImage(stream, frameData, imageBuffer, header);
+            this.publishCameraInfo(stream, frameData, header);
             
             const processingTimeMs = Date.now() - startTime;
-            this.lastProcessTime = processingTimeMs;
+            stream.published(processingTimeMs, latencyMs);
             
-            // Calculate latency
-            let latencyMs = 'unknown';
-            if (frameData.captureTime) {
-                latencyMs = now - frameData.captureTime;
-            } else if (frameData.timestamp) {
-                latencyMs = now - frameData.timestamp;
+            let latency = latencyMs === null ? 'unknown' : `${Math.round(latencyMs)}ms`;
+            if (latencyMs !== null && !(clock && clock.isSynced())) {
+                latency += ' (unsynchronized clock)';
             }
-            
-            console.log(`✅ Published compressed ${width}x${height} in ${processingTimeMs}ms, latency: ${latencyMs}ms, size: ${jpegBuffer.length}B (dropped: ${this.frameDropCount})`);
+            console.log(`✅ Published ${width}x${height} to ${stream.topic} in ${processingTimeMs}ms, latency: ${latency}, size: ${imageBuffer.length}B (dropped: ${stream.frameDropCount})`);
+            return { published: true, processingTimeMs, latencyMs: latencyMs === null ? null : Math.round(latencyMs) };
             
         } catch (error) {
-            console.error('❌ Error publishing compressed image frame:', error);
+            console.error('❌ Error publishing image frame:', error);
+            return { published: false, reason: 'error' };
         } finally {
-            this.isProcessing = false;
+            stream.isProcessing = false;
+        }
+    }
+
+    /**
+    * Stamps what a client sent with its capture time, like its frames, see stampFrame
+    * @param {Object} client The connection it came on, with the clock estimate of the app
+    * @param {Number} [captureTime] When it was captured, in the app's clock
+    * @returns {Object|null} The stamp, null while the simulation time has not started
+    */
+    stampClientMessage(client, captureTime) {
+        const rosTime = this.getRosTime();
+        if (rosTime === 0) {
+            return null;
+        }
+        return stampFrame({ captureTime, clock: client.clock, serverTime: now(), rosTime }).stamp;
+    }
+
+    // The time of the node's clock in ms, the simulation time of /clock with use_sim_time
+    getRosTime() {
+        const { seconds, nanoseconds } = this.node.getClock().now().secondsAndNanoseconds;
+        return Number(seconds) * 1000 + Number(nanoseconds) / 1e6;
+    }
+
+    /**
+    * Publishes the image of a frame as a CompressedImage
+    * @param {ImageStream} stream The stream the frame belongs to
+    * @param {Object} frameData The frame, see publishImageFrame
+    * @param {Buffer} imageBuffer The encoded image
+    * @param {Object} header The header of the message
+    */
+    async publishImage(stream, frameData, imageBuffer, header) {
+        // Publish immediately - no image processing needed!
+        stream.publisher.publish(this.createCompressedImageMessage(frameData, imageBuffer, header));
+    }
+
+    createCompressedImageMessage(frameData, imageBuffer, header) {
+        // Create compressed image message - much faster!
+        return {
+            header,
+            format: frameData.encoding || 'jpeg',
+            data: imageBuffer // Published from the buffer, no conversion or copy needed
+        };
+    }
+
+    /**
+    * Publishes a link quality sample of a WebRTC stream as a DiagnosticArray on the diagnostics topic of its stream
+    * @param {Object} client The connection the sample came on
+    * @param {Object} quality The sample sent by the operator app, see src/LinkQuality.js
+    */
+    publishLinkQuality(client, quality) {
+        const stream = this.streamOf(client);
+        if (!stream || !stream.diagnosticsPublisher) {
+            return;
+        }
+        const stamp = this.stampClientMessage(client, quality.timestamp);
+        if (!stamp) {
+            return;
+        }
+        try {
+            const frameId = namespaceFrameId(stream.namespace, this.options.frameId);
+            stream.diagnosticsPublisher.publish(createDiagnosticArray(quality, { frameId, stamp }));
+        } catch (error) {
+            console.error('❌ Error publishing link quality:', error);
+        }
+    }
+
+    /**
+    * Publishes a PCM chunk of the audio of a WebRTC stream as an AudioStamped message on the audio topic of its stream
+    * @param {Object} client The connection the chunk came on
+    * @param {Object} chunk The chunk sent by the operator app, see src/ROS2AudioStreamer.js
+    */
+    publishAudioChunk(client, chunk) {
+        const stream = this.streamOf(client);
+        if (!stream || !stream.audioPublisher) {
+            this.audioDropCount++;
+            return;
+        }
+        const stamp = this.stampClientMessage(client, chunk.captureTime);
+        if (!stamp) {
+            this.audioDropCount++;
+            return;
+        }
+        try {
+            const frameId = namespaceFrameId(stream.namespace, this.options.frameId);
+            stream.audioPublisher.publish(createAudioMessage(chunk, { frameId, stamp }));
+            this.audioChunkCount++;
+        } catch (error) {
+            this.audioDropCount++;
+            console.error('❌ Error publishing audio chunk:', error.message);
         }
     }
 
     async shutdown() {
         console.log('Shutting down ROS2 Compressed Image Publisher...');
+        clearInterval(this.statsTimer);
         
         if (this.wss) {
             this.wss.close();
         }
         
         if (this.node) {
+            this.streams.clear();
             this.node.destroy();
         }
         
@@ -165,40 +526,107 @@ class ROS2ImagePublisherCompressed {
         console.log('ROS2 Compressed Image Publisher shutdown complete');
     }
 
-    resetStats() {
-        this.frameDropCount = 0;
-        this.lastProcessTime = 0;
-        this.lastPublishTime = 0;
+    /**
+    * Resets the counters of a stream, or of every stream and the audio
+    * @param {ImageStream} [stream] The stream, none for all
+    */
+    resetStats(stream = null) {
+        if (stream) {
+            stream.resetStats();
+            console.log(`Statistics of ${stream.topic} reset`);
+            return;
+        }
+        this.streams.all().forEach((each) => each.resetStats());
+        this.audioChunkCount = 0;
+        this.audioDropCount = 0;
         console.log('Statistics reset');
     }
 
     setPublishRate(fps) {
+        this.options.publishRate = fps;
         this.minPublishInterval = Math.max(33, 1000 / fps); // Minimum 30 FPS, maximum as requested
         console.log(`Publish rate set to ${fps} FPS (${this.minPublishInterval}ms interval)`);
     }
 
-    getStats() {
+    /**
+    * Changes the live configuration and tells every client, see LIVE_CONFIG in publisherControl.js
+    * @param {Object} changes publishRate, frameId and/or statsInterval
+    */
+    configure(changes) {
+        if (changes.publishRate !== undefined) {
+            this.setPublishRate(changes.publishRate);
+        }
+        if (changes.frameId !== undefined) {
+            this.options.frameId = changes.frameId;
+            console.log(`Frame ID set to ${changes.frameId}`);
+        }
+        if (changes.statsInterval !== undefined) {
+            this.options.statsInterval = changes.statsInterval;
+            if (this.statsTimer) {
+                this.startStatsTimer();
+            }
+        }
+        this.clients.forEach((client) => this.send(client, { type: 'config', data: this.getConfig(client.namespace) }));
+    }
+
+    /**
+    * Returns the live configuration as it applies to a stream
+    * @param {String} [namespace] The namespace of the stream, '' for the default stream
+    * @returns {Object} The configuration, with the topic and frame_id of the stream
+    */
+    getConfig(namespace = '') {
         return {
-            frameDropCount: this.frameDropCount,
-            lastProcessTime: this.lastProcessTime,
-            isProcessing: this.isProcessing,
+            namespace,
+            topic: namespaceTopic(namespace, this.getImageTopic()),
+            frameId: namespaceFrameId(namespace, this.options.frameId),
+            publishRate: this.options.publishRate,
+            statsInterval: this.options.statsInterval,
+            diagnosticsTopic: namespaceTopic(namespace, this.options.diagnosticsTopic),
+            audioTopic: this.audioAvailable ? namespaceTopic(namespace, this.options.audioTopic) : null,
+            cameraInfoTopic: namespaceTopic(namespace, this.options.cameraInfo.topic),
+            useSimTime: !!this.options.useSimTime,
+        };
+    }
+
+    /**
+    * Returns the counters of a stream, or the totals of all streams with each stream's counters in `streams`
+    * @param {ImageStream} [stream] The stream, none for all
+    * @returns {Object} The stats
+    */
+    getStats(stream = null) {
+        const shared = {
             publishRate: Math.round(1000 / this.minPublishInterval),
-            minPublishInterval: this.minPublishInterval
+            minPublishInterval: this.minPublishInterval,
+            audioChunkCount: this.audioChunkCount,
+            audioDropCount: this.audioDropCount
+        };
+        if (stream) {
+            return { ...stream.getStats(), ...shared };
+        }
+        const streams = this.streams.all().map((each) => each.getStats());
+        const latencies = streams.map(({ latencyMs }) => latencyMs).filter((latencyMs) => latencyMs !== null);
+        return {
+            frameCount: streams.reduce((sum, each) => sum + each.frameCount, 0),
+            frameDropCount: streams.reduce((sum, each) => sum + each.frameDropCount, 0),
+            latencyMs: latencies.length ? Math.round(latencies.reduce((sum, latencyMs) => sum + latencyMs, 0) / latencies.length) : null,
+            lastProcessTime: Math.max(0, ...streams.map(({ lastProcessTime }) => lastProcessTime)),
+            ...shared,
+            streams
         };
     }
 }
 
 // Main execution
 async function main() {
-    const publisher = new ROS2ImagePublisherCompressed();
+    const config = loadConfig();
+    const publisher = new ROS2ImagePublisherCompressed(config.publisher);
     
     try {
         await publisher.initialize();
-        publisher.setupWebSocketServer(8092);
+        publisher.setupWebSocketServer(config.publisher.port, config.tls);
         
         console.log('ROS2 Compressed Image Publisher service is running...');
-        console.log('WebSocket server listening on port 8092');
-        console.log('Publishing compressed images to topic: /camera/image_raw/compressed');
+        console.log(`Publishing compressed images to topic: /<namespace>${config.publisher.topic} (frame_id: <namespace>/${config.publisher.frameId})`);
         
     } catch (error) {
         console.error('Failed to start ROS2 Compressed Image Publisher:', error);
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const isEnabled = (tls) => !!(tls && tls.cert && tls.key);
+
+/**
+* Creates an HTTPS server when a certificate and key are configured, a plain HTTP server otherwise
+* @param {Object} [tls] Paths of the PEM encoded certificate (chain) and private key
+* @param {Function} [handler] The request handler
+* @returns {http.Server|https.Server} The server, not listening yet
+*/
+function createServer(tls, handler) {
+    if (!isEnabled(tls)) {
+        return http.createServer(handler);
+    }
+    return https.createServer({
+        cert: fs.readFileSync(tls.cert),
+        key: fs.readFileSync(tls.key),
+    }, handler);
+}
+
+module.exports = {
+    isEnabled,
+    createServer,
+};
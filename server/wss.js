@@ -1,81 +1,424 @@
 const debug = require('debug')(`${process.env.APPNAME}:wss`);
 const WebSocket = require('ws');
+const { ROLES, PeerRegistry } = require('./peerRegistry');
+const { loadSecret, verifyToken, canSignal } = require('./auth');
+const { PROTOCOL_VERSION, ERROR_CODES, ProtocolError, parseMessage } = require('./protocol');
+const metrics = require('./metrics');
+const ice = require('./ice');
+const { MemoryRelay } = require('./relay');
+const tls = require('./tls');
+
+// Time a client has to send its `auth` message when no token was given in the query string
+const AUTH_TIMEOUT_MS = 5000;
+// Close code sent along with rejected connections
+const CLOSE_UNAUTHORIZED = 4401;
+// Close code sent to clients disconnected through the admin API
+const CLOSE_KICKED = 4000;
+// How long a registered peer keeps its ID and queued messages after its socket closed
+const RESUME_GRACE_MS = 15000;
+// Maximum number of signaling messages held for a disconnected peer
+const MAX_QUEUED_MESSAGES = 100;
+// How often every socket is pinged, and how long it may stay silent before it is evicted
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 10000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 30000;
 
 // Store connected clients
-const clients = new Map();
+const clients = new PeerRegistry();
+let secret = null;
+let iceConfig = null;
+// Shares presence and relays messages between signaling server instances
+let backend = new MemoryRelay();
 
-function init (port) {
+/**
+* Starts the signaling server
+* @param {Number} port The port to listen on
+* @param {Object} [options] heartbeatInterval and heartbeatTimeout in milliseconds, the relay backend,
+* and the tls cert and key paths to serve wss:// instead of ws://
+* @returns {WebSocket.Server} The running server
+*/
+function init (port, options = {}) {
     debug('ws init invoked, port:', port)
 
-    const wss = new WebSocket.Server({ port });
-    wss.on('connection', (socket) => {
+    backend = options.relay || new MemoryRelay();
+    backend.start({
+        onPresence: (type, body) => broadcast(type, body),
+        onMessage: onRelayedMessage,
+    }).catch(error => console.error('Failed to start relay backend:', error));
+
+    const heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL_MS;
+    const heartbeatTimeout = options.heartbeatTimeout || DEFAULT_HEARTBEAT_TIMEOUT_MS;
+
+    secret = loadSecret();
+    iceConfig = ice.loadIceConfig();
+    let wss;
+    if (tls.isEnabled(options.tls)) {
+        const server = tls.createServer(options.tls);
+        wss = new WebSocket.Server({ server });
+        wss.on('close', () => server.close());
+        server.listen(port);
+    }
+    else {
+        wss = new WebSocket.Server({ port });
+    }
+    const heartbeat = setInterval(() => checkHeartbeats(heartbeatTimeout), heartbeatInterval);
+    wss.on('close', () => {
+        clearInterval(heartbeat);
+        backend.close().catch(error => console.error('Failed to close relay backend:', error));
+    });
+
+    wss.on('connection', (socket, request) => {
         debug('A client has connected!');
 
         // Assign a unique ID to the connected client
         const id = Math.random().toString(36).substring(2, 15);
-        clients.set(id, socket);
+        const peer = clients.add(id, socket);
         console.log('A client has connected!, ID:', id);
 
         socket.on('error', debug);
-        socket.on('message', message => onMessage(wss, socket, message));
+        socket.on('pong', () => touch(socket));
+        socket.on('message', message => {
+            touch(socket);
+            try {
+                onMessage(wss, socket, message);
+            } catch (error) {
+                console.error('Error handling message from', id + ':', error);
+                sendError(socket, ERROR_CODES.INTERNAL_ERROR, 'Failed to handle message');
+            }
+        });
         socket.on('close', message => onClose(wss, socket, message));
+
+        const token = new URL(request.url, 'ws://localhost').searchParams.get('token');
+        if (token) {
+            authenticate(peer, token);
+        }
+        else {
+            peer.authTimer = setTimeout(() => {
+                if (!peer.claims) {
+                    reject(peer, 'Authentication timed out');
+                }
+            }, AUTH_TIMEOUT_MS);
+        }
     })
+    return wss;
+}
+
+// Notes that a socket is alive on the record that owns it, which is no longer the one created on
+// connection once the socket resumed a suspended session
+function touch(socket) {
+    const peer = clients.findBySocket(socket);
+    if (peer) {
+        peer.lastSeen = Date.now();
+    }
 }
 
 function send(wsClient, type, body) {
     debug('ws send', body);
     wsClient.send(JSON.stringify({
+        v: PROTOCOL_VERSION,
         event: type,
         data: body,
     }))
 }
 
-const findClientID = (map, val) => {
-    for (let [k, v] of map) {
-        if (v === val) { 
-            return k; 
+function sendError(wsClient, code, message, event) {
+    metrics.countError(code);
+    send(wsClient, 'error', { code, message, event });
+}
+
+function reject(peer, message) {
+    console.log('Rejecting client', peer.id + ':', message);
+    sendError(peer.socket, ERROR_CODES.UNAUTHORIZED, message);
+    peer.socket.close(CLOSE_UNAUTHORIZED, message);
+}
+
+function authenticate(peer, token) {
+    clearTimeout(peer.authTimer);
+    let claims;
+    try {
+        claims = verifyToken(token, secret);
+    } catch (error) {
+        reject(peer, error.message);
+        return false;
+    }
+    // Admin tokens are for the HTTP admin API only
+    if (!ROLES.includes(claims.role)) {
+        reject(peer, `Role ${claims.role} cannot connect to signaling`);
+        return false;
+    }
+    clients.authenticate(peer.id, claims);
+    console.log('Client', peer.id, 'authenticated as', peer.claims.role, `'${peer.claims.name}'`);
+    send(peer.socket, 'authenticated', { socketID: peer.id, role: peer.claims.role, name: peer.claims.name });
+    return true;
+}
+
+function broadcast(type, body, exceptID) {
+    for (const peer of clients.list()) {
+        if (peer.id !== exceptID && peer.socket && peer.socket.readyState === WebSocket.OPEN) {
+            send(peer.socket, type, body);
         }
-    }  
-    return null;
+    }
+}
+
+// Tells local peers and, through the relay backend, peers on other instances about a presence change
+function announce(type, body, exceptID) {
+    broadcast(type, body, exceptID);
+    backend.announce(type, body).catch(error => console.error('Failed to announce', type, 'to relay backend:', error));
+}
+
+function sendPeerList(peer) {
+    const peerList = clients.list()
+        .filter(other => other.id !== peer.id)
+        .map(PeerRegistry.describe)
+        .concat(backend.listPeers());
+    send(peer.socket, 'peer_list', { peers: peerList });
+}
+
+// Sends a message to a peer wherever it is connected, returns false if no instance knows it
+function deliver(targetID, type, body) {
+    const target = clients.get(targetID);
+    if (target) {
+        relay(target, type, body);
+        return true;
+    }
+    if (backend.getPeer(targetID)) {
+        backend.send(targetID, type, body).catch(error => console.error('Failed to relay', type, 'to', targetID + ':', error));
+        return true;
+    }
+    return false;
+}
+
+function onRelayedMessage(targetID, type, body) {
+    const target = clients.get(targetID);
+    if (!target) {
+        debug('Relayed', type, 'for unknown client', targetID);
+        return;
+    }
+    if (type === 'webrtc_msg') {
+        target.sessions.add(body.socketID);
+    }
+    relay(target, type, body);
 }
 
 function clearClient(wss, socket) {
     // clear all client
-    let socketClientID = findClientID(clients, socket);
-    console.log('Client', socketClientID, 'has leave.')
-    clients.delete(socketClientID);
+    const peer = clients.findBySocket(socket);
+    if (!peer) {
+        return;
+    }
+    clearTimeout(peer.authTimer);
+
+    if (!peer.registered) {
+        console.log('Client', peer.id, 'has leave.')
+        clients.remove(peer.id);
+        return;
+    }
+
+    // Registered peers get a grace period to come back under the same ID
+    console.log('Client', peer.id, 'disconnected, holding its session for', RESUME_GRACE_MS, 'ms');
+    clients.suspend(peer.id);
+    announce('peer_disconnected', PeerRegistry.describe(peer));
+    peer.graceTimer = setTimeout(() => {
+        console.log('Client', peer.id, 'has leave.')
+        clients.remove(peer.id);
+        announce('peer_left', PeerRegistry.describe(peer));
+    }, RESUME_GRACE_MS);
+    // A pending grace period should not keep the process alive on shutdown
+    peer.graceTimer.unref();
+}
+
+function checkHeartbeats(timeout) {
+    const now = Date.now();
+    for (const peer of clients.connected()) {
+        if (now - peer.lastSeen > timeout) {
+            evict(peer);
+        }
+        else if (peer.socket.readyState === WebSocket.OPEN) {
+            peer.socket.ping();
+        }
+    }
+}
+
+function evict(peer) {
+    console.log('Client', peer.id, 'stopped answering heartbeats, evicting it');
+
+    // The peer is gone for good rather than suspended: whoever is negotiating with it has to tear its
+    // session down right away, without waiting for a resume grace period to run out
+    clearTimeout(peer.authTimer);
+    clients.remove(peer.id);
+    if (peer.registered) {
+        announce('peer_left', { ...PeerRegistry.describe(peer), online: false, reason: 'timeout' });
+    }
+    peer.socket.terminate();
+}
+
+function relay(target, type, body) {
+    metrics.countRelayed(type, body.type);
+    if (target.socket) {
+        send(target.socket, type, body);
+        return;
+    }
+    if (target.queue.length >= MAX_QUEUED_MESSAGES) {
+        target.queue.shift();
+    }
+    debug('Queueing', type, 'for disconnected client', target.id);
+    target.queue.push({ type, body });
+}
+
+function onResume(peer, data) {
+    const session = clients.findByResumeToken(data.resumeToken);
+    if (!session || session.claims.role !== peer.claims.role || session.claims.name !== peer.claims.name) {
+        debug('Cannot resume session for', peer.id);
+        return null;
+    }
+
+    // A client reconnecting before we noticed its old socket died takes the session over from it
+    const stale = session.socket;
+    if (stale) {
+        console.log('Client', peer.id, 'takes session', session.id, 'over from its stale socket');
+        clients.suspend(session.id);
+        stale.terminate();
+    }
+
+    clearTimeout(session.graceTimer);
+    const resumed = clients.resume(peer.id, session.id);
+    console.log('Client', peer.id, 'resumed session', resumed.id);
+    return resumed;
+}
+
+function flushQueue(peer) {
+    const queued = peer.queue.splice(0);
+    for (const { type, body } of queued) {
+        send(peer.socket, type, body);
+    }
+    debug('Flushed', queued.length, 'queued messages to', peer.id);
+}
+
+function onRegister(peer, data) {
+    if (data.role !== peer.claims.role) {
+        sendError(peer.socket, ERROR_CODES.FORBIDDEN, `Token does not allow registering as ${data.role}`, 'register');
+        return;
+    }
+    // The name shown to other peers is the signed one, so no client can pose as another
+    if (data.name && data.name !== peer.claims.name) {
+        sendError(peer.socket, ERROR_CODES.FORBIDDEN, `Token does not allow registering as '${data.name}'`, 'register');
+        return;
+    }
+
+    const resumed = data.resumeToken && !peer.registered ? onResume(peer, data) : null;
+    if (resumed) {
+        peer = resumed;
+    }
+
+    const wasRegistered = peer.registered;
+    clients.register(peer.id, { ...data, name: peer.claims.name });
+    console.log('Client', peer.id, 'registered as', peer.role, `'${peer.name}'`);
+
+    send(peer.socket, 'registered', {
+        ...PeerRegistry.describe(peer),
+        resumeToken: peer.resumeToken,
+        resumed: !!resumed,
+    });
+    if (resumed) {
+        flushQueue(peer);
+    }
+    sendPeerList(peer);
+
+    let type = 'peer_joined';
+    if (resumed) {
+        type = 'peer_resumed';
+    }
+    else if (wasRegistered) {
+        type = 'peer_updated';
+    }
+    announce(type, PeerRegistry.describe(peer), peer.id);
 }
 
 function onMessage(wss, socket, message) {
     debug(`onMessage ${message}`);
 
-    const parsedMessage = JSON.parse(message)
-    const type = parsedMessage.event
-    const data = parsedMessage.data
     // Client socket ID
-    let socketClientID = findClientID(clients, socket);
+    const peer = clients.findBySocket(socket);
+    if (!peer) {
+        return;
+    }
+    let socketClientID = peer.id;
 
-    // Target socket ID
-    let socketID;
-    if (parsedMessage.socketID) {
-        socketID = parsedMessage.socketID;
+    let parsedMessage;
+    try {
+        parsedMessage = parseMessage(message);
+    } catch (error) {
+        if (!(error instanceof ProtocolError)) {
+            throw error;
+        }
+        debug('Invalid message from', socketClientID, error.message);
+        sendError(socket, error.code, error.message, error.event);
+        return;
     }
-    else {
-        socketID = data.socketID;
+    const type = parsedMessage.event
+    const data = parsedMessage.data
+    // Target socket ID
+    const socketID = parsedMessage.target;
+
+    // Until a client has authenticated, the only thing it may do is authenticate
+    if (!peer.claims) {
+        if (type === 'auth') {
+            authenticate(peer, data.token);
+        }
+        else {
+            reject(peer, 'Not authenticated');
+        }
+        return;
     }
-    
+
     switch (type) {
+        case 'auth': {
+            sendError(socket, ERROR_CODES.BAD_MESSAGE, 'Already authenticated', type);
+            break;
+        }
+        case 'register': {
+            onRegister(peer, data);
+            break;
+        }
+        case 'list_peers': {
+            sendPeerList(peer);
+            break;
+        }
+        case 'get_ice_config': {
+            send(socket, 'ice_config', ice.getIceConfiguration(iceConfig, peer.claims.name));
+            break;
+        }
         case 'webrtc_msg': {
-            let wsClient = clients.get(socketID);
-            data['socketID'] = socketClientID;
-
-            if (wsClient) {
-                debug('Sending webrtc_msg message from', socketClientID, 'to', socketID);
-                send(wsClient, 'webrtc_msg', data);
+            let target = clients.get(socketID);
+            const remote = target ? null : backend.getPeer(socketID);
+            if (remote) {
+                if (!canSignal(peer, { claims: { role: remote.role } })) {
+                    debug('Refusing webrtc_msg from', socketClientID, 'to remote', socketID);
+                    sendError(socket, ERROR_CODES.FORBIDDEN, `Not allowed to signal ${socketID}`, type);
+                    break;
+                }
+                debug('Sending webrtc_msg message from', socketClientID, 'to remote', socketID);
+                peer.sessions.add(socketID);
+                deliver(socketID, 'webrtc_msg', { ...data, socketID: socketClientID });
+                break;
+            }
+            if (!target) {
+                debug('Unknown webrtc_msg target', socketID, 'from', socketClientID);
+                sendError(socket, ERROR_CODES.TARGET_NOT_FOUND, `No peer with socketID ${socketID}`, type);
+                break;
             }
-            break;            
+            if (!canSignal(peer, target)) {
+                debug('Refusing webrtc_msg from', socketClientID, 'to', socketID);
+                sendError(socket, ERROR_CODES.FORBIDDEN, `Not allowed to signal ${socketID}`, type);
+                break;
+            }
+
+            debug('Sending webrtc_msg message from', socketClientID, 'to', socketID);
+            clients.link(peer, target);
+            relay(target, 'webrtc_msg', { ...data, socketID: socketClientID });
+            break;
         }
         default:
+            sendError(socket, ERROR_CODES.UNSUPPORTED_EVENT, `Unsupported event '${type}'`, type);
             break;
     }
 }
@@ -85,6 +428,61 @@ function onClose(wss, socket, message) {
     clearClient(wss, socket);
 }
 
+/**
+* Returns a description of every known peer for the admin API
+* @returns {Array} socketID, role, name, metadata and connection details of each peer
+*/
+function getPeers() {
+    return [...clients.peers.values()].map(peer => ({
+        ...PeerRegistry.describe(peer),
+        registered: peer.registered,
+        authenticatedAs: peer.claims ? peer.claims.name : null,
+        connectedAt: new Date(peer.connectedAt).toISOString(),
+        lastSeen: new Date(peer.lastSeen).toISOString(),
+        sessions: [...peer.sessions],
+        queuedMessages: peer.queue.length,
+    }));
+}
+
+/**
+* Returns the number of connected clients keyed by role, counting unregistered clients separately
+* @returns {Object} Client counts by role
+*/
+function countClientsByRole() {
+    const counts = { unregistered: 0 };
+    ROLES.forEach(role => { counts[role] = 0; });
+    for (const peer of clients.connected()) {
+        counts[peer.registered ? peer.role : 'unregistered']++;
+    }
+    return counts;
+}
+
+/**
+* Forcibly disconnects a peer, skipping the resume grace period
+* @param {String} id The socket id of the peer
+* @returns {Boolean} true if the peer existed
+*/
+function disconnectPeer(id) {
+    const peer = clients.get(id);
+    if (!peer) {
+        return false;
+    }
+    console.log('Client', id, 'disconnected by admin');
+    clearTimeout(peer.graceTimer);
+    clearTimeout(peer.authTimer);
+    clients.remove(id);
+    if (peer.registered) {
+        announce('peer_left', { ...PeerRegistry.describe(peer), online: false, reason: 'kicked' });
+    }
+    if (peer.socket) {
+        peer.socket.close(CLOSE_KICKED, 'Disconnected by admin');
+    }
+    return true;
+}
+
 module.exports = {
     init,
+    getPeers,
+    countClientsByRole,
+    disconnectPeer,
 }
@@ -0,0 +1,266 @@
+/**
+ * @jest-environment node
+ */
+const WebSocket = require('ws');
+
+process.env.SIGNALING_SECRET = 'test-secret';
+const wss = require('./wss');
+const { createToken } = require('./auth');
+
+let server;
+let url;
+const sockets = [];
+
+/*
+ * Opens a signaling connection and collects every message it receives, so tests can await
+ * the next message of a given event.
+ */
+function connect(claims) {
+    const token = claims ? `?token=${createToken(claims, process.env.SIGNALING_SECRET)}` : '';
+    const socket = new WebSocket(url + token);
+    const received = [];
+    const waiting = [];
+    socket.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        const index = waiting.findIndex(w => w.event === message.event);
+        if (index >= 0) {
+            waiting.splice(index, 1)[0].resolve(message.data);
+        } else {
+            received.push(message);
+        }
+    });
+    socket.next = (event) => new Promise((resolve) => {
+        const index = received.findIndex(m => m.event === event);
+        if (index >= 0) {
+            resolve(received.splice(index, 1)[0].data);
+        } else {
+            waiting.push({ event, resolve });
+        }
+    });
+    // Events received that no test waited for
+    socket.unread = () => received.map(m => m.event);
+    socket.sendJSON = (message) => socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    sockets.push(socket);
+    return socket;
+}
+
+async function registered(role, name) {
+    const socket = connect({ role, name });
+    await socket.next('authenticated');
+    socket.sendJSON({ v: 1, event: 'register', data: { role } });
+    socket.id = (await socket.next('registered')).socketID;
+    return socket;
+}
+
+beforeAll((done) => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = wss.init(0, { heartbeatInterval: 50, heartbeatTimeout: 200 });
+    server.on('listening', () => {
+        url = `ws://localhost:${server.address().port}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    sockets.splice(0).forEach(socket => socket.terminate());
+    // Let the server handle every close before the next test starts
+    while (server.clients.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('signaling error replies', () => {
+    test('answers invalid JSON with bad_message', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON('{oops');
+        const error = await operator.next('error');
+        expect(error.code).toBe('bad_message');
+    });
+
+    test('answers a webrtc_msg without data with bad_message instead of crashing', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ event: 'webrtc_msg' });
+        const error = await operator.next('error');
+        expect(error).toMatchObject({ code: 'bad_message', event: 'webrtc_msg' });
+    });
+
+    test('answers unknown events with unsupported_event', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ event: 'launch_missiles', data: {} });
+        const error = await operator.next('error');
+        expect(error).toMatchObject({ code: 'unsupported_event', event: 'launch_missiles' });
+    });
+
+    test('answers newer protocol versions with unsupported_version', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ v: 99, event: 'list_peers' });
+        const error = await operator.next('error');
+        expect(error.code).toBe('unsupported_version');
+    });
+
+    test('answers messages for unknown peers with target_not_found', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ event: 'webrtc_msg', socketID: 'nobody', data: { type: 'offer' } });
+        const error = await operator.next('error');
+        expect(error).toMatchObject({ code: 'target_not_found', event: 'webrtc_msg' });
+    });
+
+    test('answers signaling between two operators with forbidden', async () => {
+        const first = await registered('operator', 'op1');
+        const second = await registered('operator', 'op2');
+        first.sendJSON({ event: 'webrtc_msg', socketID: second.id, data: { type: 'offer' } });
+        const error = await first.next('error');
+        expect(error.code).toBe('forbidden');
+    });
+
+    test('rejects unauthenticated clients with unauthorized and closes the socket', async () => {
+        const anonymous = connect();
+        await new Promise(resolve => anonymous.on('open', resolve));
+        const closed = new Promise(resolve => anonymous.on('close', resolve));
+        anonymous.sendJSON({ event: 'list_peers' });
+        const error = await anonymous.next('error');
+        expect(error.code).toBe('unauthorized');
+        expect(await closed).toBe(4401);
+    });
+
+    test('answers registrations under another name than the token\'s with forbidden', async () => {
+        const drone = connect({ role: 'drone', name: 'drone1' });
+        await drone.next('authenticated');
+        drone.sendJSON({ event: 'register', data: { role: 'drone', name: 'drone2' } });
+        expect(await drone.next('error')).toMatchObject({ code: 'forbidden', event: 'register' });
+
+        drone.sendJSON({ event: 'register', data: { role: 'drone' } });
+        expect(await drone.next('registered')).toMatchObject({ role: 'drone', name: 'drone1' });
+    });
+
+    test('still relays valid messages between a drone and an operator', async () => {
+        const drone = await registered('drone', 'drone1');
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ v: 1, event: 'webrtc_msg', socketID: drone.id, data: { type: 'offer', sdp: 'v=0' } });
+        const relayed = await drone.next('webrtc_msg');
+        expect(relayed).toEqual({ type: 'offer', sdp: 'v=0', socketID: operator.id });
+    });
+});
+
+describe('heartbeats', () => {
+    test('evicts a silent peer and tells the operators negotiating with it', async () => {
+        const drone = await registered('drone', 'drone1');
+        const operator = await registered('operator', 'op');
+        await operator.next('peer_list');
+        operator.sendJSON({ event: 'webrtc_msg', socketID: drone.id, data: { type: 'offer' } });
+        await drone.next('webrtc_msg');
+
+        // Stop reading from the socket, so the drone no longer answers pings, like a half-open connection
+        drone._socket.pause();
+
+        const left = await operator.next('peer_left');
+        expect(left).toMatchObject({ socketID: drone.id, online: false, reason: 'timeout' });
+
+        // The evicted peer is removed, not held for a resume, so nothing else is announced about it
+        await new Promise(resolve => setTimeout(resolve, 300));
+        expect(operator.unread()).not.toContain('peer_disconnected');
+        expect(operator.unread()).not.toContain('peer_left');
+        operator.sendJSON({ event: 'list_peers' });
+        expect((await operator.next('peer_list')).peers.map(peer => peer.socketID)).not.toContain(drone.id);
+    });
+
+    test('keeps peers that answer pings', async () => {
+        const drone = await registered('drone', 'drone1');
+        await new Promise(resolve => setTimeout(resolve, 400));
+        expect(drone.readyState).toBe(WebSocket.OPEN);
+    });
+
+    test('keeps peers that answer pings after resuming their session', async () => {
+        const first = connect({ role: 'drone', name: 'drone1' });
+        await first.next('authenticated');
+        first.sendJSON({ event: 'register', data: { role: 'drone' } });
+        const { socketID, resumeToken } = await first.next('registered');
+        const operator = await registered('operator', 'op');
+        await operator.next('peer_list');
+        first.terminate();
+        await operator.next('peer_disconnected');
+        const drone = connect({ role: 'drone', name: 'drone1' });
+        await drone.next('authenticated');
+        drone.sendJSON({ event: 'register', data: { role: 'drone', resumeToken } });
+        expect(await drone.next('registered')).toMatchObject({ socketID, resumed: true });
+
+        // Several heartbeat timeouts go by
+        await new Promise(resolve => setTimeout(resolve, 700));
+        expect(drone.readyState).toBe(WebSocket.OPEN);
+        operator.sendJSON({ event: 'list_peers' });
+        const { peers } = await operator.next('peer_list');
+        expect(peers.find(peer => peer.socketID === socketID)).toMatchObject({ online: true });
+    });
+});
+
+describe('session resume', () => {
+    async function registeredWithToken(role, name) {
+        const socket = connect({ role, name });
+        await socket.next('authenticated');
+        socket.sendJSON({ event: 'register', data: { role } });
+        const { socketID, resumeToken } = await socket.next('registered');
+        socket.id = socketID;
+        socket.resumeToken = resumeToken;
+        return socket;
+    }
+
+    async function resume(role, name, resumeToken) {
+        const socket = connect({ role, name });
+        await socket.next('authenticated');
+        socket.sendJSON({ event: 'register', data: { role, resumeToken } });
+        return socket;
+    }
+
+    test('delivers the messages queued while the peer was away', async () => {
+        const drone = await registeredWithToken('drone', 'drone1');
+        const operator = await registered('operator', 'op');
+        drone.terminate();
+        await operator.next('peer_disconnected');
+
+        operator.sendJSON({ event: 'webrtc_msg', socketID: drone.id, data: { type: 'offer', sdp: 'v=0' } });
+        operator.sendJSON({ event: 'webrtc_msg', socketID: drone.id, data: { type: 'candidate', candidate: 'c1' } });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const back = await resume('drone', 'drone1', drone.resumeToken);
+        expect(await back.next('registered')).toMatchObject({ socketID: drone.id, resumed: true });
+        expect(await back.next('webrtc_msg')).toEqual({ type: 'offer', sdp: 'v=0', socketID: operator.id });
+        expect(await back.next('webrtc_msg')).toEqual({ type: 'candidate', candidate: 'c1', socketID: operator.id });
+        expect(await operator.next('peer_resumed')).toMatchObject({ socketID: drone.id, online: true });
+    });
+
+    test('takes the session over from a half-open socket', async () => {
+        const drone = await registeredWithToken('drone', 'drone1');
+        const operator = await registered('operator', 'op');
+        const staleClosed = new Promise(resolve => drone.on('close', resolve));
+
+        const back = await resume('drone', 'drone1', drone.resumeToken);
+        expect(await back.next('registered')).toMatchObject({ socketID: drone.id, resumed: true });
+        await staleClosed;
+
+        operator.sendJSON({ event: 'webrtc_msg', socketID: drone.id, data: { type: 'offer', sdp: 'v=0' } });
+        expect(await back.next('webrtc_msg')).toEqual({ type: 'offer', sdp: 'v=0', socketID: operator.id });
+        expect(operator.unread()).not.toContain('peer_disconnected');
+    });
+
+    test('refuses tokens of another identity', async () => {
+        const drone = await registeredWithToken('drone', 'drone1');
+        const other = await resume('drone', 'drone2', drone.resumeToken);
+        const registration = await other.next('registered');
+        expect(registration.resumed).toBe(false);
+        expect(registration.socketID).not.toBe(drone.id);
+        expect(drone.readyState).toBe(WebSocket.OPEN);
+    });
+});
+
+describe('ICE configuration', () => {
+    test('serves the ICE configuration to authenticated clients', async () => {
+        const operator = await registered('operator', 'op');
+        operator.sendJSON({ v: 1, event: 'get_ice_config' });
+        const config = await operator.next('ice_config');
+        expect(config.iceServers.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,158 @@
+// How often the controller looks at the link and adjusts the capture settings
+export const ADAPTIVE_INTERVAL_MS = 1000;
+
+// Bounds the operator lets the controller move in, and the end-to-end latency it aims for
+export const DEFAULT_ADAPTIVE_SETTINGS = {
+    frameRate: { min: 2, max: 15 },
+    scaleFactor: { min: 0.25, max: 1 },
+    quality: { min: 0.2, max: 0.8 },
+    targetLatencyMs: 250,
+};
+
+// More than this queued in the WebSocket means the link cannot keep up
+export const BACKPRESSURE_BYTES = 64 * 1024;
+// Share of the frames the server dropped in an interval above which we send too much
+const SERVER_DROP_RATIO = 0.2;
+// Drops that mean the publisher cannot keep up. Frames beyond its publish rate are dropped as rate_limited
+// however fast the link is, the frame rate is capped at the publish rate instead.
+const CONGESTION_DROP_REASONS = ['busy', 'error'];
+// Latency below this share of the target leaves room to raise the quality
+const HEADROOM_RATIO = 0.8;
+// Multiplicative decrease on congestion, additive increase with headroom
+const DECREASE_FACTOR = 0.7;
+const INCREASE_STEP = 0.05;
+// Intervals to wait after a decrease before increasing again, so the controller does not oscillate
+const HOLD_INTERVALS = 3;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const lerp = ({ min, max }, level) => min + (max - min) * level;
+
+/**
+ * Validates adaptive settings and fills in the defaults, but will throw an exception if a bound is invalid
+ * @param {Object} settings Partial settings, see DEFAULT_ADAPTIVE_SETTINGS
+ * @returns {Object} The complete settings
+ */
+export function normalizeAdaptiveSettings(settings = {}) {
+    const normalized = { ...DEFAULT_ADAPTIVE_SETTINGS, ...settings };
+    for (const key of ['frameRate', 'scaleFactor', 'quality']) {
+        const bounds = { ...DEFAULT_ADAPTIVE_SETTINGS[key], ...settings[key] };
+        if (!(bounds.min > 0) || !(bounds.min <= bounds.max)) {
+            throw new Error(`Invalid ${key} bounds ${bounds.min}..${bounds.max}`);
+        }
+        normalized[key] = bounds;
+    }
+    if (!(normalized.targetLatencyMs > 0)) {
+        throw new Error(`Invalid target latency ${normalized.targetLatencyMs}`);
+    }
+    return normalized;
+}
+
+/**
+ * AdaptiveQualityController steers frame rate, scale and JPEG quality of the frames sent to the publisher.
+ * All three follow one quality level between their bounds, which drops multiplicatively when the link is
+ * congested (WebSocket backpressure, frames the server was too busy to publish, latency above target) and
+ * rises additively while the latency leaves headroom. The frame rate never exceeds the publish rate.
+ */
+export class AdaptiveQualityController {
+    /**
+    * @param {Object} [settings] Bounds and latency target, see DEFAULT_ADAPTIVE_SETTINGS
+    */
+    constructor(settings) {
+        this.settings = normalizeAdaptiveSettings(settings);
+        this.level = 0.5;
+        this.hold = 0;
+        this.previousServerStats = null;
+        this.previousAcks = null;
+        this.maxFrameRate = Infinity;
+        this.decision = this.decide('start', null);
+    }
+
+    setSettings(settings) {
+        this.settings = normalizeAdaptiveSettings(settings);
+        this.decision = this.decide('bounds changed', this.decision.latencyMs);
+        return this.decision;
+    }
+
+    /**
+    * Adjusts the quality level to one interval of observations
+    * @param {Object} observation
+    * @param {Number} [observation.bufferedAmount] What is queued in the WebSocket
+    * @param {Object} [observation.server] The latest server stats { frameCount, frameDropCount, latencyMs }, with
+    * counters since the connection was opened
+    * @param {Object} [observation.acks] The frame acks { published, dropped, dropReasons } counted since the
+    * connection was opened, which tell congestion from rate limiting unlike the server stats
+    * @param {Number} [observation.publishRate] The publish rate of the publisher, in frames per second
+    * @returns {Object} The decision, see decide()
+    */
+    update({ bufferedAmount = 0, server = null, acks = null, publishRate = null }) {
+        this.maxFrameRate = publishRate > 0 ? publishRate : Infinity;
+        let received = 0;
+        let dropped = 0;
+        if (acks && this.previousAcks) {
+            const dropsSince = (reason) => (acks.dropReasons[reason] || 0) - (this.previousAcks.dropReasons[reason] || 0);
+            dropped = Math.max(0, CONGESTION_DROP_REASONS.reduce((sum, reason) => sum + dropsSince(reason), 0));
+            received = Math.max(0, acks.published + acks.dropped - this.previousAcks.published - this.previousAcks.dropped);
+        }
+        else if (!acks && server && this.previousServerStats) {
+            dropped = Math.max(0, server.frameDropCount - this.previousServerStats.frameDropCount);
+            received = Math.max(0, server.frameCount - this.previousServerStats.frameCount) + dropped;
+        }
+        if (acks) {
+            this.previousAcks = { ...acks, dropReasons: { ...acks.dropReasons } };
+        }
+        if (server) {
+            this.previousServerStats = server;
+        }
+        const latencyMs = server && typeof server.latencyMs === 'number' ? server.latencyMs : null;
+        const { targetLatencyMs } = this.settings;
+
+        let reason = null;
+        if (bufferedAmount > BACKPRESSURE_BYTES) {
+            reason = 'backpressure';
+        }
+        else if (received > 0 && dropped / received > SERVER_DROP_RATIO) {
+            reason = 'server drops';
+        }
+        else if (latencyMs !== null && latencyMs > targetLatencyMs) {
+            reason = 'latency above target';
+        }
+
+        if (reason) {
+            this.level *= DECREASE_FACTOR;
+            this.hold = HOLD_INTERVALS;
+        }
+        else if (latencyMs === null || latencyMs < targetLatencyMs * HEADROOM_RATIO) {
+            if (this.hold > 0) {
+                this.hold--;
+                reason = 'holding';
+            }
+            else {
+                this.level = Math.min(1, this.level + INCREASE_STEP);
+                reason = 'headroom';
+            }
+        }
+        else {
+            reason = 'steady';
+        }
+        this.decision = this.decide(reason, latencyMs);
+        return this.decision;
+    }
+
+    /**
+    * Maps the quality level onto the bounds
+    * @param {String} reason Why the level is where it is, shown to the operator
+    * @param {Number|null} latencyMs The latency reported by the server
+    * @returns {Object} { frameRate, scaleFactor, quality, level, reason, latencyMs }
+    */
+    decide(reason, latencyMs) {
+        const { frameRate, scaleFactor, quality } = this.settings;
+        return {
+            frameRate: Math.min(this.maxFrameRate, Math.max(frameRate.min, Math.round(lerp(frameRate, this.level)))),
+            scaleFactor: round(lerp(scaleFactor, this.level), 2),
+            quality: round(lerp(quality, this.level), 2),
+            level: round(this.level, 3),
+            reason,
+            latencyMs,
+        };
+    }
+}
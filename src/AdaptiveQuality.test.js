@@ -0,0 +1,159 @@
+import { AdaptiveQualityController, BACKPRESSURE_BYTES, normalizeAdaptiveSettings } from './AdaptiveQuality';
+
+/*
+ * A link of limited capacity between the streamer and the publisher. What is sent beyond the capacity
+ * queues up in the WebSocket, and the publisher sees the time frames spent in the queue as latency.
+ * The publisher drops frames beyond its publish rate as rate_limited, and those it takes longer than
+ * processingMs to publish as busy.
+ */
+class SimulatedLink {
+    constructor({ capacity, maxPublishRate = Infinity, processingMs = 0 }) {
+        this.capacity = capacity;
+        this.maxPublishRate = maxPublishRate;
+        this.processingMs = processingMs;
+        this.queued = 0;
+        this.server = { frameCount: 0, frameDropCount: 0, latencyMs: 0 };
+        this.acks = { published: 0, dropped: 0, dropReasons: { rate_limited: 0, busy: 0 } };
+    }
+
+    // One second of frames at the given settings, a full quality 1280x720 JPEG is 200 KB
+    send({ frameRate, scaleFactor, quality }) {
+        const bytesPerFrame = 200000 * scaleFactor * scaleFactor * quality;
+        this.queued = Math.max(0, this.queued + frameRate * bytesPerFrame - this.capacity);
+        const admitted = Math.min(frameRate, this.maxPublishRate);
+        const published = this.processingMs > 0 ? Math.min(admitted, Math.floor(1000 / this.processingMs)) : admitted;
+        this.server = {
+            frameCount: this.server.frameCount + published,
+            frameDropCount: this.server.frameDropCount + frameRate - published,
+            latencyMs: 30 + (this.queued + bytesPerFrame) / this.capacity * 1000,
+        };
+        this.acks = {
+            published: this.acks.published + published,
+            dropped: this.acks.dropped + frameRate - published,
+            dropReasons: {
+                rate_limited: this.acks.dropReasons.rate_limited + frameRate - admitted,
+                busy: this.acks.dropReasons.busy + admitted - published,
+            },
+        };
+        const publishRate = Number.isFinite(this.maxPublishRate) ? this.maxPublishRate : null;
+        return { bufferedAmount: this.queued, server: { ...this.server }, acks: this.acks, publishRate };
+    }
+}
+
+const run = (controller, link, seconds) => {
+    const history = [];
+    for (let i = 0; i < seconds; i++) {
+        const decision = controller.update(link.send(controller.decision));
+        history.push({ ...decision, latencyMs: link.server.latencyMs });
+    }
+    return history;
+};
+
+const withinBounds = ({ frameRate, scaleFactor, quality }, settings) => frameRate >= settings.frameRate.min
+    && frameRate <= settings.frameRate.max
+    && scaleFactor >= settings.scaleFactor.min
+    && scaleFactor <= settings.scaleFactor.max
+    && quality >= settings.quality.min
+    && quality <= settings.quality.max;
+
+describe('AdaptiveQualityController', () => {
+    test('settles below the latency target on a slow link, within its bounds', () => {
+        const controller = new AdaptiveQualityController({ targetLatencyMs: 250 });
+        const link = new SimulatedLink({ capacity: 150000 });
+
+        const history = run(controller, link, 60);
+        history.forEach((decision) => expect(withinBounds(decision, controller.settings)).toBe(true));
+        const settled = history.slice(-20);
+        const meanLatency = settled.reduce((sum, { latencyMs }) => sum + latencyMs, 0) / settled.length;
+        expect(meanLatency).toBeLessThan(250);
+        expect(Math.max(...settled.map(({ latencyMs }) => latencyMs))).toBeLessThan(500);
+        // It keeps probing for more rather than sitting at the minimum
+        expect(Math.max(...settled.map(({ level }) => level))).toBeGreaterThan(0.1);
+    });
+
+    test('backs off on WebSocket backpressure before the publisher notices', () => {
+        const controller = new AdaptiveQualityController();
+        const { level } = controller.decision;
+
+        const decision = controller.update({ bufferedAmount: BACKPRESSURE_BYTES + 1, server: null });
+        expect(decision.reason).toBe('backpressure');
+        expect(decision.level).toBeCloseTo(level * 0.7);
+    });
+
+    test('backs off when the publisher is too busy to publish the frames', () => {
+        const controller = new AdaptiveQualityController({ frameRate: { min: 5, max: 30 } });
+        const link = new SimulatedLink({ capacity: 10000000, processingMs: 100 });
+
+        const history = run(controller, link, 30);
+        expect(history.some(({ reason }) => reason === 'server drops')).toBe(true);
+        history.slice(-10).forEach(({ frameRate }) => expect(frameRate).toBeLessThanOrEqual(15));
+    });
+
+    test('sends no faster than the publish rate rather than backing off from rate limited frames', () => {
+        const controller = new AdaptiveQualityController({ frameRate: { min: 5, max: 30 } });
+        const link = new SimulatedLink({ capacity: 10000000, maxPublishRate: 10 });
+
+        const history = run(controller, link, 30);
+        history.forEach(({ frameRate, reason }) => {
+            expect(frameRate).toBeLessThanOrEqual(10);
+            expect(reason).not.toBe('server drops');
+        });
+        expect(history[history.length - 1]).toMatchObject({ frameRate: 10, level: 1 });
+    });
+
+    test('tells congestion from rate limiting by the frame acks', () => {
+        const controller = new AdaptiveQualityController();
+        const acks = (published, dropReasons) => ({
+            published,
+            dropped: Object.values(dropReasons).reduce((sum, count) => sum + count, 0),
+            dropReasons,
+        });
+        // The server stats count every drop, the acks say why
+        controller.update({ acks: acks(0, {}), server: { frameCount: 0, frameDropCount: 0 } });
+        expect(controller.update({ acks: acks(5, { rate_limited: 10 }), server: { frameCount: 5, frameDropCount: 10 } }).reason)
+            .toBe('headroom');
+        expect(controller.update({ acks: acks(10, { rate_limited: 10, busy: 5, error: 1 }), server: { frameCount: 10, frameDropCount: 16 } }).reason)
+            .toBe('server drops');
+    });
+
+    test('recovers when the link gets faster', () => {
+        const controller = new AdaptiveQualityController();
+        const link = new SimulatedLink({ capacity: 100000 });
+        const slow = run(controller, link, 30);
+
+        link.capacity = 10000000;
+        const fast = run(controller, link, 30);
+        expect(fast[fast.length - 1]).toMatchObject({ frameRate: 15, scaleFactor: 1, quality: 0.8, level: 1 });
+        expect(fast[fast.length - 1].level).toBeGreaterThan(slow[slow.length - 1].level);
+    });
+
+    test('waits a few intervals after a decrease before raising the level again', () => {
+        const controller = new AdaptiveQualityController();
+        controller.update({ bufferedAmount: BACKPRESSURE_BYTES + 1 });
+        const reasons = [1, 2, 3, 4].map(() => controller.update({ bufferedAmount: 0 }).reason);
+        expect(reasons).toEqual(['holding', 'holding', 'holding', 'headroom']);
+    });
+
+    test('keeps its level when the bounds change', () => {
+        const controller = new AdaptiveQualityController();
+        const decision = controller.setSettings({ frameRate: { min: 10, max: 20 } });
+        expect(decision).toMatchObject({ reason: 'bounds changed', frameRate: 15, level: 0.5 });
+    });
+});
+
+describe('normalizeAdaptiveSettings', () => {
+    test('fills in the defaults', () => {
+        expect(normalizeAdaptiveSettings({ quality: { max: 0.9 } })).toEqual({
+            frameRate: { min: 2, max: 15 },
+            scaleFactor: { min: 0.25, max: 1 },
+            quality: { min: 0.2, max: 0.9 },
+            targetLatencyMs: 250,
+        });
+    });
+
+    test('rejects bounds the controller cannot move in', () => {
+        expect(() => normalizeAdaptiveSettings({ frameRate: { min: 10, max: 5 } })).toThrow('Invalid frameRate bounds');
+        expect(() => normalizeAdaptiveSettings({ scaleFactor: { min: 0 } })).toThrow('Invalid scaleFactor bounds');
+        expect(() => normalizeAdaptiveSettings({ targetLatencyMs: -1 })).toThrow('Invalid target latency');
+    });
+});
@@ -1,148 +1,278 @@
-import {useRef, useState, useEffect} from 'react';
-import {Button, Typography, Input, Switch, Slider, Card, Badge} from 'antd';
+import {useState, useEffect} from 'react';
+import {Button, Typography, Select, Switch, Slider, Card, Tag} from 'antd';
 import styles from './styles/App.module.css'
 import * as log from 'loglevel';
-import { DroneStreamManager } from './WebRTCManager'; // Adjust the import path as needed
+import { DroneStreamManager, SIGNALING_PROTOCOL_VERSION } from './WebRTCManager'; // Adjust the import path as needed
+import DroneTile from './DroneTile';
+import { DEFAULT_ADAPTIVE_SETTINGS } from './AdaptiveQuality';
+import config from './config';
 
 const {Title, Paragraph, Text} = Typography;
 
-const URL_WEB_SOCKET = 'ws://localhost:8090';
-let localStream;
+const URL_WEB_SOCKET = config.signalingUrl;
+// Signaling token, either passed as ?token=... in the page URL or baked in at build time
+const SIGNALING_TOKEN = new URLSearchParams(window.location.search).get('token')
+    || process.env.REACT_APP_SIGNALING_TOKEN
+    || '';
+const SIGNALING_RECONNECT_MS = 2000;
+const PUBLISHER_STATE_POLL_MS = 1000;
+
+// The publisher is shared by every stream, any stream connected to it can report and control it
+const findPublisherStreamer = (streams) => streams
+    .map((stream) => stream.ros2Streamer)
+    .find((streamer) => streamer && streamer.isConnected());
+
+const PUBLISHER_STATUS_COLORS = {
+    live: 'success',
+    silent: 'warning',
+    connecting: 'processing',
+};
+
+const describeDrone = (drone) => {
+    const model = drone.metadata && drone.metadata.model;
+    return model ? `${drone.name} (${model})` : drone.name;
+};
 
 // log.setLevel("DEBUG");
 
 function App() {
-    const [callButtonDisabled, setCallButtonDisabled] = useState(true);
-    const [hangupButtonDisabled, setHangupButtonDisabled] = useState(true);
-    const [videoTagId, ] = useState('droneStreamOut');
+    const [signalingConnected, setSignalingConnected] = useState(false);
     const [droneSocketID, setDroneSocketID] = useState('');
+    const [drones, setDrones] = useState([]);
+    // One DroneStream per tile of the viewing grid
+    const [streams, setStreams] = useState([]);
+    const [signalingError, setSignalingError] = useState(null);
     const [ros2Enabled, setRos2Enabled] = useState(true);
     const [ros2FrameRate, setRos2FrameRate] = useState(10);
-    const [ros2Status, setRos2Status] = useState('disconnected');
-    const ws = useRef(null);
-    let socketSet = false;
+    // Adaptive quality: the frame rate slider becomes the range the controller may use
+    const [adaptiveEnabled, setAdaptiveEnabled] = useState(false);
+    const [minFrameRate, setMinFrameRate] = useState(DEFAULT_ADAPTIVE_SETTINGS.frameRate.min);
+    const [scaleBounds, setScaleBounds] = useState(DEFAULT_ADAPTIVE_SETTINGS.scaleFactor);
+    const [qualityBounds, setQualityBounds] = useState(DEFAULT_ADAPTIVE_SETTINGS.quality);
+    const [targetLatencyMs, setTargetLatencyMs] = useState(DEFAULT_ADAPTIVE_SETTINGS.targetLatencyMs);
+    const [ros2AudioEnabled, setRos2AudioEnabled] = useState(false);
+    const [uploadRecordings, setUploadRecordings] = useState(false);
+    // What the ROS2 image publisher reports about itself, see ROS2ImageStreamer.getServerState
+    const [publisherState, setPublisherState] = useState(null);
+    const [publishRateDraft, setPublishRateDraft] = useState(null);
+    const [publisherError, setPublisherError] = useState(null);
 
     useEffect(() => {
-        const wsClient = new WebSocket(URL_WEB_SOCKET);
-        ws.current = wsClient;
+        let wsClient = null;
+        let reconnectTimer = null;
+        let closedByCleanup = false;
+        // Handed out by the server on registration, lets us keep our ID across reconnects
+        let resumeToken = sessionStorage.getItem('signalingResumeToken');
+
+        const onSignalingMessage = (message) => {
+            const parsedMessage = JSON.parse(message.data);
+            const peer = parsedMessage.data;
+            switch (parsedMessage.event) {
+                case 'registered':
+                    resumeToken = peer.resumeToken;
+                    sessionStorage.setItem('signalingResumeToken', resumeToken);
+                    break;
+                // Keep the drone picker in sync with the signaling server's peer registry
+                case 'peer_list':
+                    setDrones(peer.peers.filter((p) => p.role === 'drone'));
+                    break;
+                case 'peer_joined':
+                case 'peer_updated':
+                case 'peer_disconnected':
+                case 'peer_resumed':
+                    if (peer.role === 'drone') {
+                        setDrones((current) => [
+                            ...current.filter((d) => d.socketID !== peer.socketID),
+                            peer
+                        ]);
+                    }
+                    if (parsedMessage.event === 'peer_resumed') {
+                        DroneStreamManager.handlePeerResumed(peer.socketID);
+                    }
+                    break;
+                case 'peer_left':
+                    setDrones((current) => current.filter((d) => d.socketID !== peer.socketID));
+                    setDroneSocketID((current) => (current === peer.socketID ? '' : current));
+                    if (DroneStreamManager.handlePeerLeft(peer.socketID)) {
+                        log.warn(`Drone ${peer.name} left (${peer.reason || 'disconnected'}), stream closed`);
+                        setStreams((current) => current.filter((stream) => stream.droneSocketID !== peer.socketID));
+                    }
+                    break;
+                case 'error':
+                    log.error('Signaling error:', peer.code, peer.message);
+                    setSignalingError(`${peer.code}: ${peer.message}`);
+                    break;
+                default:
+                    break;
+            }
+        };
+
+        const connect = () => {
+            wsClient = new WebSocket(`${URL_WEB_SOCKET}?token=${encodeURIComponent(SIGNALING_TOKEN)}`);
+
+            wsClient.onopen = () => {
+                log.debug('ws opened');
+                wsClient.send(JSON.stringify({
+                    v: SIGNALING_PROTOCOL_VERSION,
+                    event: 'register',
+                    // The name is the one in the token
+                    data: { role: 'operator', resumeToken }
+                }));
+                // Streams set up on the previous socket keep signaling through the new one
+                DroneStreamManager.setupSocketEvent(wsClient);
+                setSignalingError(null);
+                setSignalingConnected(true);
+            };
 
-        wsClient.onopen = () => {
-            log.debug('ws opened');
-            setCallButtonDisabled(false);
-            setHangupButtonDisabled(true);
+            wsClient.addEventListener('message', onSignalingMessage);
+
+            wsClient.onclose = (event) => {
+                log.debug('ws closed');
+                setSignalingConnected(false);
+                // 4401 means we were rejected, retrying with the same token will not help
+                if (!closedByCleanup && event.code !== 4401) {
+                    reconnectTimer = setTimeout(connect, SIGNALING_RECONNECT_MS);
+                }
+            };
         };
 
-        wsClient.onclose = () => log.debug('ws closed');
+        connect();
 
         return () => {
+            closedByCleanup = true;
+            clearTimeout(reconnectTimer);
             wsClient.close();
         };
     }, []);
 
+    const adaptiveSettings = adaptiveEnabled ? {
+        frameRate: {min: minFrameRate, max: ros2FrameRate},
+        scaleFactor: scaleBounds,
+        quality: qualityBounds,
+        targetLatencyMs,
+    } : null;
 
-    const callOnClick = () => {
-        log.debug('callOnClick invoked');
+    // Every change of the adaptive settings goes to all streams
+    const adaptiveKey = JSON.stringify(adaptiveSettings);
+    useEffect(() => {
+        streams.forEach((stream) => stream.setROS2Adaptive(JSON.parse(adaptiveKey)));
+    }, [streams, adaptiveKey]);
+
+    const openDroneStream = (droneID) => {
+        const drone = drones.find((d) => d.socketID === droneID);
+        const stream = DroneStreamManager.createDroneStream(droneID, undefined, {
+            ros2Enabled,
+            ros2FrameRate,
+            // Each drone is published under its name, /<name>/camera/image_raw/compressed
+            ros2Namespace: drone && drone.name,
+            ros2Adaptive: adaptiveSettings,
+            ros2AudioEnabled,
+        });
+        setStreams((current) => (current.includes(stream) ? current : [...current, stream]));
+        return stream;
+    };
+
+    // Drones may start the session themselves, each gets a tile of its own
+    DroneStreamManager.onIncomingOffer = (droneID) => {
+        log.info(`Drone ${droneID} started a stream`);
+        return openDroneStream(droneID);
+    };
+
+    const addStreamOnClick = () => {
+        log.debug('addStreamOnClick invoked');
         if (!droneSocketID) {
             log.error('droneSocketID is empty');
-            alert('Drone Socket ID is empty');
+            alert('Select a drone first');
             return;
         }
-        if (!socketSet) {
-            DroneStreamManager.setupSocketEvent(ws.current, droneSocketID);
-            socketSet = true;
-        }
-        localStream = DroneStreamManager.createDroneStream(droneSocketID, videoTagId);
-        setCallButtonDisabled(true);
-        setHangupButtonDisabled(false);
-        localStream.startDroneStream();
-        
-        // Monitor ROS2 connection status
-        if (ros2Enabled) {
-            setTimeout(() => {
-                checkRos2Status();
-            }, 2000);
+        openDroneStream(droneSocketID).startDroneStream();
+        setDroneSocketID('');
+    };
+
+    const removeStream = (droneID) => {
+        log.debug('removeStream invoked for', droneID);
+        DroneStreamManager.closeDroneStream(droneID);
+        setStreams((current) => current.filter((stream) => stream.droneSocketID !== droneID));
+    };
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            const streamer = findPublisherStreamer(streams);
+            setPublisherState(streamer ? streamer.getServerState() : null);
+        }, PUBLISHER_STATE_POLL_MS);
+        return () => clearInterval(timer);
+    }, [streams]);
+
+    const controlPublisher = (action) => {
+        const streamer = findPublisherStreamer(streams);
+        if (!streamer) {
+            setPublisherError('No stream is connected to the publisher');
+            return;
         }
+        action(streamer)
+            .then(() => setPublisherError(null))
+            .catch((error) => {
+                log.error('ROS2 image publisher control failed:', error);
+                setPublisherError(error.message);
+            });
     };
 
-    const hangupOnClick = () => {
-        log.debug('hangupOnClick invoked');
-        DroneStreamManager.closeDroneStream(droneSocketID);
-        setHangupButtonDisabled(true);
-        setCallButtonDisabled(false);
-        setRos2Status('disconnected');
+    const onPublishRateChangeComplete = (fps) => {
+        setPublishRateDraft(null);
+        controlPublisher((streamer) => streamer.setServerPublishRate(fps));
     };
 
-    const checkRos2Status = () => {
-        try {
-            const stream = DroneStreamManager.getStreamByDroneID(droneSocketID);
-            if (stream && stream.ros2Streamer) {
-                const status = stream.ros2Streamer.getConnectionStatus();
-                setRos2Status(status);
-                
-                if (status === 'connected' && stream.ros2Streamer.isStreaming) {
-                    setRos2Status('streaming');
-                }
-            }
-        } catch (error) {
-            setRos2Status('error');
+    const onAdaptiveToggle = (enabled) => {
+        setAdaptiveEnabled(enabled);
+        if (!enabled) {
+            // Back to the fixed frame rate, applied once the controller lets go
+            streams.forEach((stream) => stream.setROS2FrameRate(ros2FrameRate));
         }
     };
 
     const onRos2FrameRateChange = (value) => {
-        setRos2FrameRate(value);
-        
-        try {
-            const stream = DroneStreamManager.getStreamByDroneID(droneSocketID);
-            if (stream && stream.ros2Streamer) {
-                stream.ros2Streamer.setFrameRate(value);
-            }
-        } catch (error) {
-            console.log('No active stream to update frame rate');
+        if (adaptiveEnabled) {
+            setMinFrameRate(value[0]);
+            setRos2FrameRate(value[1]);
+            return;
         }
+        setRos2FrameRate(value);
+        streams.forEach((stream) => stream.setROS2FrameRate(value));
     };
 
-    const getRos2StatusColor = () => {
-        switch (ros2Status) {
-            case 'connected':
-            case 'streaming':
-                return 'success';
-            case 'connecting':
-                return 'processing';
-            case 'error':
-                return 'error';
-            default:
-                return 'default';
-        }
+    const describeStream = (stream) => {
+        const drone = drones.find((d) => d.socketID === stream.droneSocketID);
+        return drone ? describeDrone(drone) : stream.droneSocketID;
     };
 
+    const isStreaming = (droneID) => streams.some((stream) => stream.droneSocketID === droneID);
+
     const renderHelper = () => {
       return (
           <div className={styles.wrapper}>
-              <Input
-                  placeholder="Drone Socket ID"
+              <Select
+                  placeholder="Select a drone"
                   style={{width: 240, marginTop: 16}}
-                  value={droneSocketID}
-                  onChange={(event) => {
-                      setDroneSocketID(event.target.value);
-                  }}
+                  value={droneSocketID || undefined}
+                  onChange={setDroneSocketID}
+                  notFoundContent="No drones online"
+                  options={drones.map((drone) => ({
+                      value: drone.socketID,
+                      label: describeDrone(drone),
+                      disabled: isStreaming(drone.socketID)
+                  }))}
               />
               <Button
-                  onClick={callOnClick}
+                  onClick={addStreamOnClick}
                   style={{width: 240, marginTop: 16}}
                   type="primary"
-                  disabled={callButtonDisabled}
+                  disabled={!signalingConnected || !droneSocketID || isStreaming(droneSocketID)}
               >
-                  Get streaming
-              </Button>
-              <Button
-                  danger
-                  onClick={hangupOnClick}
-                  style={{width: 240, marginTop: 16}}
-                  type="primary"
-                  disabled={hangupButtonDisabled}
-              >
-                  Hangup
+                  Add stream
               </Button>
+              {signalingError && (
+                  <Text type="danger" style={{marginTop: 16}}>{signalingError}</Text>
+              )}
           </div>
       );
   };
@@ -155,42 +285,170 @@ function App() {
               size="small"
           >
               <div style={{marginBottom: 16}}>
-                  <Text strong>Status: </Text>
-                  <Badge 
-                      status={getRos2StatusColor()} 
-                      text={ros2Status.charAt(0).toUpperCase() + ros2Status.slice(1)}
-                  />
-              </div>
-              
-              <div style={{marginBottom: 16}}>
-                  <Text strong>Enable ROS2 Publishing: </Text>
+                  <Text strong>Publish new streams: </Text>
                   <Switch 
                       checked={ros2Enabled}
                       onChange={setRos2Enabled}
-                      disabled={!hangupButtonDisabled}
                   />
               </div>
               
+              <div style={{marginBottom: 16}}>
+                  <Text strong>Publish audio of new streams: </Text>
+                  <Switch
+                      checked={ros2AudioEnabled}
+                      onChange={setRos2AudioEnabled}
+                  />
+              </div>
+
+              <div style={{marginBottom: 16}}>
+                  <Text strong>Adaptive quality: </Text>
+                  <Switch
+                      checked={adaptiveEnabled}
+                      onChange={onAdaptiveToggle}
+                  />
+              </div>
+
               <div style={{marginBottom: 8}}>
-                  <Text strong>Frame Rate: {ros2FrameRate} FPS</Text>
+                  <Text strong>
+                      Frame Rate: {adaptiveEnabled ? `${minFrameRate}-${ros2FrameRate}` : ros2FrameRate} FPS
+                  </Text>
               </div>
               <Slider
+                  range={adaptiveEnabled}
                   min={1}
                   max={30}
-                  value={ros2FrameRate}
+                  value={adaptiveEnabled ? [minFrameRate, ros2FrameRate] : ros2FrameRate}
                   onChange={onRos2FrameRateChange}
-                  disabled={!hangupButtonDisabled}
               />
+
+              {adaptiveEnabled && (
+                  <>
+                      <Text strong>Scale: {Math.round(scaleBounds.min * 100)}-{Math.round(scaleBounds.max * 100)}%</Text>
+                      <Slider
+                          range
+                          min={0.1}
+                          max={1}
+                          step={0.05}
+                          value={[scaleBounds.min, scaleBounds.max]}
+                          onChange={([min, max]) => setScaleBounds({min, max})}
+                      />
+                      <Text strong>JPEG Quality: {Math.round(qualityBounds.min * 100)}-{Math.round(qualityBounds.max * 100)}%</Text>
+                      <Slider
+                          range
+                          min={0.1}
+                          max={1}
+                          step={0.05}
+                          value={[qualityBounds.min, qualityBounds.max]}
+                          onChange={([min, max]) => setQualityBounds({min, max})}
+                      />
+                      <Text strong>Target Latency: {targetLatencyMs} ms</Text>
+                      <Slider
+                          min={50}
+                          max={1000}
+                          step={10}
+                          value={targetLatencyMs}
+                          onChange={setTargetLatencyMs}
+                      />
+                  </>
+              )}
               
+              {renderPublisherState()}
+          </Card>
+      );
+  };
+
+  const renderPublisherState = () => {
+      if (!publisherState) {
+          return (
               <div style={{marginTop: 16, fontSize: '12px', color: '#666'}}>
-                  <Text>Topic: /camera/image_raw</Text><br/>
-                  <Text>Encoding: jpeg</Text><br/>
-                  <Text>Frame ID: camera_frame</Text>
+                  <Text>Publisher: no stream connected</Text><br/>
+                  <Text>Topic: {config.topic} (configured)</Text><br/>
+                  <Text>Frame ID: {config.frameId} (configured)</Text><br/>
+                  <Text>Audio topic: {config.audioTopic} (configured)</Text>
+              </div>
+          );
+      }
+      const {status, config: serverConfig, stats, acks, clock} = publisherState;
+      return (
+          <div style={{marginTop: 16}}>
+              <div style={{marginBottom: 8}}>
+                  <Text strong>Publisher: </Text>
+                  <Tag color={PUBLISHER_STATUS_COLORS[status] || 'error'}>{status}</Tag>
+              </div>
+              {serverConfig && (
+                  <>
+                      <Text strong>Publish Rate: {publishRateDraft ?? serverConfig.publishRate} FPS</Text>
+                      <Slider
+                          min={1}
+                          max={30}
+                          value={publishRateDraft ?? serverConfig.publishRate}
+                          onChange={setPublishRateDraft}
+                          onChangeComplete={onPublishRateChangeComplete}
+                      />
+                  </>
+              )}
+              <Button
+                  size="small"
+                  onClick={() => controlPublisher((streamer) => streamer.resetServerStats())}
+              >
+                  Reset publisher stats
+              </Button>
+              {publisherError && (
+                  <div><Text type="danger">{publisherError}</Text></div>
+              )}
+              <div style={{marginTop: 8, fontSize: '12px', color: '#666'}}>
+                  {serverConfig && (
+                      <>
+                          <Text>Topic: {serverConfig.topic}</Text><br/>
+                          <Text>Encoding: {serverConfig.encoding || 'jpeg'}</Text><br/>
+                          <Text>Frame ID: {serverConfig.frameId}</Text><br/>
+                          <Text>Audio topic: {serverConfig.audioTopic || 'not published'}</Text><br/>
+                          <Text>Stamps: {serverConfig.useSimTime ? 'simulation time' : 'system time'}</Text><br/>
+                      </>
+                  )}
+                  {stats && (
+                      <>
+                          <Text>Published: {stats.frameCount}, dropped: {stats.frameDropCount}</Text><br/>
+                          <Text>Latency: {stats.latencyMs ?? '-'} ms, processing: {stats.lastProcessTime} ms</Text><br/>
+                      </>
+                  )}
+                  <Text>
+                      Acks: {acks.published} published, {acks.dropped} dropped
+                      {acks.lastDropReason && ` (last: ${acks.lastDropReason})`}
+                  </Text><br/>
+                  <Text>
+                      Clock: {clock.synced
+                          ? `offset ${clock.offsetMs} ms, drift ${clock.driftPpm} ppm, round trip ${clock.rttMs} ms`
+                          : 'not synchronized, images are stamped on arrival'}
+                  </Text>
+              </div>
+          </div>
+      );
+  };
+
+  const renderRecordingControls = () => {
+      return (
+          <Card
+              title="Recordings"
+              style={{width: 300, marginTop: 16}}
+              size="small"
+          >
+              <div style={{marginBottom: 16}}>
+                  <Text strong>Upload finished recordings: </Text>
+                  <Switch
+                      checked={uploadRecordings}
+                      onChange={setUploadRecordings}
+                  />
+              </div>
+              <div style={{fontSize: '12px', color: '#666'}}>
+                  <Text>Record, stop and download on each stream. Uploads go to {config.recordingsUrl}.</Text>
               </div>
           </Card>
       );
   };
 
+  const recordingUpload = {upload: uploadRecordings, url: config.recordingsUrl, token: SIGNALING_TOKEN};
+
   return (
       <div className={styles.App}>
           <div className={styles['App-header']}>
@@ -201,16 +459,21 @@ function App() {
               <div className={styles['wrapper-row']} style={{justifyContent: 'space-evenly', width: '80%'}}>
                   {renderHelper()}
                   {renderRos2Controls()}
+                  {renderRecordingControls()}
               </div>
               <div
                   className={styles.playerContainer}
                   id="playerContainer"
               >
-                  <video
-                      id={videoTagId}
-                      autoPlay
-                      style={{width: 640, height: 480}}
-                  />
+                  {streams.map((stream) => (
+                      <DroneTile
+                          key={stream.droneSocketID}
+                          stream={stream}
+                          title={describeStream(stream)}
+                          onRemove={() => removeStream(stream.droneSocketID)}
+                          recordingUpload={recordingUpload}
+                      />
+                  ))}
               </div>
           </div>
       </div>
@@ -1,8 +1,80 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Stands in for the signaling server's socket
+class FakeWebSocket {
+    static OPEN = 1;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        this.listeners = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') {
+            this.listeners.push(listener);
+        }
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    receive(event, data) {
+        this.listeners.forEach((listener) => listener({ data: JSON.stringify({ event, data }) }));
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {}
+}
+
+const originalWebSocket = global.WebSocket;
+
+beforeEach(() => {
+    FakeWebSocket.instances = [];
+    global.WebSocket = FakeWebSocket;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    global.WebSocket = originalWebSocket;
+    jest.restoreAllMocks();
+});
+
+test('the drone picker lists the drones registered with the signaling server', async () => {
+    render(<App />);
+    const socket = FakeWebSocket.instances[0];
+    act(() => socket.open());
+    expect(socket.sent[0]).toMatchObject({ event: 'register', data: { role: 'operator' } });
+
+    act(() => socket.receive('peer_list', {
+        peers: [
+            { socketID: 'drone1', role: 'drone', name: 'Scout', metadata: { model: 'X500' }, online: true },
+            { socketID: 'op1', role: 'operator', name: 'Ground station', metadata: {}, online: true },
+        ],
+    }));
+    act(() => socket.receive('peer_joined', { socketID: 'drone2', role: 'drone', name: 'Relay', metadata: {}, online: true }));
+    fireEvent.mouseDown(screen.getByRole('combobox'));
+
+    expect(await screen.findByText('Scout (X500)')).toBeInTheDocument();
+    expect(screen.getByText('Relay')).toBeInTheDocument();
+    expect(screen.queryByText('Ground station')).toBeNull();
+
+    fireEvent.click(screen.getByText('Relay'));
+    expect(screen.getByRole('button', { name: 'Add stream' })).toBeEnabled();
+
+    // Leaving clears the selection, so the stream is not added to a socket that is gone
+    act(() => socket.receive('peer_left', { socketID: 'drone2', role: 'drone', name: 'Relay', online: false }));
+    expect(screen.getByText('Select a drone')).toBeInTheDocument();
+    // The closed dropdown keeps its last options until it opens again
+    fireEvent.mouseDown(screen.getByRole('combobox'));
+    expect(screen.queryByText('Relay')).toBeNull();
+    expect(screen.getByRole('button', { name: 'Add stream' })).toBeDisabled();
 });
@@ -0,0 +1,168 @@
+// Exchanges right after connecting, so the first frames are stamped right, then one every interval
+export const CLOCK_SYNC_BURST = 5;
+export const CLOCK_SYNC_BURST_INTERVAL_MS = 250;
+export const CLOCK_SYNC_INTERVAL_MS = 5000;
+
+// Samples the estimate is made of, a few minutes at the sync interval
+const MAX_SAMPLES = 32;
+// The offset comes from the fastest of the latest samples, as NTP's clock filter picks it
+const FILTER_SAMPLES = 8;
+// Samples slower than this many times the fastest went through queues one way more than the other
+const MAX_RTT_RATIO = 2;
+// Drift is fit once the samples span this long, over shorter spans the slope is mostly jitter
+const MIN_DRIFT_SPAN_MS = 30000;
+const MIN_DRIFT_SAMPLES = 4;
+// Clock oscillators drift by far less, steeper slopes are noise
+const MAX_DRIFT = 500e-6;
+
+/**
+ * The clock frames are stamped with: ms since the epoch, with the resolution of performance.now() and
+ * without the jumps of Date.now() when the system clock is set
+ * @returns {Number} The time
+ */
+export const clockNow = () => performance.timeOrigin + performance.now();
+
+/**
+ * ClockSync estimates the offset and drift of the publisher's clock from NTP-style exchanges: the app sends
+ * its time t0, the publisher answers with the times t1 it received the request and t2 it answered, and the
+ * app notes the time t3 the answer came. Every exchange gives the offset ((t1 - t0) + (t2 - t3)) / 2, which
+ * is wrong by at most half the round trip (t3 - t0) - (t2 - t1), so fast exchanges are trusted most.
+ */
+export class ClockSync {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.estimate = null;
+    }
+
+    /**
+     * Adds the times of an exchange and updates the estimate
+     * @param {Object} times t0 and t3 in the app's clock, t1 and t2 in the publisher's
+     * @returns {Boolean} Whether the exchange was used, exchanges that took negative time are not
+     */
+    addSample({ t0, t1, t2, t3 }) {
+        const rtt = (t3 - t0) - (t2 - t1);
+        if (![t0, t1, t2, t3].every(Number.isFinite) || rtt < 0) {
+            return false;
+        }
+        this.samples.push({ time: (t0 + t3) / 2, offset: ((t1 - t0) + (t2 - t3)) / 2, rtt });
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+        this.estimate = this.computeEstimate();
+        return true;
+    }
+
+    computeEstimate() {
+        const best = this.samples.slice(-FILTER_SAMPLES).reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        const minRtt = Math.min(...this.samples.map(({ rtt }) => rtt));
+        const good = this.samples.filter(({ rtt }) => rtt <= MAX_RTT_RATIO * minRtt + 1);
+        const span = good[good.length - 1].time - good[0].time;
+        if (good.length < MIN_DRIFT_SAMPLES || span < MIN_DRIFT_SPAN_MS) {
+            return { offsetMs: best.offset, drift: 0, referenceTime: best.time, rttMs: best.rtt };
+        }
+
+        // Least squares line through the offsets of the good samples, evaluated at the latest one
+        const meanTime = good.reduce((sum, { time }) => sum + time, 0) / good.length;
+        const meanOffset = good.reduce((sum, { offset }) => sum + offset, 0) / good.length;
+        const covariance = good.reduce((sum, { time, offset }) => sum + (time - meanTime) * (offset - meanOffset), 0);
+        const variance = good.reduce((sum, { time }) => sum + (time - meanTime) ** 2, 0);
+        const drift = Math.min(MAX_DRIFT, Math.max(-MAX_DRIFT, covariance / variance));
+        const referenceTime = good[good.length - 1].time;
+        return { offsetMs: meanOffset + drift * (referenceTime - meanTime), drift, referenceTime, rttMs: best.rtt };
+    }
+
+    isSynced() {
+        return this.estimate !== null;
+    }
+
+    /**
+     * Converts a time of the app's clock to the publisher's clock
+     * @param {Number} time ms since the epoch in the app's clock, see clockNow
+     * @returns {Number} The time in the publisher's clock, the same time before the first exchange
+     */
+    toServerTime(time) {
+        if (!this.estimate) {
+            return time;
+        }
+        const { offsetMs, drift, referenceTime } = this.estimate;
+        return time + offsetMs + drift * (time - referenceTime);
+    }
+
+    /**
+     * Returns the estimate as sent to the publisher, which converts capture times with it
+     * @returns {Object|null} { offsetMs, driftPpm, referenceTime, rttMs }, or null before the first exchange
+     */
+    getEstimate() {
+        if (!this.estimate) {
+            return null;
+        }
+        const { offsetMs, drift, referenceTime, rttMs } = this.estimate;
+        return { offsetMs, driftPpm: drift * 1e6, referenceTime, rttMs };
+    }
+
+    getState() {
+        const estimate = this.getEstimate();
+        return {
+            synced: estimate !== null,
+            offsetMs: estimate && Math.round(estimate.offsetMs * 10) / 10,
+            driftPpm: estimate && Math.round(estimate.driftPpm * 10) / 10,
+            rttMs: estimate && Math.round(estimate.rttMs * 10) / 10,
+            samples: this.samples.length,
+        };
+    }
+}
+
+/**
+ * ClockSyncSession runs the exchanges of a connection to the publisher: a burst gets a first estimate
+ * before the first frames, slower ones then follow the drift, and every answer sends the publisher the
+ * updated estimate. The socket keeps messages in order, so the publisher converts the capture times of
+ * everything sent after it.
+ */
+export class ClockSyncSession {
+    /**
+     * @param {Function} send Sends a message ({ type, data }) to the publisher, returns false while disconnected
+     */
+    constructor(send) {
+        this.send = send;
+        this.clockSync = new ClockSync();
+        this.timer = null;
+        this.count = 0;
+    }
+
+    // Called when the publisher's welcome announces it answers time_sync
+    start() {
+        this.stop();
+        this.clockSync.reset();
+        this.count = 0;
+        const exchange = () => {
+            if (this.send({ type: 'time_sync', data: { id: this.count + 1, t0: clockNow() } })) {
+                this.count++;
+            }
+            this.timer = setTimeout(exchange, this.count < CLOCK_SYNC_BURST ? CLOCK_SYNC_BURST_INTERVAL_MS : CLOCK_SYNC_INTERVAL_MS);
+        };
+        exchange();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Takes the publisher's answer to a time_sync in, and sends it the updated estimate
+     * @param {Object} times t0 as sent, t1 and t2 when the publisher received and answered it
+     */
+    handleTimeSync({ t0, t1, t2 }) {
+        if (this.clockSync.addSample({ t0, t1, t2, t3: clockNow() })) {
+            this.send({ type: 'clock', data: this.clockSync.getEstimate() });
+        }
+    }
+
+    getState() {
+        return this.clockSync.getState();
+    }
+}
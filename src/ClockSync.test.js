@@ -0,0 +1,125 @@
+import { CLOCK_SYNC_BURST, CLOCK_SYNC_BURST_INTERVAL_MS, CLOCK_SYNC_INTERVAL_MS, ClockSync, ClockSyncSession } from './ClockSync';
+
+/*
+ * A publisher whose clock is off by offsetMs and runs fast by driftPpm, behind a link whose delays vary
+ * each way. Delays come from a fixed sequence, so runs are repeatable.
+ */
+class SimulatedPublisher {
+    constructor({ offsetMs, driftPpm = 0, baseDelayMs = 20, jitterMs = 0 }) {
+        this.offsetMs = offsetMs;
+        this.drift = driftPpm * 1e-6;
+        this.baseDelayMs = baseDelayMs;
+        this.jitterMs = jitterMs;
+        this.seed = 1;
+    }
+
+    clock(time) {
+        return time + this.offsetMs + this.drift * time;
+    }
+
+    delay() {
+        this.seed = (this.seed * 16807) % 2147483647;
+        return this.baseDelayMs + this.jitterMs * (this.seed / 2147483647);
+    }
+
+    // An exchange started at t0 in the app's clock, which is the true time
+    exchange(t0) {
+        const received = t0 + this.delay();
+        const answered = received + 0.1;
+        return { t0, t1: this.clock(received), t2: this.clock(answered), t3: answered + this.delay() };
+    }
+}
+
+const START = 1700000000000;
+
+const sync = (clockSync, publisher, count, intervalMs) => {
+    for (let i = 0; i < count; i++) {
+        clockSync.addSample(publisher.exchange(START + i * intervalMs));
+    }
+};
+
+describe('ClockSync', () => {
+    test('finds the offset of a clock on a symmetric link', () => {
+        const clockSync = new ClockSync();
+        expect(clockSync.isSynced()).toBe(false);
+        expect(clockSync.toServerTime(START)).toBe(START);
+
+        sync(clockSync, new SimulatedPublisher({ offsetMs: -3500 }), 1, 0);
+        expect(clockSync.isSynced()).toBe(true);
+        expect(clockSync.getEstimate().offsetMs).toBeCloseTo(-3500, 6);
+        expect(clockSync.getEstimate().rttMs).toBeCloseTo(40, 6);
+    });
+
+    test('trusts the fastest exchanges when delays vary', () => {
+        const clockSync = new ClockSync();
+        sync(clockSync, new SimulatedPublisher({ offsetMs: 1200, jitterMs: 200 }), 8, 250);
+        // The error of an exchange is at most half its asymmetry
+        expect(Math.abs(clockSync.getEstimate().offsetMs - 1200)).toBeLessThan(50);
+        expect(clockSync.getState()).toMatchObject({ synced: true, driftPpm: 0, samples: 8 });
+    });
+
+    test('follows the drift of the clock once the exchanges span long enough', () => {
+        const publisher = new SimulatedPublisher({ offsetMs: 250, driftPpm: 80, jitterMs: 4 });
+        const clockSync = new ClockSync();
+        sync(clockSync, publisher, 24, 5000);
+        expect(clockSync.getEstimate().driftPpm).toBeGreaterThan(40);
+        expect(clockSync.getEstimate().driftPpm).toBeLessThan(120);
+
+        // A frame captured a minute after the last exchange still converts to the publisher's clock
+        const captureTime = START + 24 * 5000 + 60000;
+        expect(Math.abs(clockSync.toServerTime(captureTime) - publisher.clock(captureTime))).toBeLessThan(5);
+    });
+
+    test('ignores exchanges that took negative time, as when the system clock is set', () => {
+        const clockSync = new ClockSync();
+        expect(clockSync.addSample({ t0: START, t1: START + 10, t2: START + 100, t3: START + 20 })).toBe(false);
+        expect(clockSync.addSample({ t0: START, t1: NaN, t2: START, t3: START })).toBe(false);
+        expect(clockSync.isSynced()).toBe(false);
+    });
+
+    test('starts over on reset', () => {
+        const clockSync = new ClockSync();
+        sync(clockSync, new SimulatedPublisher({ offsetMs: 10 }), 3, 250);
+        clockSync.reset();
+        expect(clockSync.getState()).toEqual({ synced: false, offsetMs: null, driftPpm: null, rttMs: null, samples: 0 });
+    });
+});
+
+describe('ClockSyncSession', () => {
+    beforeEach(() => {
+        jest.useFakeTimers('legacy');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('exchanges in a burst, then every interval, and sends the estimate of every answer', () => {
+        const sent = [];
+        let connected = true;
+        const session = new ClockSyncSession((message) => connected && sent.push(message) > 0);
+        const timeSyncs = () => sent.filter(({ type }) => type === 'time_sync');
+
+        session.start();
+        jest.advanceTimersByTime(CLOCK_SYNC_BURST_INTERVAL_MS * (CLOCK_SYNC_BURST - 1));
+        expect(timeSyncs().map(({ data }) => data.id)).toEqual(Array.from({ length: CLOCK_SYNC_BURST }, (_, i) => i + 1));
+        jest.advanceTimersByTime(CLOCK_SYNC_BURST_INTERVAL_MS);
+        expect(timeSyncs()).toHaveLength(CLOCK_SYNC_BURST);
+
+        const { t0 } = timeSyncs()[0].data;
+        session.handleTimeSync({ t0, t1: t0 + 1000, t2: t0 + 1000 });
+        expect(sent[sent.length - 1]).toMatchObject({ type: 'clock', data: { driftPpm: 0 } });
+        expect(session.getState()).toMatchObject({ synced: true, samples: 1 });
+
+        // Exchanges that could not be sent do not count
+        connected = false;
+        jest.advanceTimersByTime(CLOCK_SYNC_INTERVAL_MS * 2);
+        connected = true;
+        jest.advanceTimersByTime(CLOCK_SYNC_INTERVAL_MS);
+        expect(timeSyncs()[CLOCK_SYNC_BURST].data.id).toBe(CLOCK_SYNC_BURST + 1);
+
+        session.stop();
+        jest.advanceTimersByTime(CLOCK_SYNC_INTERVAL_MS * 2);
+        expect(timeSyncs()).toHaveLength(CLOCK_SYNC_BURST + 1);
+    });
+});
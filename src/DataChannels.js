@@ -0,0 +1,80 @@
+import { encode as encodeCbor, decode as decodeCbor } from 'cbor-x';
+
+/*
+ * Data channels created on every peer connection. They are negotiated out of band (fixed ids
+ * instead of an in-band announcement), so the drone must create the same channels with the same ids.
+ */
+export const DATA_CHANNELS = {
+    // Reliable and ordered: commands must arrive, and in the order they were given
+    commands: { id: 0, ordered: true },
+    // Unreliable: a late telemetry sample is worthless, the next one is already on its way
+    telemetry: { id: 1, ordered: false, maxRetransmits: 0 },
+};
+
+export const DATA_ENCODINGS = ['json', 'cbor'];
+
+/**
+ * Encodes a typed data channel message. JSON is sent as a text frame, CBOR as a binary frame,
+ * which lets the receiving side tell them apart without any negotiation.
+ * @param {Object} message { type, data, ts }
+ * @param {String} [encoding] Either 'json' or 'cbor'
+ * @returns {String|Uint8Array} The frame to send
+ */
+export function encodeMessage(message, encoding = 'json') {
+    if (typeof message.type !== 'string' || !message.type) {
+        throw new Error('Data channel messages need a type');
+    }
+    switch (encoding) {
+        case 'json':
+            return JSON.stringify(message);
+        case 'cbor':
+            return encodeCbor(message);
+        default:
+            throw new Error(`Unknown data channel encoding '${encoding}'`);
+    }
+}
+
+/**
+ * Decodes a frame received on a data channel, but will throw an exception if it is not a typed message
+ * @param {String|ArrayBuffer|Uint8Array} frame The frame as received
+ * @returns {Object} The message { type, data, ts }
+ */
+export function decodeMessage(frame) {
+    let message;
+    if (typeof frame === 'string') {
+        message = JSON.parse(frame);
+    }
+    else {
+        message = decodeCbor(ArrayBuffer.isView(frame) ? frame : new Uint8Array(frame));
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        throw new Error('Data channel message has no type');
+    }
+    return message;
+}
+
+/**
+ * Creates the negotiated data channels on a peer connection
+ * @param {RTCPeerConnection} peerConnection The connection to create them on
+ * @param {Function} onMessage Called with (channelName, message) for every decoded message
+ * @returns {Object} The RTCDataChannels by name
+ */
+export function createDataChannels(peerConnection, onMessage) {
+    const channels = {};
+    for (const [name, options] of Object.entries(DATA_CHANNELS)) {
+        const channel = peerConnection.createDataChannel(name, { ...options, negotiated: true });
+        channel.binaryType = 'arraybuffer';
+        channel.onmessage = (event) => {
+            let message;
+            try {
+                message = decodeMessage(event.data);
+            } catch (error) {
+                console.log(`Dropping malformed message on data channel ${name}:`, error.message);
+                return;
+            }
+            onMessage(name, message);
+        };
+        channels[name] = channel;
+    }
+    return channels;
+}
@@ -0,0 +1,49 @@
+import { encodeMessage, decodeMessage, createDataChannels } from './DataChannels';
+
+const message = { type: 'telemetry.battery', data: { voltage: 15.2, cells: [3.8, 3.8, 3.8, 3.8] }, ts: 1700000000000 };
+
+describe('data channel messages', () => {
+    test('round-trip as JSON text frames', () => {
+        const frame = encodeMessage(message);
+        expect(typeof frame).toBe('string');
+        expect(decodeMessage(frame)).toEqual(message);
+    });
+
+    test('round-trip as CBOR binary frames', () => {
+        const frame = encodeMessage(message, 'cbor');
+        expect(ArrayBuffer.isView(frame)).toBe(true);
+        // Received frames are ArrayBuffers
+        const received = frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength);
+        expect(decodeMessage(received)).toEqual(message);
+    });
+
+    test('must be typed', () => {
+        expect(() => encodeMessage({ data: 1 })).toThrow(/need a type/);
+        expect(() => encodeMessage(message, 'xml')).toThrow(/Unknown data channel encoding/);
+        expect(() => decodeMessage('{"data":1}')).toThrow(/has no type/);
+    });
+});
+
+test('createDataChannels creates the negotiated channels and drops malformed messages', () => {
+    const created = [];
+    const peerConnection = {
+        createDataChannel: (label, options) => {
+            const channel = { label, options };
+            created.push(channel);
+            return channel;
+        },
+    };
+    const received = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const channels = createDataChannels(peerConnection, (channel, decoded) => received.push([channel, decoded]));
+
+    expect(created.map((channel) => [channel.label, channel.options])).toEqual([
+        ['commands', { id: 0, ordered: true, negotiated: true }],
+        ['telemetry', { id: 1, ordered: false, maxRetransmits: 0, negotiated: true }],
+    ]);
+    expect(channels.telemetry.binaryType).toBe('arraybuffer');
+
+    channels.telemetry.onmessage({ data: 'not json' });
+    channels.telemetry.onmessage({ data: encodeMessage(message) });
+    expect(received).toEqual([['telemetry', message]]);
+});
@@ -0,0 +1,237 @@
+import {useEffect, useRef, useState} from 'react';
+import {Button, Card, Badge, Select, Switch, Typography} from 'antd';
+import LinkQualityPanel from './LinkQualityPanel';
+import RecordingControls from './RecordingControls';
+import { VIDEO_CODECS, RESOLUTION_PRESETS } from './MediaPreferences';
+import styles from './styles/App.module.css'
+
+const {Text} = Typography;
+
+// The ROS2 streamer has no events, so its status is polled
+const ROS2_STATUS_POLL_MS = 1000;
+
+const describeLinkState = (linkState) => {
+    switch (linkState.state) {
+        case 'connected':
+            return {status: 'success', text: 'Connected'};
+        case 'reconnecting': {
+            const method = linkState.method === 'ice_restart' ? 'ICE restart' : 'new connection';
+            return {status: 'warning', text: `Reconnecting (attempt ${linkState.attempt}, ${method})`};
+        }
+        case 'failed':
+            return {status: 'error', text: 'Connection lost'};
+        case 'closed':
+            return {status: 'default', text: 'Closed'};
+        default:
+            return {status: 'processing', text: 'Connecting'};
+    }
+};
+
+const getRos2Status = (stream) => {
+    if (!stream.ros2Streamer) {
+        return stream.ros2Enabled ? 'waiting for video' : 'off';
+    }
+    const status = stream.ros2Streamer.getConnectionStatus();
+    if (status === 'connected' && stream.ros2Streamer.isStreaming) {
+        return 'streaming';
+    }
+    if (status === 'connected' && stream.ros2Streamer.isPaused) {
+        return 'paused';
+    }
+    return status;
+};
+
+const getRos2AudioStatus = (stream) => {
+    if (!stream.ros2AudioStreamer) {
+        return stream.ros2AudioEnabled ? 'waiting for audio' : 'off';
+    }
+    const status = stream.ros2AudioStreamer.getConnectionStatus();
+    if (status === 'connected' && stream.ros2AudioStreamer.isPaused) {
+        return 'paused';
+    }
+    if (status === 'connected' && stream.ros2AudioStreamer.isStreaming) {
+        return 'streaming';
+    }
+    return status;
+};
+
+const describeAdaptive = (stream) => {
+    const adaptive = stream.ros2Streamer && stream.ros2Streamer.getAdaptiveState();
+    if (!adaptive) {
+        return null;
+    }
+    const latency = adaptive.latencyMs === null ? '' : `, ${adaptive.latencyMs} ms`;
+    return `${adaptive.frameRate} FPS, ${Math.round(adaptive.scaleFactor * 100)}% scale, `
+        + `${Math.round(adaptive.quality * 100)}% quality (${adaptive.reason}${latency})`;
+};
+
+// The topic the publisher puts this stream's frames on, and what it made of them
+const describeRos2Topic = (stream) => {
+    const serverConfig = stream.ros2Streamer && stream.ros2Streamer.serverConfig;
+    if (!serverConfig) {
+        return null;
+    }
+    const stats = stream.ros2Streamer.serverStats;
+    return stats ? `${serverConfig.topic} (${stats.frameCount} published, ${stats.frameDropCount} dropped)` : serverConfig.topic;
+};
+
+const getRos2StatusColor = (status) => {
+    switch (status) {
+        case 'connected':
+        case 'streaming':
+            return 'success';
+        case 'connecting':
+        case 'paused':
+        case 'waiting for video':
+        case 'waiting for audio':
+            return 'processing';
+        case 'closed':
+            return 'error';
+        default:
+            return 'default';
+    }
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * One tile of the viewing grid: the video of a drone stream, its link state and quality, its ROS2 publishing toggles
+ * and recording controls
+ */
+function DroneTile({stream, title, onRemove, recordingUpload}) {
+    const videoRef = useRef(null);
+    const [linkState, setLinkState] = useState({state: stream.state, attempt: 0});
+    const [ros2Enabled, setRos2Enabled] = useState(stream.ros2Enabled);
+    const [ros2Status, setRos2Status] = useState(getRos2Status(stream));
+    const [ros2AudioEnabled, setRos2AudioEnabled] = useState(stream.ros2AudioEnabled);
+    const [ros2AudioStatus, setRos2AudioStatus] = useState(getRos2AudioStatus(stream));
+    const [adaptive, setAdaptive] = useState(describeAdaptive(stream));
+    const [ros2Topic, setRos2Topic] = useState(describeRos2Topic(stream));
+    const [codec, setCodec] = useState(stream.preferredCodecs[0] || 'auto');
+    const [resolution, setResolution] = useState('auto');
+
+    useEffect(() => {
+        stream.attachVideo(videoRef.current);
+        const unsubscribe = stream.onStateChange(setLinkState);
+        return () => {
+            unsubscribe();
+            stream.attachVideo(null);
+        };
+    }, [stream]);
+
+    useEffect(() => {
+        const timer = setInterval(() => {
+            setRos2Status(getRos2Status(stream));
+            setRos2AudioStatus(getRos2AudioStatus(stream));
+            setAdaptive(describeAdaptive(stream));
+            setRos2Topic(describeRos2Topic(stream));
+        }, ROS2_STATUS_POLL_MS);
+        return () => clearInterval(timer);
+    }, [stream]);
+
+    const onRos2Toggle = (enabled) => {
+        stream.setROS2Enabled(enabled);
+        setRos2Enabled(enabled);
+        setRos2Status(getRos2Status(stream));
+    };
+
+    const onRos2AudioToggle = (enabled) => {
+        stream.setROS2AudioEnabled(enabled);
+        setRos2AudioEnabled(enabled);
+        setRos2AudioStatus(getRos2AudioStatus(stream));
+    };
+
+    const onCodecChange = (value) => {
+        setCodec(value);
+        stream.setPreferredCodecs(value === 'auto' ? [] : [value]);
+    };
+
+    const onResolutionChange = (value) => {
+        setResolution(value);
+        stream.requestMedia(RESOLUTION_PRESETS[value]);
+    };
+
+    return (
+        <Card
+            className={styles.tile}
+            title={title}
+            size="small"
+            extra={<Button size="small" danger onClick={onRemove}>Hang up</Button>}
+        >
+            <video
+                ref={videoRef}
+                className={styles.tileVideo}
+                autoPlay
+                muted
+                playsInline
+            />
+            <div className={styles.tileStatus}>
+                <Badge {...describeLinkState(linkState)} />
+                <span>
+                    <Text>ROS2 </Text>
+                    <Switch size="small" checked={ros2Enabled} onChange={onRos2Toggle} />
+                    <Badge
+                        style={{marginLeft: 8}}
+                        status={getRos2StatusColor(ros2Status)}
+                        text={capitalize(ros2Status)}
+                    />
+                </span>
+            </div>
+            {ros2Topic && (
+                <div className={styles.tileStatus}>
+                    <Text type="secondary">Topic: {ros2Topic}</Text>
+                </div>
+            )}
+            {adaptive && (
+                <div className={styles.tileStatus}>
+                    <Text type="secondary">Adaptive: {adaptive}</Text>
+                </div>
+            )}
+            <div className={styles.tileStatus} style={{justifyContent: 'flex-end'}}>
+                <span>
+                    <Text>ROS2 audio </Text>
+                    <Switch size="small" checked={ros2AudioEnabled} onChange={onRos2AudioToggle} />
+                    <Badge
+                        style={{marginLeft: 8}}
+                        status={getRos2StatusColor(ros2AudioStatus)}
+                        text={capitalize(ros2AudioStatus)}
+                    />
+                </span>
+            </div>
+            <div className={styles.tileStatus}>
+                <span>
+                    <Text>Codec </Text>
+                    <Select
+                        size="small"
+                        style={{width: 100}}
+                        value={codec}
+                        onChange={onCodecChange}
+                        options={[
+                            {value: 'auto', label: 'Auto'},
+                            ...VIDEO_CODECS.map((name) => ({value: name, label: name}))
+                        ]}
+                    />
+                </span>
+                <span>
+                    <Text>Resolution </Text>
+                    <Select
+                        size="small"
+                        style={{width: 100}}
+                        value={resolution}
+                        onChange={onResolutionChange}
+                        options={Object.keys(RESOLUTION_PRESETS).map((name) => ({
+                            value: name,
+                            label: name === 'auto' ? 'Auto' : name
+                        }))}
+                    />
+                </span>
+            </div>
+            <div className={styles.tileStatus}>
+                <RecordingControls stream={stream} upload={recordingUpload} />
+            </div>
+            <LinkQualityPanel stream={stream} />
+        </Card>
+    );
+}
+
+export default DroneTile;
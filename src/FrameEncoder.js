@@ -0,0 +1,68 @@
+// Loaded as a Web Worker, see public/frame-encoder-worker.js
+export const FRAME_ENCODER_WORKER_URL = `${process.env.PUBLIC_URL || ''}/frame-encoder-worker.js`;
+
+/**
+ * FrameEncoder scales and encodes video frames off the UI thread: createImageBitmap scales the frame,
+ * and a Web Worker draws it onto an OffscreenCanvas and encodes it
+ */
+export class FrameEncoder {
+    /**
+     * Whether the browser has everything the worker pipeline needs
+     * @returns {Boolean} true if FrameEncoder can be used
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined'
+            && typeof createImageBitmap === 'function'
+            && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    constructor(workerUrl = FRAME_ENCODER_WORKER_URL) {
+        this.worker = new Worker(workerUrl);
+        this.pending = new Map();
+        this.nextId = 0;
+        this.worker.onmessage = (event) => this.handleResult(event.data);
+        this.worker.onerror = (event) => {
+            // The worker is unusable, fail everything waiting for it
+            const error = new Error(`Frame encoder worker failed: ${event.message}`);
+            this.pending.forEach(({ reject }) => reject(error));
+            this.pending.clear();
+        };
+    }
+
+    /**
+     * Encodes the current frame of a video element
+     * @param {HTMLVideoElement} videoElement The element to capture from
+     * @param {Object} options width and height to scale to, JPEG quality
+     * @returns {Promise<Blob>} The encoded image
+     */
+    async encode(videoElement, { width, height, quality }) {
+        const bitmap = await createImageBitmap(videoElement, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            // The bitmap is transferred, the worker closes it
+            this.worker.postMessage({ id, bitmap, width, height, type: 'image/jpeg', quality }, [bitmap]);
+        });
+    }
+
+    handleResult({ id, blob, error }) {
+        const request = this.pending.get(id);
+        if (!request) {
+            return;
+        }
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        }
+        else {
+            request.resolve(blob);
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+        const error = new Error('Frame encoder terminated');
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,56 @@
+import { FrameEncoder } from './FrameEncoder';
+
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.posted = [];
+        FakeWorker.last = this;
+    }
+
+    postMessage(message, transfer) {
+        this.posted.push({ message, transfer });
+    }
+
+    reply(data) {
+        this.onmessage({ data });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+beforeEach(() => {
+    global.Worker = FakeWorker;
+    global.createImageBitmap = jest.fn(async (source, options) => ({ source, options }));
+});
+
+test('scales with createImageBitmap and encodes in the worker', async () => {
+    const encoder = new FrameEncoder('/frame-encoder-worker.js');
+    const video = {};
+    const encoded = encoder.encode(video, { width: 640, height: 360, quality: 0.3 });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const { message, transfer } = FakeWorker.last.posted[0];
+    expect(message).toMatchObject({ id: 0, width: 640, height: 360, type: 'image/jpeg', quality: 0.3 });
+    expect(message.bitmap.options).toMatchObject({ resizeWidth: 640, resizeHeight: 360 });
+    expect(transfer).toEqual([message.bitmap]);
+
+    const blob = new Blob(['jpeg']);
+    FakeWorker.last.reply({ id: 0, blob });
+    await expect(encoded).resolves.toBe(blob);
+});
+
+test('rejects the frames waiting for a failed worker', async () => {
+    const encoder = new FrameEncoder('/frame-encoder-worker.js');
+    const first = encoder.encode({}, { width: 2, height: 2, quality: 1 });
+    const second = encoder.encode({}, { width: 2, height: 2, quality: 1 });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    FakeWorker.last.reply({ id: 0, error: 'convertToBlob failed' });
+    await expect(first).rejects.toThrow('convertToBlob failed');
+    FakeWorker.last.onerror({ message: 'script not found' });
+    await expect(second).rejects.toThrow(/script not found/);
+});
@@ -0,0 +1,31 @@
+/*
+ * Binary frame transport to the ROS2 image publisher, see server/frameProtocol.js for the layout.
+ * A frame is this fixed header followed by the encoded image.
+ */
+const FRAME_VERSION = 1;
+export const FRAME_HEADER_BYTES = 24;
+export const FRAME_ENCODINGS = ['jpeg', 'png', 'webp'];
+// Protocols offered in the hello, most preferred first
+export const FRAME_PROTOCOLS = ['binary', 'json'];
+
+/**
+ * Encodes the header of a binary frame
+ * @param {Object} frame { width, height, encoding, captureTime, sequence, length } where length is the image size in bytes
+ * @returns {ArrayBuffer} The header
+ */
+export function encodeFrameHeader({ width, height, encoding, captureTime, sequence, length }) {
+    const encodingIndex = FRAME_ENCODINGS.indexOf(encoding);
+    if (encodingIndex === -1) {
+        throw new Error(`Unknown frame encoding '${encoding}'`);
+    }
+    const view = new DataView(new ArrayBuffer(FRAME_HEADER_BYTES));
+    view.setUint8(0, FRAME_VERSION);
+    view.setUint8(1, encodingIndex);
+    view.setUint16(2, FRAME_HEADER_BYTES, true);
+    view.setUint16(4, width, true);
+    view.setUint16(6, height, true);
+    view.setFloat64(8, captureTime, true);
+    view.setUint32(16, sequence >>> 0, true);
+    view.setUint32(20, length, true);
+    return view.buffer;
+}
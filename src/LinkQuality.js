@@ -0,0 +1,145 @@
+import { describeCodec } from './MediaPreferences';
+
+// How often the inbound RTP statistics of a stream are sampled
+export const LINK_QUALITY_INTERVAL_MS = 1000;
+
+const kindOf = (stat) => stat.kind || stat.mediaType;
+
+/**
+ * Picks the statistics link quality is derived from out of an RTCStatsReport
+ * @param {RTCStatsReport} report The result of RTCPeerConnection.getStats()
+ * @returns {Object} { timestamp, video, audio, roundTripTime, videoCodec } where video and audio are inbound-rtp stats
+ */
+export function summarizeStats(report) {
+    const summary = { timestamp: null, video: null, audio: null, roundTripTime: null, videoCodec: null };
+    const codecs = new Map();
+    report.forEach((stat) => {
+        if (stat.type === 'inbound-rtp') {
+            const kind = kindOf(stat);
+            // After the drone switched cameras the old track is still reported, follow the busiest one
+            if ((kind === 'video' || kind === 'audio')
+                && (!summary[kind] || stat.bytesReceived > summary[kind].bytesReceived)) {
+                summary[kind] = stat;
+            }
+        }
+        else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded'
+            && stat.currentRoundTripTime !== undefined) {
+            summary.roundTripTime = stat.currentRoundTripTime;
+        }
+        else if (stat.type === 'codec') {
+            codecs.set(stat.id, stat);
+        }
+        summary.timestamp = Math.max(summary.timestamp || 0, stat.timestamp || 0);
+    });
+    const codec = summary.video && codecs.get(summary.video.codecId);
+    summary.videoCodec = codec ? describeCodec(codec.mimeType) : null;
+    return summary;
+}
+
+const delta = (current, previous, key) => {
+    const value = (current && current[key]) || 0;
+    const before = (previous && previous[key]) || 0;
+    return value - before;
+};
+
+/**
+ * Derives the link quality between two consecutive samples
+ * @param {Object|null} previous The previous summarizeStats() result, or null for the first sample
+ * @param {Object} current The latest summarizeStats() result
+ * @returns {Object} Bitrates in kbit/s, frames per second, jitter and round-trip time in ms,
+ * packet loss in percent over the interval, the total freeze count, and the active codec and resolution
+ */
+export function computeLinkQuality(previous, current) {
+    const video = current.video || {};
+    // Counters restart with a new peer connection, treat that like a first sample
+    const usable = previous && previous.video && current.video
+        && current.video.bytesReceived >= previous.video.bytesReceived;
+    const base = usable ? previous : null;
+    const elapsedMs = base ? current.timestamp - base.timestamp : 0;
+
+    const bitrate = (stats, baseStats) => (elapsedMs > 0
+        ? Math.round(delta(stats, baseStats, 'bytesReceived') * 8 / elapsedMs)
+        : null);
+
+    let framesPerSecond = video.framesPerSecond !== undefined ? video.framesPerSecond : null;
+    if (framesPerSecond === null && elapsedMs > 0) {
+        framesPerSecond = delta(current.video, base.video, 'framesDecoded') * 1000 / elapsedMs;
+    }
+
+    let packetLossPercent = null;
+    if (base) {
+        const lost = delta(current.video, base.video, 'packetsLost');
+        const received = delta(current.video, base.video, 'packetsReceived');
+        packetLossPercent = lost + received > 0 ? Math.max(0, lost) * 100 / (lost + received) : 0;
+    }
+
+    return {
+        timestamp: current.timestamp,
+        bitrateKbps: bitrate(current.video, base && base.video),
+        audioBitrateKbps: base ? bitrate(current.audio, base.audio) : null,
+        framesPerSecond: framesPerSecond === null ? null : Math.round(framesPerSecond * 10) / 10,
+        jitterMs: video.jitter !== undefined ? Math.round(video.jitter * 10000) / 10 : null,
+        packetLossPercent: packetLossPercent === null ? null : Math.round(packetLossPercent * 10) / 10,
+        packetsLost: video.packetsLost || 0,
+        freezeCount: video.freezeCount || 0,
+        roundTripTimeMs: current.roundTripTime !== null ? Math.round(current.roundTripTime * 1000) : null,
+        frameWidth: video.frameWidth || null,
+        frameHeight: video.frameHeight || null,
+        codec: current.videoCodec || null,
+    };
+}
+
+/**
+ * LinkQualityMonitor periodically samples getStats() of a peer connection and reports the derived link quality
+ */
+export class LinkQualityMonitor {
+    /**
+    * @param {Function} getPeerConnection Returns the peer connection to sample, which may be replaced over time
+    * @param {Function} onSample Called with every computeLinkQuality() result
+    * @param {Number} [intervalMs] Time between samples
+    */
+    constructor(getPeerConnection, onSample, intervalMs = LINK_QUALITY_INTERVAL_MS) {
+        this.getPeerConnection = getPeerConnection;
+        this.onSample = onSample;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.previous = null;
+        this.previousPeerConnection = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.sample().catch((error) => console.log('Link quality sample failed:', error));
+        }, this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async sample() {
+        const peerConnection = this.getPeerConnection();
+        if (!peerConnection) {
+            return null;
+        }
+        let report;
+        try {
+            report = await peerConnection.getStats();
+        } catch (error) {
+            console.log('getStats() failed:', error);
+            return null;
+        }
+        const current = summarizeStats(report);
+        const previous = peerConnection === this.previousPeerConnection ? this.previous : null;
+        this.previous = current;
+        this.previousPeerConnection = peerConnection;
+
+        const quality = computeLinkQuality(previous, current);
+        this.onSample(quality);
+        return quality;
+    }
+}
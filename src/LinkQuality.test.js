@@ -0,0 +1,68 @@
+import { summarizeStats, computeLinkQuality, LinkQualityMonitor } from './LinkQuality';
+
+const report = (timestamp, video, { audio, roundTripTime = 0.042 } = {}) => new Map([
+    ['video', { type: 'inbound-rtp', kind: 'video', timestamp, jitter: 0.012, freezeCount: 0, codecId: 'codec-96', ...video }],
+    ['audio', { type: 'inbound-rtp', kind: 'audio', timestamp, bytesReceived: 0, ...audio }],
+    ['pair', { type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: roundTripTime, timestamp }],
+    ['codec-96', { type: 'codec', id: 'codec-96', mimeType: 'video/VP8', timestamp }],
+    ['stale-pair', { type: 'candidate-pair', nominated: false, state: 'failed', currentRoundTripTime: 3, timestamp }],
+]);
+
+const first = summarizeStats(report(10000, {
+    bytesReceived: 1000000, framesDecoded: 300, packetsReceived: 1000, packetsLost: 10,
+    frameWidth: 1280, frameHeight: 720,
+}, { audio: { bytesReceived: 50000 } }));
+
+describe('computeLinkQuality', () => {
+    test('derives rates and packet loss over the interval', () => {
+        const second = summarizeStats(report(12000, {
+            bytesReceived: 1500000, framesDecoded: 358, packetsReceived: 1380, packetsLost: 30,
+            freezeCount: 2, frameWidth: 1280, frameHeight: 720,
+        }, { audio: { bytesReceived: 58000 } }));
+
+        expect(computeLinkQuality(first, second)).toEqual({
+            timestamp: 12000,
+            bitrateKbps: 2000,
+            audioBitrateKbps: 32,
+            framesPerSecond: 29,
+            jitterMs: 12,
+            packetLossPercent: 5,
+            packetsLost: 30,
+            freezeCount: 2,
+            roundTripTimeMs: 42,
+            frameWidth: 1280,
+            frameHeight: 720,
+            codec: 'VP8',
+        });
+    });
+
+    test('prefers the browser frame rate and leaves rates empty on the first sample', () => {
+        const quality = computeLinkQuality(null, summarizeStats(report(10000, { bytesReceived: 1000, framesPerSecond: 24 })));
+        expect(quality).toMatchObject({ bitrateKbps: null, framesPerSecond: 24, packetLossPercent: null });
+    });
+
+    test('starts over when the counters of a new peer connection restart', () => {
+        const restarted = summarizeStats(report(12000, { bytesReceived: 2000, framesDecoded: 1 }));
+        expect(computeLinkQuality(first, restarted)).toMatchObject({ bitrateKbps: null, packetLossPercent: null });
+    });
+
+    test('follows the busiest video track after a camera switch', () => {
+        const stats = report(10000, { bytesReceived: 10 });
+        stats.set('thermal', { type: 'inbound-rtp', kind: 'video', timestamp: 10000, bytesReceived: 5000, frameWidth: 640 });
+        expect(summarizeStats(stats).video.frameWidth).toBe(640);
+    });
+});
+
+test('LinkQualityMonitor samples the current peer connection', async () => {
+    let stats = report(10000, { bytesReceived: 0, packetsReceived: 0, packetsLost: 0 });
+    const peerConnection = { getStats: async () => stats };
+    const samples = [];
+    const monitor = new LinkQualityMonitor(() => peerConnection, (quality) => samples.push(quality));
+
+    await monitor.sample();
+    stats = report(11000, { bytesReceived: 125000, packetsReceived: 100, packetsLost: 0 });
+    await monitor.sample();
+
+    expect(samples.map((quality) => quality.bitrateKbps)).toEqual([null, 1000]);
+    expect(samples[1].packetLossPercent).toBe(0);
+});
@@ -0,0 +1,34 @@
+import {useEffect, useState} from 'react';
+import {Descriptions} from 'antd';
+
+const format = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+/**
+ * Live link quality of a drone stream, updated with every getStats() sample
+ */
+function LinkQualityPanel({stream}) {
+    const [quality, setQuality] = useState(stream.getLinkQuality());
+
+    useEffect(() => stream.onLinkQuality(setQuality), [stream]);
+
+    if (!quality) {
+        return null;
+    }
+    return (
+        <Descriptions size="small" column={3} style={{marginTop: 8}}>
+            <Descriptions.Item label="Bitrate">{format(quality.bitrateKbps, ' kbit/s')}</Descriptions.Item>
+            <Descriptions.Item label="FPS">{format(quality.framesPerSecond)}</Descriptions.Item>
+            <Descriptions.Item label="Resolution">
+                {quality.frameWidth ? `${quality.frameWidth}x${quality.frameHeight}` : '–'}
+            </Descriptions.Item>
+            <Descriptions.Item label="Codec">{format(quality.codec)}</Descriptions.Item>
+            <Descriptions.Item label="Jitter">{format(quality.jitterMs, ' ms')}</Descriptions.Item>
+            <Descriptions.Item label="Packet loss">{format(quality.packetLossPercent, '%')}</Descriptions.Item>
+            <Descriptions.Item label="RTT">{format(quality.roundTripTimeMs, ' ms')}</Descriptions.Item>
+            <Descriptions.Item label="Freezes">{format(quality.freezeCount)}</Descriptions.Item>
+            <Descriptions.Item label="Packets lost">{format(quality.packetsLost)}</Descriptions.Item>
+        </Descriptions>
+    );
+}
+
+export default LinkQualityPanel;
@@ -0,0 +1,38 @@
+// Video codecs the operator can prefer, by the name used in their MIME type (video/<name>)
+export const VIDEO_CODECS = ['H264', 'VP8', 'VP9', 'AV1'];
+
+// Resolution and bitrate limits the operator can ask the drone for, null leaves it to the drone
+export const RESOLUTION_PRESETS = {
+    auto: null,
+    '1080p': { maxWidth: 1920, maxHeight: 1080, maxBitrateKbps: 6000 },
+    '720p': { maxWidth: 1280, maxHeight: 720, maxBitrateKbps: 2500 },
+    '480p': { maxWidth: 854, maxHeight: 480, maxBitrateKbps: 1200 },
+    '360p': { maxWidth: 640, maxHeight: 360, maxBitrateKbps: 600 },
+};
+
+const codecName = (codec) => codec.mimeType.split('/')[1].toUpperCase();
+
+/**
+ * Orders codec capabilities for RTCRtpTransceiver.setCodecPreferences: the preferred codecs first,
+ * in the order given, then all others (including rtx, red and ulpfec) so negotiation can still fall back
+ * @param {Array} codecs The codecs of RTCRtpReceiver.getCapabilities('video')
+ * @param {Array} preferred Names from VIDEO_CODECS, most preferred first
+ * @returns {Array} The reordered codecs
+ */
+export function sortCodecs(codecs, preferred) {
+    const rank = (codec) => {
+        const index = preferred.indexOf(codecName(codec));
+        return index === -1 ? preferred.length : index;
+    };
+    // Array.prototype.sort is stable, so profiles of the same codec keep the browser's order
+    return [...codecs].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Returns the name of a codec stat's MIME type, e.g. 'VP8' for 'video/VP8'
+ * @param {String} mimeType The MIME type
+ * @returns {String|null} The codec name
+ */
+export function describeCodec(mimeType) {
+    return mimeType ? mimeType.split('/').pop() : null;
+}
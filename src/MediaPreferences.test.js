@@ -0,0 +1,31 @@
+import { sortCodecs, describeCodec } from './MediaPreferences';
+
+const capabilities = [
+    { mimeType: 'video/VP8', clockRate: 90000 },
+    { mimeType: 'video/rtx', clockRate: 90000 },
+    { mimeType: 'video/VP9', clockRate: 90000, sdpFmtpLine: 'profile-id=0' },
+    { mimeType: 'video/VP9', clockRate: 90000, sdpFmtpLine: 'profile-id=2' },
+    { mimeType: 'video/H264', clockRate: 90000, sdpFmtpLine: 'profile-level-id=42e01f' },
+    { mimeType: 'video/AV1', clockRate: 90000 },
+];
+
+describe('sortCodecs', () => {
+    test('puts the preferred codecs first and keeps the others as fallback', () => {
+        const sorted = sortCodecs(capabilities, ['H264', 'AV1']).map((codec) => codec.mimeType);
+        expect(sorted).toEqual(['video/H264', 'video/AV1', 'video/VP8', 'video/rtx', 'video/VP9', 'video/VP9']);
+    });
+
+    test('keeps the profiles of a codec in the browser order', () => {
+        const sorted = sortCodecs(capabilities, ['VP9']);
+        expect(sorted.slice(0, 2).map((codec) => codec.sdpFmtpLine)).toEqual(['profile-id=0', 'profile-id=2']);
+    });
+
+    test('leaves the order alone without preferences', () => {
+        expect(sortCodecs(capabilities, [])).toEqual(capabilities);
+    });
+});
+
+test('describeCodec names the codec of a MIME type', () => {
+    expect(describeCodec('video/VP8')).toBe('VP8');
+    expect(describeCodec(undefined)).toBeNull();
+});
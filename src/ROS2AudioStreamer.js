@@ -0,0 +1,275 @@
+import * as log from 'loglevel';
+import config from './config';
+import { ClockSyncSession, clockNow } from './ClockSync';
+
+// Duration of the PCM chunks sent to the publisher
+export const AUDIO_CHUNK_MS = 100;
+// Loaded into the AudioWorklet, see public/audio-capture-worklet.js
+export const AUDIO_WORKLET_URL = `${process.env.PUBLIC_URL || ''}/audio-capture-worklet.js`;
+// Chunks are dropped instead of queued while this much is waiting to be sent
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+/**
+ * Interleaves the channels of a chunk and converts them to signed 16 bit little-endian PCM
+ * @param {Array} channels One Float32Array of samples in [-1, 1] per channel, all of the same length
+ * @returns {Uint8Array} The PCM bytes
+ */
+export function encodePcm16(channels) {
+    const frames = channels.length ? channels[0].length : 0;
+    const view = new DataView(new ArrayBuffer(frames * channels.length * 2));
+    let offset = 0;
+    for (let frame = 0; frame < frames; frame++) {
+        for (const channel of channels) {
+            const sample = Math.max(-1, Math.min(1, channel[frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    return new Uint8Array(view.buffer);
+}
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    // String.fromCharCode takes its arguments on the stack, so convert in slices
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+/**
+ * ROS2AudioStreamer pulls PCM from the remote audio track of a drone stream with an AudioWorklet
+ * and sends it in chunks to the ROS2 publisher service
+ */
+export class ROS2AudioStreamer {
+    /**
+    * @param {MediaStreamTrack} track The remote audio track
+    * @param {String} droneID The socket id of the drone the track comes from
+    * @param {String} [websocketUrl] The publisher service
+    * @param {String} [namespace] Namespace of the drone's stream, the audio is published to /<namespace>/<audioTopic>.
+    * The default stream's topic without one.
+    */
+    constructor(track, droneID, websocketUrl = config.publisherUrl, namespace = null) {
+        this.track = track;
+        this.droneID = droneID;
+        this.websocketUrl = websocketUrl;
+        this.namespace = namespace;
+        this.ws = null;
+        this.audioContext = null;
+        this.workletNode = null;
+        this.source = null;
+        this.isStreaming = false;
+        this.isPaused = false;
+        this.sampleRate = null;
+        this.channelCount = null;
+        // Time of context frame 0 in the clock of clockNow, converts worklet frames to capture timestamps
+        this.contextStartTime = 0;
+        // Offset of the publisher's clock, so it stamps chunks with their capture time like the images
+        this.clockSync = new ClockSyncSession((message) => {
+            if (!this.isConnected()) {
+                return false;
+            }
+            this.ws.send(JSON.stringify(message));
+            return true;
+        });
+        this.sequence = 0;
+        this.chunkCount = 0;
+        this.chunkDropCount = 0;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            try {
+                this.ws = new WebSocket(this.websocketUrl);
+
+                this.ws.onopen = () => {
+                    log.debug('Connected to ROS2 publisher WebSocket for audio');
+                    this.ws.send(JSON.stringify({ type: 'hello', data: this.namespace ? { namespace: this.namespace } : {} }));
+                    resolve();
+                };
+
+                this.ws.onerror = (error) => {
+                    log.error('WebSocket connection error:', error);
+                    reject(error);
+                };
+
+                this.ws.onclose = () => {
+                    log.debug('Disconnected from ROS2 publisher WebSocket for audio');
+                    this.clockSync.stop();
+                    this.stopStreaming();
+                };
+
+                this.ws.onmessage = (event) => this.handleMessage(event);
+
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    async startStreaming() {
+        if (this.isStreaming) {
+            log.warn('Already streaming audio to ROS2');
+            return;
+        }
+        if (!this.isConnected()) {
+            log.error('WebSocket not connected. Call connect() first.');
+            return;
+        }
+
+        this.isStreaming = true;
+        const audioContext = new AudioContext();
+        this.audioContext = audioContext;
+        try {
+            await audioContext.audioWorklet.addModule(AUDIO_WORKLET_URL);
+        } catch (error) {
+            this.stopStreaming();
+            throw error;
+        }
+        // Stopped while the worklet was loading
+        if (this.audioContext !== audioContext) {
+            return;
+        }
+
+        this.sampleRate = audioContext.sampleRate;
+        this.contextStartTime = clockNow() - audioContext.currentTime * 1000;
+        this.source = audioContext.createMediaStreamSource(new MediaStream([this.track]));
+        // A node without outputs is still processed, and nothing is played twice
+        this.workletNode = new AudioWorkletNode(audioContext, 'pcm-capture', {
+            numberOfOutputs: 0,
+            processorOptions: { chunkFrames: Math.round(this.sampleRate * AUDIO_CHUNK_MS / 1000) },
+        });
+        this.workletNode.port.onmessage = (event) => this.handleChunk(event.data);
+        this.source.connect(this.workletNode);
+        log.info(`Starting ROS2 audio streaming at ${this.sampleRate} Hz`);
+    }
+
+    stopStreaming() {
+        if (!this.isStreaming) {
+            return;
+        }
+        log.info('Stopping ROS2 audio streaming');
+        this.isStreaming = false;
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+
+    /**
+     * Stops sending while the WebRTC link is down, keeping the publisher connection open
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    /**
+     * Sends a chunk posted by the worklet
+     * @param {Object} chunk { channels, frame } with one Float32Array per channel
+     */
+    handleChunk({ channels, frame }) {
+        if (!this.isStreaming || this.isPaused || !this.isConnected()) {
+            return;
+        }
+        if (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            this.chunkDropCount++;
+            log.debug(`Audio chunk dropped due to WebSocket congestion (${this.chunkDropCount} total)`);
+            return;
+        }
+
+        this.channelCount = channels.length;
+        const frames = channels.length ? channels[0].length : 0;
+        const message = {
+            type: 'audio_chunk',
+            data: {
+                droneID: this.droneID,
+                audioData: toBase64(encodePcm16(channels)),
+                encoding: 'pcm_s16le',
+                sampleRate: this.sampleRate,
+                channels: channels.length,
+                frames,
+                // Capture time of the first sample
+                captureTime: Math.round(this.contextStartTime + frame * 1000 / this.sampleRate),
+                sequence: this.sequence++,
+            }
+        };
+        this.ws.send(JSON.stringify(message));
+        this.chunkCount++;
+    }
+
+    handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            log.warn('Malformed message from ROS2 publisher:', error);
+            return;
+        }
+        // Older publishers stamp chunks with their capture time as is and do not answer time_sync
+        if (message.type === 'welcome' && message.data && message.data.timeSync) {
+            this.clockSync.start();
+        }
+        else if (message.type === 'time_sync') {
+            this.clockSync.handleTimeSync(message.data);
+        }
+    }
+
+    disconnect() {
+        this.clockSync.stop();
+        this.stopStreaming();
+        this.isPaused = false;
+
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+
+    getConnectionStatus() {
+        if (!this.ws) return 'disconnected';
+
+        switch (this.ws.readyState) {
+            case WebSocket.CONNECTING:
+                return 'connecting';
+            case WebSocket.OPEN:
+                return 'connected';
+            case WebSocket.CLOSING:
+                return 'closing';
+            case WebSocket.CLOSED:
+                return 'closed';
+            default:
+                return 'unknown';
+        }
+    }
+
+    isConnected() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    getStats() {
+        return {
+            isStreaming: this.isStreaming,
+            isPaused: this.isPaused,
+            sampleRate: this.sampleRate,
+            channels: this.channelCount,
+            chunkCount: this.chunkCount,
+            chunkDropCount: this.chunkDropCount,
+            connectionStatus: this.getConnectionStatus(),
+            clock: this.clockSync.getState(),
+        };
+    }
+}
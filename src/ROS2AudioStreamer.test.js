@@ -0,0 +1,76 @@
+import { ROS2AudioStreamer, encodePcm16 } from './ROS2AudioStreamer';
+
+test('encodePcm16 interleaves the channels as signed 16 bit little-endian samples', () => {
+    const bytes = encodePcm16([Float32Array.of(0, 1, -1), Float32Array.of(0.5, 2, -2)]);
+    const view = new DataView(bytes.buffer);
+    const samples = Array.from({ length: bytes.length / 2 }, (_, index) => view.getInt16(index * 2, true));
+    // Out of range samples are clipped
+    expect(samples).toEqual([0, 16383, 32767, 32767, -32768, -32768]);
+});
+
+describe('ROS2AudioStreamer', () => {
+    let streamer;
+
+    beforeEach(() => {
+        streamer = new ROS2AudioStreamer({ kind: 'audio' }, 'drone1', 'ws://publisher');
+        streamer.ws = { readyState: WebSocket.OPEN, bufferedAmount: 0, sent: [], send(frame) { this.sent.push(JSON.parse(frame)); } };
+        streamer.isStreaming = true;
+        streamer.sampleRate = 48000;
+        streamer.contextStartTime = 1700000000000;
+    });
+
+    test('sends chunks stamped with the capture time of their first sample', () => {
+        streamer.handleChunk({ channels: [new Float32Array(4800)], frame: 48000 });
+        streamer.handleChunk({ channels: [new Float32Array(4800)], frame: 52800 });
+
+        const [first, second] = streamer.ws.sent;
+        expect(first.type).toBe('audio_chunk');
+        expect(first.data).toMatchObject({
+            droneID: 'drone1',
+            encoding: 'pcm_s16le',
+            sampleRate: 48000,
+            channels: 1,
+            frames: 4800,
+            captureTime: 1700000001000,
+            sequence: 0,
+        });
+        expect(atob(first.data.audioData)).toHaveLength(9600);
+        expect(second.data).toMatchObject({ captureTime: 1700000001100, sequence: 1 });
+        expect(streamer.getStats()).toMatchObject({ chunkCount: 2, channels: 1 });
+    });
+
+    test('drops chunks while paused or congested', () => {
+        streamer.pause();
+        streamer.handleChunk({ channels: [new Float32Array(480)], frame: 0 });
+        streamer.resume();
+        streamer.ws.bufferedAmount = 1024 * 1024;
+        streamer.handleChunk({ channels: [new Float32Array(480)], frame: 480 });
+
+        expect(streamer.ws.sent).toHaveLength(0);
+        expect(streamer.getStats().chunkDropCount).toBe(1);
+    });
+
+    test('ignores a welcome without data, as from older publishers', () => {
+        streamer.handleMessage({ data: JSON.stringify({ type: 'welcome' }) });
+        expect(streamer.ws.sent).toHaveLength(0);
+    });
+
+    test('synchronizes its clock with the publisher, which stamps the chunks with it', () => {
+        // Modern fake timers replace performance, which the exchanges read the time from
+        jest.useFakeTimers('legacy');
+        streamer.handleMessage({ data: JSON.stringify({ type: 'welcome', data: { protocol: 'json', timeSync: true } }) });
+        const [timeSync] = streamer.ws.sent;
+        expect(timeSync).toMatchObject({ type: 'time_sync', data: { id: 1 } });
+
+        // The publisher's clock is 2 s ahead
+        const { t0 } = timeSync.data;
+        streamer.handleMessage({ data: JSON.stringify({ type: 'time_sync', data: { id: 1, t0, t1: t0 + 2000, t2: t0 + 2000 } }) });
+        const estimate = streamer.ws.sent[1];
+        expect(estimate.type).toBe('clock');
+        expect(Math.abs(estimate.data.offsetMs - 2000)).toBeLessThan(50);
+        expect(streamer.getStats().clock).toMatchObject({ synced: true, samples: 1 });
+
+        streamer.clockSync.stop();
+        jest.useRealTimers();
+    });
+});
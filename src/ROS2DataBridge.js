@@ -0,0 +1,114 @@
+import * as log from 'loglevel';
+import config from './config';
+
+/**
+ * ROS2DataBridge forwards data channel messages of a drone to the ROS2 data bridge service
+ * (server/ros2DataBridge.js), and hands the messages that service receives from ROS2 back. The
+ * service publishes and subscribes to the drone's topics under its namespace, e.g. /drone1/drone/command.
+ */
+export class ROS2DataBridge {
+    /**
+    * @param {String} droneID The drone whose data channels are bridged, its ROS2 namespace
+    * @param {String} [websocketUrl] URL of the ROS2 data bridge service
+    */
+    constructor(droneID, websocketUrl = config.bridgeUrl) {
+        this.droneID = droneID;
+        this.websocketUrl = websocketUrl;
+        this.ws = null;
+        this.listeners = new Set();
+        this.forwardedCount = 0;
+        this.receivedCount = 0;
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            try {
+                this.ws = new WebSocket(this.websocketUrl);
+
+                this.ws.onopen = () => {
+                    log.debug('Connected to ROS2 data bridge WebSocket');
+                    // Subscribes to the commands of the drone before it sends anything
+                    this.ws.send(JSON.stringify({ type: 'hello', drone: this.droneID }));
+                    resolve();
+                };
+
+                this.ws.onerror = (error) => {
+                    log.error('ROS2 data bridge connection error:', error);
+                    reject(error);
+                };
+
+                this.ws.onclose = () => {
+                    log.debug('Disconnected from ROS2 data bridge WebSocket');
+                };
+
+                this.ws.onmessage = (event) => {
+                    this.handleMessage(event.data);
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            log.warn('Ignoring malformed message from the ROS2 data bridge');
+            return;
+        }
+        if (message.type !== 'data_message' || !message.message) {
+            return;
+        }
+        if (message.drone !== this.droneID) {
+            return;
+        }
+        this.receivedCount++;
+        this.listeners.forEach((listener) => listener(message.channel, message.message));
+    }
+
+    /**
+    * Registers a listener for messages coming from ROS2
+    * @param {Function} listener Called with (channelName, message)
+    * @returns {Function} Removes the listener again
+    */
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+    * Forwards a message received on one of the drone's data channels to ROS2
+    * @param {String} channel The name of the data channel it arrived on
+    * @param {Object} message The decoded message { type, data, ts }
+    * @returns {Boolean} false if the bridge is not connected
+    */
+    forward(channel, message) {
+        if (!this.isConnected()) {
+            return false;
+        }
+        this.ws.send(JSON.stringify({ type: 'data_message', drone: this.droneID, channel, message }));
+        this.forwardedCount++;
+        return true;
+    }
+
+    disconnect() {
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+
+    isConnected() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    getStats() {
+        return {
+            connected: this.isConnected(),
+            forwardedCount: this.forwardedCount,
+            receivedCount: this.receivedCount,
+        };
+    }
+}
@@ -1,20 +1,93 @@
 import * as log from 'loglevel';
+import config from './config';
+import { FRAME_PROTOCOLS, encodeFrameHeader } from './FrameProtocol';
+import { FrameEncoder } from './FrameEncoder';
+import { ADAPTIVE_INTERVAL_MS, AdaptiveQualityController } from './AdaptiveQuality';
+import { ClockSyncSession, clockNow } from './ClockSync';
+
+// How long to wait for the publisher to answer the hello before falling back to JSON
+export const HANDSHAKE_TIMEOUT_MS = 1000;
+// How long to wait for the answer to a control request, see server/publisherControl.js
+export const CONTROL_TIMEOUT_MS = 5000;
+// Stats older than this many intervals mean the publisher stopped reporting
+const STALE_STATS_INTERVALS = 3;
+// Stats interval of publishers that do not send their configuration
+const DEFAULT_STATS_INTERVAL_MS = 1000;
+
+const emptyAcks = () => ({ published: 0, dropped: 0, dropReasons: {}, lastDropReason: null, processingTimeMs: null, latencyMs: null });
+
+class ControlError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "ControlError";
+        this.code = code;
+    }
+}
+
+const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
 
 /**
  * ROS2ImageStreamer handles capturing video frames and sending them to ROS2 publisher service
  */
 export class ROS2ImageStreamer {
-    constructor(videoElement, websocketUrl = 'ws://localhost:8092') {
+    /**
+     * @param {HTMLVideoElement} videoElement The element to capture from
+     * @param {String} [websocketUrl] The publisher service
+     * @param {String} [namespace] Namespace of the stream, the publisher publishes to /<namespace>/<topic>.
+     * Streams without one share the configured topic.
+     */
+    constructor(videoElement, websocketUrl = config.publisherUrl, namespace = null) {
         this.videoElement = videoElement;
         this.websocketUrl = websocketUrl;
+        this.namespace = namespace;
         this.ws = null;
         this.canvas = null;
         this.context = null;
         this.isStreaming = false;
+        this.isPaused = false;
         this.frameRate = 8; // Reduced to 8 FPS to match server rate limiting
         this.intervalId = null;
         this.lastFrameTime = 0;
         this.frameDropCount = 0;
+        // Frame protocol agreed on in the handshake, see FrameProtocol.js
+        this.protocol = 'json';
+        this.sequence = 0;
+        this.bytesSent = 0;
+        this.isEncoding = false;
+        // Capture driven by requestVideoFrameCallback where available, see handleVideoFrame
+        this.videoFrameCallbackId = null;
+        this.lastMediaTime = null;
+        // Scales and encodes in a Web Worker where available, see FrameEncoder.js
+        this.encoder = null;
+        this.useWorker = FrameEncoder.isSupported();
+        // Adjusts frame rate, scale and quality to the link when enabled, see setAdaptive
+        this.adaptive = null;
+        this.adaptiveTimer = null;
+        this.manualSettings = null;
+        // Counters the publisher pushes every second
+        this.serverStats = null;
+        this.serverStatsTime = 0;
+        // Live configuration of the publisher, sent in the welcome and whenever it changes
+        this.serverConfig = null;
+        // Control requests waiting for their answer by id, see request()
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        // What the publisher acknowledged of the frames sent
+        this.acks = emptyAcks();
+        // Offset of the publisher's clock, so it stamps images with their capture time, see ClockSync.js
+        this.clockSync = new ClockSyncSession((message) => {
+            if (!this.isConnected()) {
+                return false;
+            }
+            this.ws.send(JSON.stringify(message));
+            return true;
+        });
+        this.resolveWelcome = null;
         
         // Performance settings
         this.scaleFactor = 0.5; // 50% scaling
@@ -24,11 +97,16 @@ export class ROS2ImageStreamer {
     }
 
     setupCanvas() {
-        // Create a hidden canvas for frame capture
-        this.canvas = document.createElement('canvas');
-        this.canvas.style.display = 'none';
+        // An OffscreenCanvas encodes without touching the DOM, a hidden canvas is the fallback
+        if (typeof OffscreenCanvas !== 'undefined') {
+            this.canvas = new OffscreenCanvas(1, 1);
+        }
+        else {
+            this.canvas = document.createElement('canvas');
+            this.canvas.style.display = 'none';
+            document.body.appendChild(this.canvas);
+        }
         this.context = this.canvas.getContext('2d');
-        document.body.appendChild(this.canvas);
     }
 
     async connect() {
@@ -38,8 +116,10 @@ export class ROS2ImageStreamer {
                 
                 this.ws.onopen = () => {
                     log.debug('Connected to ROS2 image publisher WebSocket');
-                    resolve();
+                    this.handshake().then(resolve);
                 };
+
+                this.ws.onmessage = (event) => this.handleMessage(event);
                 
                 this.ws.onerror = (error) => {
                     log.error('WebSocket connection error:', error);
@@ -49,6 +129,8 @@ export class ROS2ImageStreamer {
                 this.ws.onclose = () => {
                     log.debug('Disconnected from ROS2 image publisher WebSocket');
                     this.isStreaming = false;
+                    this.clockSync.stop();
+                    this.rejectPendingRequests('Disconnected from the ROS2 image publisher');
                 };
                 
             } catch (error) {
@@ -57,6 +139,73 @@ export class ROS2ImageStreamer {
         });
     }
 
+    /**
+     * Offers the binary frame protocol to the publisher and asks for frame acks. Publishers that do not answer in time get JSON.
+     * @returns {Promise<String>} The protocol agreed on
+     */
+    handshake() {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                log.info('ROS2 image publisher did not answer the handshake, sending JSON frames');
+                this.protocol = 'json';
+                resolve(this.protocol);
+            }, HANDSHAKE_TIMEOUT_MS);
+
+            this.resolveWelcome = (protocol) => {
+                clearTimeout(timer);
+                this.protocol = FRAME_PROTOCOLS.includes(protocol) ? protocol : 'json';
+                log.info(`ROS2 image publisher agreed on ${this.protocol} frames`);
+                resolve(this.protocol);
+            };
+            const hello = { protocols: FRAME_PROTOCOLS, acks: true };
+            if (this.namespace) {
+                hello.namespace = this.namespace;
+            }
+            this.ws.send(JSON.stringify({ type: 'hello', data: hello }));
+        });
+    }
+
+    handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            log.warn('Malformed message from ROS2 image publisher:', error);
+            return;
+        }
+        switch (message.type) {
+            case 'welcome':
+                this.serverConfig = (message.data && message.data.config) || null;
+                // Older publishers stamp images on arrival and do not answer time_sync
+                if (message.data && message.data.timeSync) {
+                    this.clockSync.start();
+                }
+                if (this.resolveWelcome) {
+                    this.resolveWelcome(message.data && message.data.protocol);
+                    this.resolveWelcome = null;
+                }
+                break;
+            case 'stats':
+                this.serverStats = message.data;
+                this.serverStatsTime = Date.now();
+                break;
+            case 'config':
+                this.serverConfig = message.data;
+                break;
+            case 'frame_ack':
+                this.handleFrameAck(message.data);
+                break;
+            case 'control_response':
+                this.handleControlResponse(message.data);
+                break;
+            case 'time_sync':
+                this.clockSync.handleTimeSync(message.data);
+                break;
+            default:
+                log.debug('Ignoring message from ROS2 image publisher:', message.type);
+        }
+    }
+
     startStreaming(frameRate = 8) {
         if (this.isStreaming) {
             log.warn('Already streaming to ROS2');
@@ -73,20 +222,73 @@ export class ROS2ImageStreamer {
             return;
         }
 
-        this.frameRate = frameRate;
+        // With adaptive quality on, the frame rate is the controller's to choose
+        if (this.adaptive) {
+            this.manualSettings.frameRate = frameRate;
+        }
+        else {
+            this.frameRate = frameRate;
+        }
         this.isStreaming = true;
         this.lastFrameTime = 0;
+        this.lastMediaTime = null;
         this.frameDropCount = 0;
+        if (this.useWorker && !this.encoder) {
+            this.encoder = new FrameEncoder();
+        }
+        if (this.adaptive) {
+            this.startAdaptiveTimer();
+        }
+
+        // Capture every decoded frame we need, exactly once
+        if (typeof this.videoElement.requestVideoFrameCallback === 'function') {
+            log.info(`Starting ROS2 image streaming at ${this.frameRate} FPS, driven by video frames`);
+            this.scheduleVideoFrame();
+            return;
+        }
         
-        log.info(`Starting ROS2 image streaming at ${frameRate} FPS`);
+        log.info(`Starting ROS2 image streaming at ${this.frameRate} FPS`);
         
-        const captureInterval = 1000 / frameRate; // Convert FPS to milliseconds
+        const captureInterval = 1000 / this.frameRate; // Convert FPS to milliseconds
         
         this.intervalId = setInterval(() => {
             this.captureAndSendFrame();
         }, captureInterval);
     }
 
+    scheduleVideoFrame() {
+        this.videoFrameCallbackId = this.videoElement.requestVideoFrameCallback(
+            (now, metadata) => this.handleVideoFrame(now, metadata));
+    }
+
+    /**
+     * Called by requestVideoFrameCallback for every frame presented by the video element
+     * @param {DOMHighResTimeStamp} now When the callback runs
+     * @param {Object} metadata The VideoFrameCallbackMetadata of the frame
+     */
+    handleVideoFrame(now, metadata) {
+        if (!this.isStreaming) {
+            return;
+        }
+        this.scheduleVideoFrame();
+
+        // Frames are picked by their media time, so the frame rate holds however frames are delivered.
+        // A media time going backwards means the drone switched tracks.
+        const elapsed = this.lastMediaTime === null ? Infinity : metadata.mediaTime - this.lastMediaTime;
+        if (elapsed >= 0 && elapsed < 0.9 / this.frameRate) {
+            return;
+        }
+
+        // WebRTC frames carry the time they were captured at the drone (with RTCP sender reports) or received,
+        // others the time they were shown, in the performance.now() clock
+        const frameTime = metadata.captureTime !== undefined ? metadata.captureTime
+            : metadata.receiveTime !== undefined ? metadata.receiveTime
+                : metadata.presentationTime !== undefined ? metadata.presentationTime : now;
+        if (this.captureFrame(performance.timeOrigin + frameTime)) {
+            this.lastMediaTime = metadata.mediaTime;
+        }
+    }
+
     stopStreaming() {
         if (!this.isStreaming) {
             return;
@@ -100,20 +302,42 @@ export class ROS2ImageStreamer {
             clearInterval(this.intervalId);
             this.intervalId = null;
         }
+        if (this.videoFrameCallbackId !== null) {
+            this.videoElement.cancelVideoFrameCallback(this.videoFrameCallbackId);
+            this.videoFrameCallbackId = null;
+        }
+        clearInterval(this.adaptiveTimer);
+        this.adaptiveTimer = null;
     }
 
-    captureAndSendFrame() {
-        if (!this.isStreaming || !this.videoElement || !this.ws) {
+    /**
+     * Stops capturing while the WebRTC link is down, keeping the publisher connection open
+     */
+    pause() {
+        if (!this.isStreaming) {
             return;
         }
+        log.info('Pausing ROS2 image streaming');
+        this.stopStreaming();
+        this.isPaused = true;
+    }
 
-        // Skip frame if WebSocket is busy (reduce congestion)
-        if (this.ws.bufferedAmount > 1024 * 50) { // Reduced to 50KB threshold
-            this.frameDropCount++;
-            log.debug(`Frame dropped due to WebSocket congestion (${this.frameDropCount} total)`);
+    /**
+     * Resumes capturing at the previous frame rate after pause()
+     */
+    resume() {
+        if (!this.isPaused) {
             return;
         }
+        log.info('Resuming ROS2 image streaming');
+        this.isPaused = false;
+        this.startStreaming(this.adaptive ? this.manualSettings.frameRate : this.frameRate);
+    }
 
+    /**
+     * Captures a frame on the setInterval loop of browsers without requestVideoFrameCallback
+     */
+    captureAndSendFrame() {
         // Skip frame if previous frame is still being processed (growing latency protection)
         const now = Date.now();
         const timeSinceLastFrame = now - this.lastFrameTime;
@@ -125,65 +349,157 @@ export class ROS2ImageStreamer {
             return;
         }
 
+        this.captureFrame(clockNow());
+    }
+
+    /**
+     * Scales, encodes and sends the frame the video element currently shows
+     * @param {Number} captureTime When the frame was captured, in ms since the epoch in the clock of clockNow()
+     * @returns {Boolean} Whether the frame was taken
+     */
+    captureFrame(captureTime) {
+        if (!this.isStreaming || !this.videoElement || !this.ws) {
+            return false;
+        }
+
+        // Skip frame if WebSocket is busy (reduce congestion)
+        if (this.ws.bufferedAmount > 1024 * 50) { // Reduced to 50KB threshold
+            this.frameDropCount++;
+            log.debug(`Frame dropped due to WebSocket congestion (${this.frameDropCount} total)`);
+            return false;
+        }
+
+        // Skip frame if the previous one is still being encoded
+        if (this.isEncoding) {
+            this.frameDropCount++;
+            return false;
+        }
+
         try {
             // Check if video is ready
             if (this.videoElement.readyState < 2) {
-                return;
+                return false;
             }
 
             const videoWidth = this.videoElement.videoWidth;
             const videoHeight = this.videoElement.videoHeight;
             
             if (videoWidth === 0 || videoHeight === 0) {
-                return;
+                return false;
             }
 
-            this.lastFrameTime = now;
+            this.lastFrameTime = Date.now();
 
             // Use dynamic resolution scaling
-            const targetWidth = Math.floor(videoWidth * this.scaleFactor);
-            const targetHeight = Math.floor(videoHeight * this.scaleFactor);
+            const width = Math.floor(videoWidth * this.scaleFactor);
+            const height = Math.floor(videoHeight * this.scaleFactor);
 
-            // Set canvas dimensions
-            this.canvas.width = targetWidth;
-            this.canvas.height = targetHeight;
-            
-            // Use bilinear filtering for better scaling performance
-            this.context.imageSmoothingEnabled = true;
-            this.context.imageSmoothingQuality = 'low'; // Fastest scaling
-            
-            // Draw and scale the video frame
-            this.context.drawImage(this.videoElement, 0, 0, targetWidth, targetHeight);
-            
-            // Use dynamic JPEG quality
-            const imageData = this.canvas.toDataURL('image/jpeg', this.quality);
-            const base64Data = imageData.split(',')[1];
+            // Encoding is asynchronous, the frame is sent once it is done
+            this.isEncoding = true;
+            this.encodeFrame(width, height)
+                .then((image) => this.sendFrame(image, { width, height, captureTime }))
+                .catch((error) => log.error('Error encoding video frame:', error))
+                .finally(() => {
+                    this.isEncoding = false;
+                });
+            return true;
             
+        } catch (error) {
+            log.error('Error capturing video frame:', error);
+            this.isEncoding = false;
+            return false;
+        }
+    }
+
+    /**
+     * Scales and encodes the current video frame, in the worker if there is one
+     * @param {Number} width Width to scale to
+     * @param {Number} height Height to scale to
+     * @returns {Promise<Blob>} The encoded image
+     */
+    async encodeFrame(width, height) {
+        if (this.encoder) {
+            try {
+                return await this.encoder.encode(this.videoElement, { width, height, quality: this.quality });
+            } catch (error) {
+                log.warn('Frame encoder worker failed, encoding on the main thread from now on:', error);
+                this.encoder.terminate();
+                this.encoder = null;
+                this.useWorker = false;
+            }
+        }
+
+        // Set canvas dimensions
+        this.canvas.width = width;
+        this.canvas.height = height;
+        
+        // Use bilinear filtering for better scaling performance
+        this.context.imageSmoothingEnabled = true;
+        this.context.imageSmoothingQuality = 'low'; // Fastest scaling
+        
+        // Draw and scale the video frame
+        this.context.drawImage(this.videoElement, 0, 0, width, height);
+        return this.encodeCanvas();
+    }
+
+    /**
+     * Encodes the canvas as JPEG with the current quality
+     * @returns {Promise<Blob>} The encoded image
+     */
+    encodeCanvas() {
+        if (this.canvas.convertToBlob) {
+            return this.canvas.convertToBlob({ type: 'image/jpeg', quality: this.quality });
+        }
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))),
+                'image/jpeg', this.quality);
+        });
+    }
+
+    /**
+     * Sends an encoded frame in the protocol agreed on in the handshake
+     * @param {Blob} image The JPEG image
+     * @param {Object} frame width, height and captureTime of the frame
+     */
+    async sendFrame(image, { width, height, captureTime }) {
+        const sequence = this.sequence++;
+        if (this.protocol === 'binary') {
+            if (!this.isConnected()) {
+                return;
+            }
+            const header = encodeFrameHeader({ width, height, encoding: 'jpeg', captureTime, sequence, length: image.size });
+            // The browser sends the blob parts as they are, without copying them into a string first
+            this.ws.send(new Blob([header, image]));
+        }
+        else {
             // Prepare message with timestamp for latency measurement
             const message = {
                 type: 'image_frame',
                 data: {
-                    imageData: base64Data,
-                    width: targetWidth,
-                    height: targetHeight,
+                    imageData: await blobToBase64(image),
+                    width,
+                    height,
                     encoding: 'jpeg',
-                    timestamp: now,
-                    captureTime: now // For latency tracking
+                    timestamp: captureTime,
+                    captureTime, // For latency tracking
+                    sequence
                 }
             };
-            
-            // Send to ROS2 publisher service
-            if (this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify(message));
-                log.debug(`Sent frame: ${targetWidth}x${targetHeight}, quality: ${Math.round(this.quality * 100)}%, buffer: ${this.ws.bufferedAmount}B`);
+            if (!this.isConnected()) {
+                return;
             }
-            
-        } catch (error) {
-            log.error('Error capturing video frame:', error);
+            this.ws.send(JSON.stringify(message));
         }
+        this.bytesSent += image.size;
+        log.debug(`Sent ${this.protocol} frame: ${width}x${height}, quality: ${Math.round(this.quality * 100)}%, buffer: ${this.ws.bufferedAmount}B`);
     }
 
     setFrameRate(frameRate) {
+        // The controller owns the frame rate, this one applies once it is switched off
+        if (this.adaptive) {
+            this.manualSettings.frameRate = frameRate;
+            return;
+        }
         this.frameRate = frameRate;
         
         if (this.isStreaming) {
@@ -195,13 +511,211 @@ export class ROS2ImageStreamer {
         }
     }
 
+    /**
+     * Switches the adaptive quality controller on, updates its bounds, or switches it off
+     * @param {Object|null} settings Bounds and latency target, see DEFAULT_ADAPTIVE_SETTINGS in AdaptiveQuality.js,
+     * or null to go back to the frame rate, scale and quality from before
+     */
+    setAdaptive(settings) {
+        if (!settings) {
+            if (this.adaptive) {
+                log.info('Adaptive quality off');
+                clearInterval(this.adaptiveTimer);
+                this.adaptiveTimer = null;
+                this.adaptive = null;
+                this.applyCaptureSettings(this.manualSettings);
+            }
+            return;
+        }
+        if (this.adaptive) {
+            this.applyCaptureSettings(this.adaptive.setSettings(settings));
+            return;
+        }
+        log.info('Adaptive quality on:', settings);
+        this.manualSettings = { frameRate: this.frameRate, scaleFactor: this.scaleFactor, quality: this.quality };
+        this.adaptive = new AdaptiveQualityController(settings);
+        this.applyCaptureSettings(this.adaptive.decision);
+        if (this.isStreaming) {
+            this.startAdaptiveTimer();
+        }
+    }
+
+    startAdaptiveTimer() {
+        clearInterval(this.adaptiveTimer);
+        this.adaptiveTimer = setInterval(() => this.adaptQuality(), ADAPTIVE_INTERVAL_MS);
+    }
+
+    adaptQuality() {
+        if (!this.adaptive || !this.isConnected()) {
+            return;
+        }
+        const decision = this.adaptive.update({
+            bufferedAmount: this.ws.bufferedAmount,
+            server: this.serverStats,
+            // Publishers that never acked a frame do not send acks
+            acks: this.acks.published + this.acks.dropped > 0 ? this.acks : null,
+            publishRate: this.serverConfig && this.serverConfig.publishRate,
+        });
+        log.debug('Adaptive quality:', decision);
+        this.applyCaptureSettings(decision);
+    }
+
+    /**
+     * Applies capture settings without restarting the capture
+     * @param {Object} settings frameRate, scaleFactor and quality
+     */
+    applyCaptureSettings({ frameRate, scaleFactor, quality }) {
+        this.scaleFactor = scaleFactor;
+        this.quality = quality;
+        if (frameRate === this.frameRate) {
+            return;
+        }
+        this.frameRate = frameRate;
+        // Capture driven by video frames reads the frame rate as it goes, the timer has to be replaced
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = setInterval(() => {
+                this.captureAndSendFrame();
+            }, 1000 / frameRate);
+        }
+    }
+
+    /**
+     * Returns what the adaptive quality controller decided last
+     * @returns {Object|null} frameRate, scaleFactor, quality, level, reason and latencyMs, or null when it is off
+     */
+    getAdaptiveState() {
+        return this.adaptive ? this.adaptive.decision : null;
+    }
+
+    handleFrameAck({ published, reason, processingTimeMs, latencyMs }) {
+        if (published) {
+            this.acks.published++;
+            this.acks.processingTimeMs = processingTimeMs;
+            this.acks.latencyMs = latencyMs;
+        }
+        else {
+            this.acks.dropped++;
+            this.acks.dropReasons[reason] = (this.acks.dropReasons[reason] || 0) + 1;
+            this.acks.lastDropReason = reason;
+        }
+    }
+
+    /**
+     * Sends a control request to the publisher, see server/publisherControl.js
+     * @param {String} command getStats, resetStats, setPublishRate, getConfig or setConfig
+     * @param {Object} [params] Parameters of the command
+     * @returns {Promise<Object>} The result, rejected with a ControlError if the publisher refused or did not answer
+     */
+    request(command, params = {}) {
+        if (!this.isConnected()) {
+            return Promise.reject(new ControlError('disconnected', 'Not connected to the ROS2 image publisher'));
+        }
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new ControlError('timeout', `ROS2 image publisher did not answer ${command}`));
+            }, CONTROL_TIMEOUT_MS);
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ type: 'control', data: { id, command, params } }));
+        });
+    }
+
+    handleControlResponse({ id, result, error }) {
+        const request = this.pendingRequests.get(id);
+        if (!request) {
+            return;
+        }
+        this.pendingRequests.delete(id);
+        clearTimeout(request.timer);
+        if (error) {
+            request.reject(new ControlError(error.code, error.message));
+        }
+        else {
+            request.resolve(result);
+        }
+    }
+
+    rejectPendingRequests(message) {
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new ControlError('disconnected', message));
+        });
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Changes the rate the publisher publishes at, shared by every stream sent to it
+     * @param {Number} fps Frames per second, 1 to 30
+     * @returns {Promise<Object>} The publisher's configuration after the change
+     */
+    async setServerPublishRate(fps) {
+        this.serverConfig = await this.request('setPublishRate', { fps });
+        return this.serverConfig;
+    }
+
+    /**
+     * Changes the live configuration of the publisher
+     * @param {Object} changes publishRate, frameId and/or statsInterval
+     * @returns {Promise<Object>} The publisher's configuration after the change
+     */
+    async configureServer(changes) {
+        this.serverConfig = await this.request('setConfig', changes);
+        return this.serverConfig;
+    }
+
+    async resetServerStats() {
+        this.serverStats = await this.request('resetStats');
+        return this.serverStats;
+    }
+
+    async fetchServerStats() {
+        this.serverStats = await this.request('getStats');
+        return this.serverStats;
+    }
+
+    /**
+     * Returns what the publisher last reported about itself
+     * @returns {Object} { status, config, stats, acks, clock } where status is 'live' while the stats keep coming,
+     * 'silent' when they stopped or never came (publishers older than the stats), or the connection status,
+     * and clock is the estimate of the publisher's clock, see ClockSync.getState
+     */
+    getServerState() {
+        let status = this.getConnectionStatus();
+        if (status === 'connected') {
+            const interval = (this.serverConfig && this.serverConfig.statsInterval) || DEFAULT_STATS_INTERVAL_MS;
+            status = Date.now() - this.serverStatsTime < STALE_STATS_INTERVALS * interval ? 'live' : 'silent';
+        }
+        return { status, config: this.serverConfig, stats: this.serverStats, acks: { ...this.acks, dropReasons: { ...this.acks.dropReasons } }, clock: this.clockSync.getState() };
+    }
+
+    /**
+     * Sends a link quality sample of the WebRTC stream, published as diagnostics next to the images
+     * @param {String} droneID The socket id of the drone the stream comes from
+     * @param {Object} quality The sample, see computeLinkQuality in LinkQuality.js
+     */
+    sendLinkQuality(droneID, quality) {
+        if (!this.isConnected()) {
+            return;
+        }
+        this.ws.send(JSON.stringify({ type: 'link_quality', data: { ...quality, droneID } }));
+    }
+
     disconnect() {
         this.stopStreaming();
+        this.clockSync.stop();
+        this.isPaused = false;
+        if (this.encoder) {
+            this.encoder.terminate();
+            this.encoder = null;
+        }
         
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
+        this.rejectPendingRequests('Disconnected from the ROS2 image publisher');
         
         // Clean up canvas
         if (this.canvas && this.canvas.parentNode) {
@@ -234,7 +748,16 @@ export class ROS2ImageStreamer {
         return {
             frameRate: this.frameRate,
             isStreaming: this.isStreaming,
+            isPaused: this.isPaused,
             frameDropCount: this.frameDropCount,
+            protocol: this.protocol,
+            adaptive: this.getAdaptiveState(),
+            serverStats: this.serverStats,
+            acks: { ...this.acks },
+            clock: this.clockSync.getState(),
+            encoder: this.encoder ? 'worker' : 'canvas',
+            framesSent: this.sequence,
+            bytesSent: this.bytesSent,
             connectionStatus: this.getConnectionStatus(),
             bufferAmount: this.ws ? this.ws.bufferedAmount : 0,
             lastFrameTime: this.lastFrameTime,
@@ -244,11 +767,14 @@ export class ROS2ImageStreamer {
 
     resetStats() {
         this.frameDropCount = 0;
+        this.bytesSent = 0;
         this.lastFrameTime = 0;
+        this.acks = emptyAcks();
     }
 
-    // Add method to dynamically adjust performance
+    // Add method to dynamically adjust performance, a manual preset switches adaptive quality off
     adjustPerformance(level = 'balanced') {
+        this.setAdaptive(null);
         const settings = {
             'high_quality': { frameRate: 12, scaleFactor: 0.8, quality: 0.7 },
             'balanced': { frameRate: 8, scaleFactor: 0.5, quality: 0.5 },
@@ -0,0 +1,360 @@
+import { ROS2ImageStreamer, HANDSHAKE_TIMEOUT_MS, CONTROL_TIMEOUT_MS } from './ROS2ImageStreamer';
+import { FRAME_HEADER_BYTES } from './FrameProtocol';
+import { CLOCK_SYNC_BURST, CLOCK_SYNC_BURST_INTERVAL_MS, CLOCK_SYNC_INTERVAL_MS } from './ClockSync';
+
+class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.bufferedAmount = 0;
+        this.sent = [];
+        FakeWebSocket.last = this;
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+
+    send(data) {
+        this.sent.push(data);
+    }
+
+    close() {
+        this.readyState = FakeWebSocket.CLOSED;
+    }
+}
+
+const readBytes = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+});
+
+let streamer;
+
+beforeEach(() => {
+    global.WebSocket = FakeWebSocket;
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({});
+    streamer = new ROS2ImageStreamer(document.createElement('video'), 'ws://publisher');
+});
+
+afterEach(() => {
+    streamer.disconnect();
+});
+
+describe('ROS2ImageStreamer handshake', () => {
+    test('agrees on binary frames with a publisher that supports them', async () => {
+        const connected = streamer.connect();
+        FakeWebSocket.last.open();
+        expect(JSON.parse(FakeWebSocket.last.sent[0])).toEqual({ type: 'hello', data: { protocols: ['binary', 'json'], acks: true } });
+
+        FakeWebSocket.last.receive({ type: 'welcome', data: { protocol: 'binary', config: { topic: '/camera/image_raw/compressed' } } });
+        await connected;
+        expect(streamer.protocol).toBe('binary');
+        expect(streamer.serverConfig).toEqual({ topic: '/camera/image_raw/compressed' });
+    });
+
+    test('declares the namespace of its stream', async () => {
+        streamer = new ROS2ImageStreamer(document.createElement('video'), 'ws://publisher', 'drone1');
+        const connected = streamer.connect();
+        FakeWebSocket.last.open();
+        expect(JSON.parse(FakeWebSocket.last.sent[0]).data.namespace).toBe('drone1');
+
+        FakeWebSocket.last.receive({ type: 'welcome', data: { protocol: 'binary', config: { topic: '/drone1/camera/image_raw/compressed' } } });
+        await connected;
+        expect(streamer.getServerState().config.topic).toBe('/drone1/camera/image_raw/compressed');
+    });
+
+    test('falls back to JSON when the publisher does not answer', async () => {
+        jest.useFakeTimers();
+        const connected = streamer.connect();
+        FakeWebSocket.last.open();
+        jest.advanceTimersByTime(HANDSHAKE_TIMEOUT_MS);
+        await connected;
+        expect(streamer.protocol).toBe('json');
+        expect(streamer.getServerState().clock.synced).toBe(false);
+        jest.useRealTimers();
+    });
+
+    test('takes a welcome without data as JSON frames without clock sync', async () => {
+        const connected = streamer.connect();
+        FakeWebSocket.last.open();
+        FakeWebSocket.last.receive({ type: 'welcome' });
+        await connected;
+        expect(streamer.protocol).toBe('json');
+        expect(streamer.serverConfig).toBeNull();
+        expect(FakeWebSocket.last.sent).toHaveLength(1);
+    });
+
+    test('synchronizes its clock with publishers that offer it', async () => {
+        // Modern fake timers replace performance, which the exchanges read the time from
+        jest.useFakeTimers('legacy');
+        const connected = streamer.connect();
+        const ws = FakeWebSocket.last;
+        ws.open();
+        ws.receive({ type: 'welcome', data: { protocol: 'binary', timeSync: true } });
+        await connected;
+        const timeSyncs = () => ws.sent.map((data) => JSON.parse(data)).filter(({ type }) => type === 'time_sync');
+
+        // The publisher's clock is 5 s behind
+        const { id, t0 } = timeSyncs()[0].data;
+        expect(id).toBe(1);
+        ws.receive({ type: 'time_sync', data: { id, t0, t1: t0 - 5000, t2: t0 - 5000 } });
+        const estimate = JSON.parse(ws.sent[ws.sent.length - 1]);
+        expect(estimate).toMatchObject({ type: 'clock', data: { driftPpm: 0 } });
+        expect(Math.abs(estimate.data.offsetMs + 5000)).toBeLessThan(50);
+        expect(streamer.getServerState().clock).toMatchObject({ synced: true, samples: 1 });
+
+        // A burst right away, then one exchange every interval until disconnected
+        jest.advanceTimersByTime(CLOCK_SYNC_BURST_INTERVAL_MS * CLOCK_SYNC_BURST);
+        expect(timeSyncs()).toHaveLength(CLOCK_SYNC_BURST);
+        jest.advanceTimersByTime(CLOCK_SYNC_INTERVAL_MS);
+        expect(timeSyncs()).toHaveLength(CLOCK_SYNC_BURST + 1);
+        streamer.disconnect();
+        jest.advanceTimersByTime(CLOCK_SYNC_INTERVAL_MS * 2);
+        expect(timeSyncs()).toHaveLength(CLOCK_SYNC_BURST + 1);
+        jest.useRealTimers();
+    });
+});
+
+describe('ROS2ImageStreamer frames', () => {
+    const image = new Blob([Uint8Array.of(0xff, 0xd8, 0xff, 0xd9)], { type: 'image/jpeg' });
+
+    beforeEach(() => {
+        streamer.ws = new FakeWebSocket('ws://publisher');
+        streamer.ws.readyState = FakeWebSocket.OPEN;
+    });
+
+    test('are sent as a header followed by the image bytes', async () => {
+        streamer.protocol = 'binary';
+        await streamer.sendFrame(image, { width: 640, height: 360, captureTime: 1700000000123 });
+
+        const bytes = await readBytes(streamer.ws.sent[0]);
+        expect(bytes).toHaveLength(FRAME_HEADER_BYTES + 4);
+        const view = new DataView(bytes.buffer);
+        expect(view.getUint8(0)).toBe(1);
+        expect(view.getUint8(1)).toBe(0); // jpeg
+        expect(view.getUint16(4, true)).toBe(640);
+        expect(view.getUint16(6, true)).toBe(360);
+        expect(view.getFloat64(8, true)).toBe(1700000000123);
+        expect(view.getUint32(16, true)).toBe(0);
+        expect(view.getUint32(20, true)).toBe(4);
+        expect(Array.from(bytes.slice(FRAME_HEADER_BYTES))).toEqual([0xff, 0xd8, 0xff, 0xd9]);
+    });
+
+    test('are sent as JSON with base64 images on the fallback protocol', async () => {
+        await streamer.sendFrame(image, { width: 640, height: 360, captureTime: 1700000000123 });
+        await streamer.sendFrame(image, { width: 640, height: 360, captureTime: 1700000000223 });
+
+        const [first, second] = streamer.ws.sent.map((frame) => JSON.parse(frame));
+        expect(first).toEqual({
+            type: 'image_frame',
+            data: {
+                imageData: '/9j/2Q==',
+                width: 640,
+                height: 360,
+                encoding: 'jpeg',
+                timestamp: 1700000000123,
+                captureTime: 1700000000123,
+                sequence: 0,
+            },
+        });
+        expect(second.data.sequence).toBe(1);
+        expect(streamer.getStats()).toMatchObject({ protocol: 'json', framesSent: 2, bytesSent: 8 });
+    });
+});
+
+describe('ROS2ImageStreamer capture', () => {
+    let video;
+    let captured;
+
+    beforeEach(() => {
+        video = {
+            readyState: 4,
+            videoWidth: 1280,
+            videoHeight: 720,
+            requestVideoFrameCallback(callback) {
+                this.callback = callback;
+                return 7;
+            },
+            cancelVideoFrameCallback(id) {
+                this.cancelled = id;
+            },
+        };
+        streamer = new ROS2ImageStreamer(video, 'ws://publisher');
+        streamer.ws = new FakeWebSocket('ws://publisher');
+        streamer.ws.readyState = FakeWebSocket.OPEN;
+        captured = [];
+        streamer.encodeFrame = async (width, height) => new Blob([`${width}x${height}`]);
+        streamer.sendFrame = async (image, frame) => captured.push(frame);
+    });
+
+    const presentFrames = async (mediaTimes) => {
+        for (const mediaTime of mediaTimes) {
+            video.callback(0, { mediaTime, captureTime: 5000 + mediaTime * 1000 });
+            // Let the encoding of a taken frame finish
+            for (let i = 0; i < 10; i++) {
+                await Promise.resolve();
+            }
+        }
+    };
+
+    test('picks decoded frames by media time and stamps them with their capture time', async () => {
+        streamer.startStreaming(10);
+        expect(streamer.intervalId).toBeNull();
+
+        // A 30 FPS stream, of which every third frame is needed
+        await presentFrames([0, 1 / 30, 2 / 30, 3 / 30, 4 / 30, 5 / 30, 6 / 30]);
+        expect(captured).toHaveLength(3);
+        expect(captured[0]).toEqual({ width: 640, height: 360, captureTime: performance.timeOrigin + 5000 });
+        expect(captured[1].captureTime).toBeCloseTo(performance.timeOrigin + 5100);
+
+        streamer.stopStreaming();
+        expect(video.cancelled).toBe(7);
+        await presentFrames([1]);
+        expect(captured).toHaveLength(3);
+    });
+
+    test('starts over when the media time jumps back after a track switch', async () => {
+        streamer.startStreaming(10);
+        await presentFrames([5, 5.1, 0.02]);
+        expect(captured).toHaveLength(3);
+    });
+
+    test('falls back to a timer without requestVideoFrameCallback', () => {
+        jest.useFakeTimers();
+        delete video.requestVideoFrameCallback;
+        streamer.startStreaming(10);
+        expect(streamer.intervalId).not.toBeNull();
+        jest.advanceTimersByTime(100);
+        expect(streamer.isEncoding).toBe(true);
+        streamer.stopStreaming();
+        jest.useRealTimers();
+    });
+});
+
+describe('ROS2ImageStreamer adaptive quality', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        streamer.ws = new FakeWebSocket('ws://publisher');
+        streamer.ws.readyState = FakeWebSocket.OPEN;
+        streamer.ws.onmessage = (event) => streamer.handleMessage(event);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('follows the stats of the publisher and gives the manual settings back when turned off', () => {
+        streamer.startStreaming(10);
+        streamer.setAdaptive({ targetLatencyMs: 200 });
+        expect(streamer.getAdaptiveState()).toMatchObject({ reason: 'start', frameRate: 9, scaleFactor: 0.63, quality: 0.5 });
+        expect(streamer.frameRate).toBe(9);
+
+        streamer.ws.receive({ type: 'stats', data: { frameCount: 10, frameDropCount: 0, latencyMs: 450 } });
+        jest.advanceTimersByTime(1000);
+        expect(streamer.getAdaptiveState()).toMatchObject({ reason: 'latency above target', latencyMs: 450 });
+        expect(streamer.frameRate).toBeLessThan(9);
+
+        // The operator's frame rate is kept for later
+        streamer.setFrameRate(12);
+        expect(streamer.frameRate).toBeLessThan(9);
+        streamer.setAdaptive(null);
+        expect(streamer.getAdaptiveState()).toBeNull();
+        expect(streamer).toMatchObject({ frameRate: 12, scaleFactor: 0.5, quality: 0.3 });
+        streamer.stopStreaming();
+    });
+
+    test('sends no faster than the publisher publishes and ignores the frames it rate limits', () => {
+        streamer.startStreaming(10);
+        streamer.setAdaptive({ frameRate: { min: 2, max: 30 } });
+        streamer.ws.receive({ type: 'config', data: { publishRate: 5 } });
+        for (let sequence = 0; sequence < 20; sequence++) {
+            const published = sequence % 4 === 0;
+            streamer.ws.receive({ type: 'frame_ack', data: { sequence, published, reason: published ? undefined : 'rate_limited' } });
+        }
+        jest.advanceTimersByTime(1000);
+        for (let sequence = 20; sequence < 40; sequence++) {
+            const published = sequence % 4 === 0;
+            streamer.ws.receive({ type: 'frame_ack', data: { sequence, published, reason: published ? undefined : 'rate_limited' } });
+        }
+        jest.advanceTimersByTime(1000);
+        expect(streamer.getAdaptiveState()).toMatchObject({ reason: 'headroom', frameRate: 5 });
+        expect(streamer.frameRate).toBe(5);
+        streamer.stopStreaming();
+    });
+});
+
+describe('ROS2ImageStreamer control', () => {
+    let ws;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        ws = new FakeWebSocket('ws://publisher');
+        ws.readyState = FakeWebSocket.OPEN;
+        ws.onmessage = (event) => streamer.handleMessage(event);
+        streamer.ws = ws;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const lastRequest = () => JSON.parse(ws.sent[ws.sent.length - 1]);
+
+    test('matches answers to requests by id', async () => {
+        const first = streamer.setServerPublishRate(15);
+        const second = streamer.fetchServerStats();
+        expect(lastRequest()).toEqual({ type: 'control', data: { id: 2, command: 'getStats', params: {} } });
+
+        ws.receive({ type: 'control_response', data: { id: 2, result: { frameCount: 3 } } });
+        ws.receive({ type: 'control_response', data: { id: 1, result: { publishRate: 15, statsInterval: 1000 } } });
+        await expect(second).resolves.toEqual({ frameCount: 3 });
+        await expect(first).resolves.toEqual({ publishRate: 15, statsInterval: 1000 });
+        expect(streamer.serverConfig.publishRate).toBe(15);
+    });
+
+    test('rejects refused, unanswered and interrupted requests', async () => {
+        const refused = streamer.configureServer({ topic: '/other' });
+        ws.receive({ type: 'control_response', data: { id: 1, error: { code: 'invalid_params', message: "'topic' cannot be changed while running" } } });
+        await expect(refused).rejects.toMatchObject({ name: 'ControlError', code: 'invalid_params' });
+
+        const unanswered = streamer.resetServerStats();
+        jest.advanceTimersByTime(CONTROL_TIMEOUT_MS);
+        await expect(unanswered).rejects.toMatchObject({ code: 'timeout' });
+
+        const interrupted = streamer.request('getConfig');
+        streamer.disconnect();
+        await expect(interrupted).rejects.toMatchObject({ code: 'disconnected' });
+        await expect(streamer.request('getConfig')).rejects.toMatchObject({ code: 'disconnected' });
+    });
+
+    test('reports the state the publisher sends', () => {
+        expect(streamer.getServerState().status).toBe('silent');
+
+        ws.receive({ type: 'config', data: { publishRate: 10, statsInterval: 500 } });
+        ws.receive({ type: 'stats', data: { frameCount: 1, frameDropCount: 0 } });
+        ws.receive({ type: 'frame_ack', data: { sequence: 0, published: true, processingTimeMs: 2, latencyMs: 40 } });
+        ws.receive({ type: 'frame_ack', data: { sequence: 1, published: false, reason: 'rate_limited' } });
+        expect(streamer.getServerState()).toEqual({
+            status: 'live',
+            config: { publishRate: 10, statsInterval: 500 },
+            stats: { frameCount: 1, frameDropCount: 0 },
+            acks: { published: 1, dropped: 1, dropReasons: { rate_limited: 1 }, lastDropReason: 'rate_limited', processingTimeMs: 2, latencyMs: 40 },
+            clock: { synced: false, offsetMs: null, driftPpm: null, rttMs: null, samples: 0 },
+        });
+
+        jest.advanceTimersByTime(1500);
+        expect(streamer.getServerState().status).toBe('silent');
+    });
+});
@@ -0,0 +1,71 @@
+import {useEffect, useRef, useState} from 'react';
+import {Button, Space, Typography} from 'antd';
+import * as log from 'loglevel';
+import { SessionRecorder, downloadRecording, uploadRecording } from './SessionRecorder';
+
+const {Text} = Typography;
+
+/**
+ * Record, stop and download controls of a drone stream, uploading finished recordings when enabled
+ * @param {Object} props stream, and the upload options { upload, url, token }
+ */
+function RecordingControls({stream, upload}) {
+    const recorder = useRef(null);
+    const [isRecording, setIsRecording] = useState(false);
+    const [recording, setRecording] = useState(null);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        recorder.current = new SessionRecorder(stream);
+        return () => {
+            recorder.current.stop();
+        };
+    }, [stream]);
+
+    const onRecord = () => {
+        try {
+            recorder.current.start();
+            setIsRecording(true);
+            setStatus('Recording');
+        } catch (error) {
+            log.error('Cannot record:', error.message);
+            setStatus(error.message);
+        }
+    };
+
+    const onStop = async () => {
+        const result = await recorder.current.stop();
+        setIsRecording(false);
+        setRecording(result);
+        if (!result) {
+            setStatus('');
+            return;
+        }
+        setStatus(`Recorded ${Math.round(result.blob.size / 1024)} KB`);
+        if (!upload.upload) {
+            return;
+        }
+        try {
+            await uploadRecording(result, {
+                url: upload.url,
+                token: upload.token,
+                onProgress: (sent, total) => setStatus(`Uploading ${Math.round(sent * 100 / (total || 1))}%`),
+            });
+            setStatus(`Uploaded ${result.fileName}`);
+        } catch (error) {
+            log.error('Recording upload failed:', error);
+            setStatus(error.message);
+        }
+    };
+
+    return (
+        <Space size="small" wrap>
+            <Button size="small" onClick={onRecord} disabled={isRecording}>Record</Button>
+            <Button size="small" onClick={onStop} disabled={!isRecording}>Stop</Button>
+            <Button size="small" onClick={() => downloadRecording(recording)} disabled={!recording}>Download</Button>
+            {status && <Text type="secondary">{status}</Text>}
+        </Space>
+    );
+}
+
+export default RecordingControls;
@@ -0,0 +1,205 @@
+import * as log from 'loglevel';
+
+// MediaRecorder hands out data this often, so a crash loses at most this much of a recording
+export const RECORDING_TIMESLICE_MS = 1000;
+// Size of the chunks uploaded to the server, see server/recordings.js
+export const UPLOAD_CHUNK_BYTES = 1024 * 1024;
+// Container formats to record in, the first one the browser supports is used
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+/**
+ * Returns the container format to record in
+ * @returns {String} The first supported MIME type, or '' to let the browser choose
+ */
+export function pickMimeType() {
+    if (typeof MediaRecorder.isTypeSupported !== 'function') {
+        return '';
+    }
+    return MIME_TYPES.find((mimeType) => MediaRecorder.isTypeSupported(mimeType)) || '';
+}
+
+const extensionOf = (mimeType) => (mimeType.startsWith('video/mp4') ? 'mp4' : 'webm');
+
+// Only characters the server accepts in file names
+const sanitize = (text) => text.replace(/[^A-Za-z0-9_-]/g, '_');
+
+/**
+ * SessionRecorder records what a DroneStream shows with MediaRecorder, and keeps the connection states
+ * and link quality samples of the session for a sidecar JSON file next to the recording
+ */
+export class SessionRecorder {
+    /**
+    * @param {DroneStream} stream The stream to record
+    */
+    constructor(stream) {
+        this.stream = stream;
+        this.recorder = null;
+        this.chunks = [];
+        this.startedAt = null;
+        this.events = [];
+        this.linkQuality = [];
+        this.unsubscribe = [];
+        this.stopped = null;
+    }
+
+    get isRecording() {
+        return !!this.recorder && this.recorder.state !== 'inactive';
+    }
+
+    start() {
+        if (this.isRecording) {
+            log.warn('Already recording drone', this.stream.droneSocketID);
+            return;
+        }
+        // The media shown in the tile, i.e. streamObj.srcObject
+        const mediaStream = this.stream.mediaStream;
+        if (!mediaStream) {
+            throw new Error('The stream has no media to record yet');
+        }
+
+        const mimeType = pickMimeType();
+        this.recorder = new MediaRecorder(mediaStream, mimeType ? { mimeType } : {});
+        this.chunks = [];
+        this.events = [];
+        this.linkQuality = [];
+        this.startedAt = Date.now();
+
+        this.unsubscribe = [
+            this.stream.onStateChange((event) => {
+                this.events.push({ time: Date.now(), ...event });
+                // Nothing will arrive any more
+                if (event.state === 'closed') {
+                    this.stop();
+                }
+            }),
+            this.stream.onLinkQuality((quality) => this.linkQuality.push(quality)),
+        ];
+
+        this.stopped = new Promise((resolve) => {
+            this.recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    this.chunks.push(event.data);
+                }
+            };
+            this.recorder.onstop = () => resolve(this.finish());
+        });
+        this.recorder.start(RECORDING_TIMESLICE_MS);
+        this.events.push({ time: this.startedAt, state: this.stream.state });
+        log.info(`Recording drone ${this.stream.droneSocketID} as ${this.recorder.mimeType || 'the default format'}`);
+    }
+
+    /**
+    * Stops recording
+    * @returns {Promise<Object>} The recording, see finish(), or null if nothing was recorded
+    */
+    stop() {
+        if (!this.recorder) {
+            return Promise.resolve(null);
+        }
+        if (this.isRecording) {
+            this.recorder.stop();
+        }
+        return this.stopped;
+    }
+
+    finish() {
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+        this.unsubscribe = [];
+
+        const stoppedAt = Date.now();
+        const mimeType = this.recorder.mimeType || (this.chunks[0] && this.chunks[0].type) || 'video/webm';
+        const blob = new Blob(this.chunks, { type: mimeType });
+        const baseName = `${sanitize(this.stream.droneSocketID)}-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}`;
+        const fileName = `${baseName}.${extensionOf(mimeType)}`;
+
+        const sidecar = {
+            droneID: this.stream.droneSocketID,
+            recording: fileName,
+            mimeType,
+            bytes: blob.size,
+            startedAt: new Date(this.startedAt).toISOString(),
+            stoppedAt: new Date(stoppedAt).toISOString(),
+            durationMs: stoppedAt - this.startedAt,
+            preferredCodecs: this.stream.preferredCodecs,
+            mediaRequest: this.stream.mediaRequest,
+            // Connection states with the time they were entered, in ms since the epoch
+            connection: this.events,
+            // Link quality samples, see computeLinkQuality in LinkQuality.js
+            linkQuality: this.linkQuality,
+        };
+
+        this.recorder = null;
+        return {
+            fileName,
+            blob,
+            sidecarName: `${baseName}.json`,
+            sidecar: new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }),
+        };
+    }
+}
+
+const saveAs = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before the blob is released
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+/**
+ * Downloads a recording and its sidecar file
+ * @param {Object} recording A result of SessionRecorder.stop()
+ */
+export function downloadRecording(recording) {
+    saveAs(recording.blob, recording.fileName);
+    saveAs(recording.sidecar, recording.sidecarName);
+}
+
+/**
+ * Uploads a file in chunks with `PUT <url>/<name>?offset=<bytes>`, resuming where the server left
+ * off when it reports a different size (409), see server/recordings.js
+ * @param {Blob} blob The file
+ * @param {String} name The file name
+ * @param {Object} options url of the recordings endpoint, the token to authenticate with,
+ * chunkBytes and an onProgress(uploadedBytes, totalBytes) callback
+ */
+export async function uploadFile(blob, name, { url, token, chunkBytes = UPLOAD_CHUNK_BYTES, onProgress = () => {} }) {
+    let offset = 0;
+    let conflicts = 0;
+    for (;;) {
+        const end = Math.min(offset + chunkBytes, blob.size);
+        const last = end === blob.size;
+        const response = await fetch(`${url}/${encodeURIComponent(name)}?offset=${offset}${last ? '&last=1' : ''}`, {
+            method: 'PUT',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/octet-stream' },
+            body: blob.slice(offset, end),
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 409 && typeof result.size === 'number' && conflicts++ < 3) {
+            offset = result.size;
+            continue;
+        }
+        if (!response.ok) {
+            throw new Error(`Uploading ${name} failed: ${result.error || response.status}`);
+        }
+        offset = end;
+        onProgress(offset, blob.size);
+        if (last) {
+            return;
+        }
+    }
+}
+
+/**
+ * Uploads a recording and its sidecar file
+ * @param {Object} recording A result of SessionRecorder.stop()
+ * @param {Object} options See uploadFile
+ */
+export async function uploadRecording(recording, options) {
+    await uploadFile(recording.blob, recording.fileName, options);
+    await uploadFile(recording.sidecar, recording.sidecarName, { ...options, onProgress: undefined });
+}
@@ -0,0 +1,143 @@
+import { SessionRecorder, uploadFile } from './SessionRecorder';
+
+class FakeMediaRecorder {
+    static isTypeSupported(mimeType) {
+        return mimeType === 'video/webm;codecs=vp8,opus';
+    }
+
+    constructor(stream, options) {
+        this.stream = stream;
+        this.mimeType = options.mimeType;
+        this.state = 'inactive';
+        FakeMediaRecorder.last = this;
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    emit(text) {
+        this.ondataavailable({ data: new Blob([text]) });
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.onstop();
+    }
+}
+
+const readText = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+function fakeStream() {
+    const stateListeners = new Set();
+    const linkQualityListeners = new Set();
+    return {
+        droneSocketID: 'drone:1',
+        state: 'connected',
+        mediaStream: { id: 'gimbal' },
+        preferredCodecs: ['VP8'],
+        mediaRequest: null,
+        onStateChange(listener) {
+            stateListeners.add(listener);
+            return () => stateListeners.delete(listener);
+        },
+        onLinkQuality(listener) {
+            linkQualityListeners.add(listener);
+            return () => linkQualityListeners.delete(listener);
+        },
+        setState(event) {
+            stateListeners.forEach((listener) => listener(event));
+        },
+        sample(quality) {
+            linkQualityListeners.forEach((listener) => listener(quality));
+        },
+    };
+}
+
+beforeEach(() => {
+    global.MediaRecorder = FakeMediaRecorder;
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 0, 2, 3, 4, 5));
+});
+
+describe('SessionRecorder', () => {
+    test('records the media of the stream with a sidecar of the session', async () => {
+        const stream = fakeStream();
+        const recorder = new SessionRecorder(stream);
+        recorder.start();
+        expect(FakeMediaRecorder.last.stream).toBe(stream.mediaStream);
+        expect(FakeMediaRecorder.last.mimeType).toBe('video/webm;codecs=vp8,opus');
+
+        FakeMediaRecorder.last.emit('abc');
+        stream.sample({ timestamp: 1, bitrateKbps: 900 });
+        stream.setState({ state: 'reconnecting', attempt: 1, method: 'ice_restart' });
+        FakeMediaRecorder.last.emit('def');
+        const recording = await recorder.stop();
+
+        expect(recording.fileName).toBe('drone_1-2024-01-02T03-04-05-000Z.webm');
+        expect(await readText(recording.blob)).toBe('abcdef');
+        const sidecar = JSON.parse(await readText(recording.sidecar));
+        expect(recording.sidecarName).toBe('drone_1-2024-01-02T03-04-05-000Z.json');
+        expect(sidecar).toMatchObject({
+            droneID: 'drone:1',
+            recording: recording.fileName,
+            bytes: 6,
+            startedAt: '2024-01-02T03:04:05.000Z',
+            preferredCodecs: ['VP8'],
+            linkQuality: [{ timestamp: 1, bitrateKbps: 900 }],
+        });
+        expect(sidecar.connection.map((event) => event.state)).toEqual(['connected', 'reconnecting']);
+
+        // Samples after the recording are not added any more
+        stream.sample({ timestamp: 2 });
+        expect(recorder.linkQuality).toHaveLength(1);
+    });
+
+    test('stops when the stream is closed', async () => {
+        const stream = fakeStream();
+        const recorder = new SessionRecorder(stream);
+        recorder.start();
+        stream.setState({ state: 'closed' });
+        expect(recorder.isRecording).toBe(false);
+        expect((await recorder.stopped).fileName).toMatch(/\.webm$/);
+    });
+
+    test('cannot record before media arrived', () => {
+        const recorder = new SessionRecorder({ ...fakeStream(), mediaStream: null });
+        expect(() => recorder.start()).toThrow(/no media to record/);
+    });
+});
+
+test('uploadFile sends chunks and resumes where the server left off', async () => {
+    const requests = [];
+    const responses = [
+        { status: 200, body: { size: 4 } },
+        { status: 409, body: { error: 'conflict', size: 6 } },
+        { status: 200, body: { size: 10 } },
+    ];
+    global.fetch = jest.fn(async (url, options) => {
+        requests.push({ url, size: options.body.size, authorization: options.headers.Authorization });
+        const { status, body } = responses.shift();
+        return { status, ok: status === 200, json: async () => body };
+    });
+    const progress = [];
+
+    await uploadFile(new Blob(['0123456789']), 'drone1.webm', {
+        url: 'http://localhost:8091/recordings',
+        token: 'secret',
+        chunkBytes: 4,
+        onProgress: (sent, total) => progress.push([sent, total]),
+    });
+
+    expect(requests.map((request) => [request.url.split('/').pop(), request.size])).toEqual([
+        ['drone1.webm?offset=0', 4],
+        ['drone1.webm?offset=4', 4],
+        ['drone1.webm?offset=6&last=1', 4],
+    ]);
+    expect(requests[0].authorization).toBe('Bearer secret');
+    expect(progress).toEqual([[4, 10], [10, 10]]);
+});
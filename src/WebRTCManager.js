@@ -1,12 +1,39 @@
 import { ROS2ImageStreamer } from './ROS2ImageStreamer';
+import { ROS2AudioStreamer } from './ROS2AudioStreamer';
+import { ROS2DataBridge } from './ROS2DataBridge';
+import { DATA_CHANNELS, DATA_ENCODINGS, createDataChannels, encodeMessage } from './DataChannels';
+import { LinkQualityMonitor } from './LinkQuality';
+import { VIDEO_CODECS, sortCodecs } from './MediaPreferences';
 
-const iceConfiguration = {
+// Version of the signaling protocol spoken with server/wss.js
+export const SIGNALING_PROTOCOL_VERSION = 1;
+
+// Only used when the signaling server does not answer our ICE configuration request
+const fallbackIceConfiguration = {
     iceServers: [
         {
             urls: 'stun:stun.l.google.com:19302'
         }
     ]
 }
+// How a DroneStream tries to recover a broken link: the first attempts restart ICE on the existing
+// peer connection, later ones replace the peer connection, with exponential backoff in between
+const RECONNECT_POLICY = {
+    disconnectedGraceMs: 2000, // 'disconnected' often recovers on its own, give it a moment
+    iceRestartAttempts: 2,
+    maxAttempts: 6,
+    baseDelayMs: 1000,
+    maxDelayMs: 15000,
+    attemptTimeoutMs: 8000, // give up on an attempt that has not connected after this long
+};
+// How long to wait for the signaling server's ICE configuration
+const ICE_CONFIG_TIMEOUT_MS = 3000;
+// Refresh the ICE configuration this long before its TURN credentials expire
+const ICE_CONFIG_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Browsers hand out a new RTCSessionDescription on every read of remoteDescription, so descriptions
+// are compared by what they hold
+const sameDescription = (a, b) => (a && a.type) === (b && b.type) && (a && a.sdp) === (b && b.sdp);
 
 class KeyError extends Error {
     constructor(message) {
@@ -18,6 +45,8 @@ class KeyError extends Error {
 export class DroneStreamManager {
     static ongoingStreams = {};
     static socket = null;
+    static iceConfiguration = null;
+    static pendingIceConfiguration = null;
 
     /**
     * Returns the handle to the drone stream, but will throw an exception if the droneID is invalid
@@ -33,24 +62,135 @@ export class DroneStreamManager {
         }
     }
 
-    static setupSocketEvent(socket, droneID) {
+    static onIncomingOffer = null;
+
+    /**
+    * Routes the signaling messages received on the socket to the stream of the drone that sent them.
+    * Listens next to the socket's other message handlers instead of replacing them.
+    * @param {WebSocket} socket The signaling socket
+    */
+    static setupSocketEvent(socket) {
+        if (this.socket === socket) {
+            return;
+        }
         this.socket = socket;
         console.log('setupSocketEvent set');
-        socket.onmessage = (message) => {
+        socket.addEventListener('message', (message) => {
             console.log(`onMessage ${message.data}`);
             const data = JSON.parse(message.data);
-            if (data.event === 'webrtc_msg') {
-                console.log('setupSocketEvent webrtc_msg message');
-                const droneStream = this.getStreamByDroneID(droneID);
+            if (data.event === 'ice_config') {
+                this.handleIceConfiguration(data.data);
+            }
+            else if (data.event === 'webrtc_msg') {
+                // The signaling server stamps relayed messages with the socketID of the sender
+                const droneID = data.data.socketID;
+                let droneStream = this.ongoingStreams[droneID];
+                if (!droneStream && data.data.type === 'offer') {
+                    droneStream = this.handleIncomingOffer(droneID);
+                }
+                if (!droneStream) {
+                    console.warn("Ignoring webrtc_msg from " + droneID + ", there is no stream for it");
+                    return;
+                }
+                console.log("Found drone " + droneID + " that is receiving a webrtc_msg");
                 droneStream.handleIncomingSocketMsg(data.data);
-                console.log("Found drone " + droneStream + " that is receiving a webrtc_msg (" + data.data.socketID + ")");
             }
-        };
+        });
     }
 
-    static createDroneStream(droneID, videoTagID) {
-        // TODO: Prevent streams from getting instantiated if they are already ongoing
-        let stream = new DroneStream(droneID, videoTagID);
+    /**
+    * Asks the onIncomingOffer handler for a stream to answer a drone that started a session itself
+    * @param {String} droneID The socket id of the drone that sent the offer
+    * @returns {DroneStream|null} The stream to answer with, or null if the offer is declined
+    */
+    static handleIncomingOffer(droneID) {
+        if (!this.onIncomingOffer) {
+            return null;
+        }
+        const stream = this.onIncomingOffer(droneID);
+        if (!stream) {
+            console.log("Declined offer from drone " + droneID);
+        }
+        return stream || null;
+    }
+
+    /**
+    * Returns the RTCConfiguration served by the signaling server, requesting a fresh one when the
+    * cached TURN credentials are about to expire
+    * @returns {Promise<Object>} The configuration to create RTCPeerConnections with
+    */
+    static getIceConfiguration() {
+        const cached = this.iceConfiguration;
+        if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > ICE_CONFIG_REFRESH_MARGIN_MS)) {
+            const { expiresAt, ...rtcConfiguration } = cached;
+            return Promise.resolve(rtcConfiguration);
+        }
+        if (!this.pendingIceConfiguration) {
+            this.pendingIceConfiguration = new Promise((resolve) => {
+                this.resolveIceConfiguration = resolve;
+                this.socket.send(JSON.stringify({ v: SIGNALING_PROTOCOL_VERSION, event: 'get_ice_config' }));
+                setTimeout(() => {
+                    if (this.resolveIceConfiguration === resolve) {
+                        console.warn('Signaling server did not send an ICE configuration, using the fallback STUN server');
+                        this.handleIceConfiguration(null);
+                    }
+                }, ICE_CONFIG_TIMEOUT_MS);
+            });
+        }
+        return this.pendingIceConfiguration;
+    }
+
+    static handleIceConfiguration(config) {
+        const { expiresAt, ...rtcConfiguration } = config || fallbackIceConfiguration;
+        // The fallback is not cached, so the next stream asks the server again
+        if (config) {
+            this.iceConfiguration = config;
+        }
+        if (this.resolveIceConfiguration) {
+            this.resolveIceConfiguration(rtcConfiguration);
+        }
+        this.resolveIceConfiguration = null;
+        this.pendingIceConfiguration = null;
+    }
+
+    /**
+    * Renegotiates the stream of a drone that came back after a signaling disconnect
+    * @param {String} droneID The socket id of the drone that resumed its session
+    */
+    static handlePeerResumed(droneID) {
+        if (droneID in this.ongoingStreams) {
+            console.log("Drone " + droneID + " resumed its session, renegotiating");
+            this.ongoingStreams[droneID].restart();
+        }
+    }
+
+    /**
+    * Tears down the stream of a drone the signaling server reported as gone
+    * @param {String} droneID The socket id of the drone that left
+    * @returns {Boolean} true if a stream was closed
+    */
+    static handlePeerLeft(droneID) {
+        if (!(droneID in this.ongoingStreams)) {
+            return false;
+        }
+        console.log("Drone " + droneID + " left, closing its stream");
+        this.closeDroneStream(droneID);
+        return true;
+    }
+
+    /**
+    * Creates the stream of a drone, the caller either starts it with startDroneStream or lets the drone send the offer
+    * @param {String} droneID The socket id of the drone
+    * @param {String} [videoTagID] The id of the HTML Video tag to render the stream to, or attach one later with attachVideo
+    * @param {Object} [options] Passed to DroneStream, e.g. { polite: false }
+    * @returns {DroneStream} The new stream, or the existing one if the drone already has a stream
+    */
+    static createDroneStream(droneID, videoTagID, options) {
+        if (droneID in this.ongoingStreams) {
+            console.warn("Drone " + droneID + " already has a stream, reusing it");
+            return this.ongoingStreams[droneID];
+        }
+        let stream = new DroneStream(droneID, videoTagID, options);
         this.ongoingStreams[droneID] = stream;
         return stream;
     }
@@ -60,14 +200,8 @@ export class DroneStreamManager {
         console.log("Closing drone stream for " + droneID);
         let stream = this.getStreamByDroneID(droneID);
         
-        // Stop ROS2 streaming if active
-        if (stream.ros2Streamer) {
-            stream.ros2Streamer.disconnect();
-        }
-        
-        stream.peerConnection.close();
+        stream.close();
         delete this.ongoingStreams[droneID];
-        stream.peerConnection = null;
         stream = null;
     }
 }
@@ -76,86 +210,624 @@ class DroneStream {
     /**
     * Returns the encapsulated variables and functions used for streaming video from a drone
     * @param {String} droneSocketID The socket id of the drone to establish a P2P connection to
-    * @param {String} srcID The id of the HTML Video tag to render the result to
+    * @param {String} [srcID] The id of the HTML Video tag to render the result to
+    * @param {Object} [options]
+    * @param {Boolean} [options.polite] Whether we give way when both sides send an offer at the same time,
+    * true by default so the drone always wins
+    * @param {String} [options.dataEncoding] Encoding of the data channel messages we send, 'json' or 'cbor'
+    * @param {Boolean} [options.ros2Enabled] Whether to publish the video to ROS2, see setROS2Enabled
+    * @param {Number} [options.ros2FrameRate] Frames per second captured for ROS2
+    * @param {String} [options.ros2Namespace] Namespace of the ROS2 topics the frames and data channels are bridged to,
+    * e.g. the drone's name for /<name>/camera/image_raw/compressed, the drone's socket id by default
+    * @param {Object} [options.ros2Adaptive] Bounds of the adaptive quality of the frames published to ROS2,
+    * null for a fixed frame rate, see setROS2Adaptive
+    * @param {Boolean} [options.ros2AudioEnabled] Whether to publish the audio to ROS2, see setROS2AudioEnabled
+    * @param {Array} [options.preferredCodecs] Video codecs to prefer, see setPreferredCodecs
     */
-    constructor(droneSocketID, srcID) {
+    constructor(droneSocketID, srcID, {
+        polite = true,
+        dataEncoding = 'json',
+        ros2Enabled = true,
+        ros2FrameRate = 10,
+        ros2Namespace = null,
+        ros2Adaptive = null,
+        ros2AudioEnabled = false,
+        preferredCodecs = [],
+    } = {}) {
+        if (!DATA_ENCODINGS.includes(dataEncoding)) {
+            throw new Error(`Unknown data channel encoding '${dataEncoding}'`);
+        }
         this.droneSocketID = droneSocketID;
-        this.streamObj = document.getElementById(srcID);
+        this.streamObj = srcID ? document.getElementById(srcID) : null;
+        // The media received from the drone, kept so a video element attached later can show it
+        this.mediaStream = null;
+        this.ros2Enabled = ros2Enabled;
+        this.ros2FrameRate = ros2FrameRate;
+        this.ros2Namespace = ros2Namespace || droneSocketID;
+        this.ros2Adaptive = ros2Adaptive;
         this.ros2Streamer = null;
+        this.ros2StreamerTimer = null;
+        // The remote audio track, published to ROS2 independently of the video
+        this.audioTrack = null;
+        this.ros2AudioEnabled = ros2AudioEnabled;
+        this.ros2AudioStreamer = null;
+        this.ros2Bridge = null;
+
+        // Commands and telemetry, see DATA_CHANNELS
+        this.dataEncoding = dataEncoding;
+        this.dataChannels = null;
+        this.dataListeners = new Set();
+
+        // Sampled from getStats() once connected, see LinkQuality.js
+        this.linkQuality = null;
+        this.linkQualityListeners = new Set();
+
+        // Codec preferences and the resolution and bitrate limits last asked of the drone
+        this.validateCodecs(preferredCodecs);
+        this.preferredCodecs = preferredCodecs;
+        this.mediaRequest = null;
+        this.linkQualityMonitor = new LinkQualityMonitor(() => this.peerConnection, (quality) => this.handleLinkQuality(quality));
+
+        // Perfect negotiation state, see https://w3c.github.io/webrtc-pc/#perfect-negotiation-example
+        this.polite = polite;
+        this.makingOffer = false;
+        this.ignoreOffer = false;
+        this.isSettingRemoteAnswerPending = false;
+        // Incoming messages are handled one at a time, so a candidate never overtakes its offer
+        this.incomingMessages = Promise.resolve();
+
+        // Link state as reported to onStateChange listeners
+        this.state = 'connecting';
+        this.stateListeners = new Set();
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.attemptTimer = null;
+        this.closed = false;
+
+        this.ready = this.createPeerConnection();
+    }
+
+    /**
+    * Registers a listener for link state changes
+    * @param {Function} listener Called with { state, attempt, method, delay } where state is one of
+    * 'connecting', 'connected', 'reconnecting', 'failed' or 'closed'
+    * @returns {Function} Removes the listener again
+    */
+    onStateChange(listener) {
+        this.stateListeners.add(listener);
+        return () => this.stateListeners.delete(listener);
+    }
 
-        this.createPeerConnection();
+    setState(state, details = {}) {
+        this.state = state;
+        const event = { state, attempt: this.reconnectAttempt, ...details };
+        this.stateListeners.forEach((listener) => listener(event));
     }
 
     sendMessage(message) {
         console.log('Client sending message: ' + message + " to drone ID: " + this.droneSocketID);
-        DroneStreamManager.socket.send(JSON.stringify({ event: 'webrtc_msg', socketID: this.droneSocketID, data: message }));
+        DroneStreamManager.socket.send(JSON.stringify({ v: SIGNALING_PROTOCOL_VERSION, event: 'webrtc_msg', socketID: this.droneSocketID, data: message }));
     }
 
+    /**
+    * Queues a signaling message from the drone: an offer, an answer or an ICE candidate
+    * @param {Object} message The data of the webrtc_msg
+    * @returns {Promise} Resolves once the message has been handled
+    */
     handleIncomingSocketMsg(message) {
+        this.incomingMessages = this.incomingMessages
+            .then(() => this.processIncomingSocketMsg(message))
+            .catch((error) => console.log('Failed to handle ' + message.type + ' from drone ' + this.droneSocketID + ':', error));
+        return this.incomingMessages;
+    }
+
+    async processIncomingSocketMsg(message) {
         // This client receives a message
         console.log('Client received message:', message);
-        // An 'answer' is the response of another client after making an 'offer'. 
-        if (message.type === 'answer') {
-            this.peerConnection.setRemoteDescription(new RTCSessionDescription(message));
+        await this.ready;
+        const peerConnection = this.peerConnection;
+        if (!peerConnection) {
+            return;
+        }
+
+        if (message.type === 'offer' || message.type === 'answer') {
+            // An offer while we are making one of our own is a collision, the impolite side ignores it
+            const readyForOffer = !this.makingOffer
+                && (peerConnection.signalingState === 'stable' || this.isSettingRemoteAnswerPending);
+            const offerCollision = message.type === 'offer' && !readyForOffer;
+            this.ignoreOffer = !this.polite && offerCollision;
+            if (this.ignoreOffer) {
+                console.log('Ignoring colliding offer from drone ' + this.droneSocketID);
+                return;
+            }
+
+            // The polite side's pending offer is rolled back implicitly by setRemoteDescription
+            this.isSettingRemoteAnswerPending = message.type === 'answer';
+            await peerConnection.setRemoteDescription(new RTCSessionDescription({ type: message.type, sdp: message.sdp }));
+            this.isSettingRemoteAnswerPending = false;
+
+            if (message.type === 'offer') {
+                // Created now they are part of our answer, without triggering a negotiation of their own
+                this.ensureDataChannels();
+                this.applyCodecPreferences();
+                const answer = await peerConnection.createAnswer();
+                await peerConnection.setLocalDescription(answer);
+                this.sendMessage(peerConnection.localDescription);
+            }
         }
         else if (message.type === 'candidate') {
             var candidate = new RTCIceCandidate({
                 sdpMLineIndex: message.label,
+                sdpMid: message.id,
                 candidate: message.candidate
             });
-            this.peerConnection.addIceCandidate(candidate);
-        }
-    }
-
-    startDroneStream() {
-        this.peerConnection.createOffer()
-            .then((offer) => {
-                console.log("WebRTC offer created: " + offer);
-                return this.peerConnection.setLocalDescription(offer); // IMPORTANT: Remember to return this Promise
-            })
-            .then(() => {
-                console.log("WebRTC local description set: " + this.peerConnection.localDescription);
-                this.sendMessage(this.peerConnection.localDescription);
-            })
-            .catch((reason) => {
-                // An error occurred, so handle the failure to connect
-                console.log('createOffer() error: ', reason);
-            });
+            try {
+                await peerConnection.addIceCandidate(candidate);
+            } catch (error) {
+                // Candidates belonging to an offer we ignored are expected to fail
+                if (!this.ignoreOffer) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+    * Starts the stream by asking the drone for its video and audio
+    * @param {Object} [offerOptions] Passed to createOffer, e.g. { iceRestart: true }
+    */
+    startDroneStream(offerOptions) {
+        this.ready.then(() => {
+            this.ensureDataChannels();
+            if (this.peerConnection.getTransceivers().length === 0) {
+                // Adding the transceivers fires negotiationneeded, which sends the offer
+                this.peerConnection.addTransceiver('video', { 'direction': 'recvonly' }); // Only accept video, don't send it
+                this.peerConnection.addTransceiver('audio', { 'direction': 'recvonly' }); // Only accept audio, don't send it
+                this.applyCodecPreferences();
+            }
+            else {
+                this.negotiate(offerOptions);
+            }
+        }).catch((error) => console.log('Failed to start stream to drone ' + this.droneSocketID + ':', error));
+    }
+
+    /**
+    * Sends an offer to the drone, unless the drone's offer arrives first
+    * @param {Object} [offerOptions] Passed to createOffer, e.g. { iceRestart: true }
+    */
+    async negotiate(offerOptions) {
+        const peerConnection = this.peerConnection;
+        const remoteDescription = peerConnection.remoteDescription;
+        try {
+            this.makingOffer = true;
+            const offer = await peerConnection.createOffer(offerOptions);
+            // The drone's offer may have been applied while we were creating ours, which makes ours stale
+            if (peerConnection.signalingState !== 'stable' || !sameDescription(peerConnection.remoteDescription, remoteDescription)) {
+                console.log('Not sending offer, the drone renegotiated in the meantime');
+                return;
+            }
+            await peerConnection.setLocalDescription(offer);
+            console.log("WebRTC local description set: " + peerConnection.localDescription);
+            this.sendMessage(peerConnection.localDescription);
+        } catch (reason) {
+            // An error occurred, so handle the failure to connect
+            console.log('createOffer() error: ', reason);
+        } finally {
+            this.makingOffer = false;
+        }
+    }
+
+    validateCodecs(codecs) {
+        const unknown = codecs.filter((codec) => !VIDEO_CODECS.includes(codec));
+        if (unknown.length) {
+            throw new Error(`Unknown video codecs ${unknown.join(', ')}, use ${VIDEO_CODECS.join(', ')}`);
+        }
+    }
+
+    /**
+    * Sets the video codecs we prefer to receive and renegotiates if the stream is already running
+    * @param {Array} codecs Names from VIDEO_CODECS ('H264', 'VP8', 'VP9', 'AV1'), most preferred first,
+    * or an empty array to accept the drone's choice
+    */
+    setPreferredCodecs(codecs) {
+        this.validateCodecs(codecs);
+        this.preferredCodecs = codecs;
+        const peerConnection = this.peerConnection;
+        if (peerConnection && this.applyCodecPreferences() && peerConnection.remoteDescription) {
+            this.negotiate();
+        }
+    }
+
+    /**
+    * Orders the codecs of the video transceivers by preference
+    * @returns {Boolean} false if the browser does not support codec preferences
+    */
+    applyCodecPreferences() {
+        const capabilities = typeof RTCRtpReceiver !== 'undefined' && RTCRtpReceiver.getCapabilities
+            && RTCRtpReceiver.getCapabilities('video');
+        if (!capabilities) {
+            console.warn('This browser cannot set codec preferences, the drone picks the codec');
+            return false;
+        }
+        const codecs = sortCodecs(capabilities.codecs, this.preferredCodecs);
+        this.peerConnection.getTransceivers()
+            .filter((transceiver) => transceiver.receiver.track.kind === 'video' && transceiver.setCodecPreferences)
+            .forEach((transceiver) => transceiver.setCodecPreferences(codecs));
+        return true;
+    }
+
+    /**
+    * Asks the drone to limit the resolution and bitrate of its video, applying it is up to the drone
+    * @param {Object|null} request { maxWidth, maxHeight, maxBitrateKbps, maxFramerate }, any may be left out,
+    * or null to lift all limits
+    */
+    requestMedia(request) {
+        this.mediaRequest = request;
+        const { maxWidth = null, maxHeight = null, maxBitrateKbps = null, maxFramerate = null } = request || {};
+        this.sendMessage({ type: 'media_request', maxWidth, maxHeight, maxBitrateKbps, maxFramerate });
+    }
+
+    ensureDataChannels() {
+        if (this.dataChannels) {
+            return;
+        }
+        this.dataChannels = createDataChannels(this.peerConnection, (channel, message) => this.handleDataMessage(channel, message));
+        this.dataChannels.commands.onopen = () => {
+            console.log("Data channels to drone " + this.droneSocketID + " are open");
+            this.initializeROS2Bridge();
+        };
+    }
+
+    /**
+    * Registers a listener for messages the drone sends on its data channels
+    * @param {Function} listener Called with (channelName, message) where message is { type, data, ts }
+    * @returns {Function} Removes the listener again
+    */
+    onDataMessage(listener) {
+        this.dataListeners.add(listener);
+        return () => this.dataListeners.delete(listener);
+    }
+
+    handleDataMessage(channel, message) {
+        this.dataListeners.forEach((listener) => listener(channel, message));
+        if (this.ros2Bridge) {
+            this.ros2Bridge.forward(channel, message);
+        }
+    }
+
+    /**
+    * Sends a typed message to the drone
+    * @param {String} channel Name of the data channel, 'commands' or 'telemetry'
+    * @param {String} type The message type, e.g. 'command.takeoff'
+    * @param {*} [data] The payload
+    * @returns {Boolean} false if the channel is not open
+    */
+    sendData(channel, type, data) {
+        if (!(channel in DATA_CHANNELS)) {
+            throw new KeyError(`Unknown data channel '${channel}'`);
+        }
+        const dataChannel = this.dataChannels && this.dataChannels[channel];
+        if (!dataChannel || dataChannel.readyState !== 'open') {
+            console.log(`Data channel ${channel} to drone ${this.droneSocketID} is not open, dropping ${type}`);
+            return false;
+        }
+        dataChannel.send(encodeMessage({ type, data, ts: Date.now() }, this.dataEncoding));
+        return true;
+    }
+
+    async initializeROS2Bridge() {
+        if (this.ros2Bridge) {
+            return;
+        }
+        const bridge = new ROS2DataBridge(this.ros2Namespace);
+        bridge.onMessage((channel, message) => {
+            if (channel in DATA_CHANNELS) {
+                this.sendData(channel, message.type, message.data);
+            }
+        });
+        this.ros2Bridge = bridge;
+        try {
+            await bridge.connect();
+            console.log('Connected to ROS2 data bridge service');
+        } catch (error) {
+            console.warn('ROS2 data bridge service is not available, data channels are not bridged to ROS2');
+            this.ros2Bridge = null;
+        }
+    }
+
+    /**
+    * Replaces the peer connection with a fresh one and sends a new offer, keeping the attached ROS2 streamer
+    */
+    restart() {
+        if (this.peerConnection) {
+            this.peerConnection.close();
+        }
+        this.ready = this.createPeerConnection();
+        this.startDroneStream();
+    }
+
+    /**
+    * Schedules the next reconnection attempt according to RECONNECT_POLICY
+    * @param {Number} [minDelay] Wait at least this long before the attempt
+    */
+    scheduleReconnect(minDelay = 0) {
+        clearTimeout(this.attemptTimer);
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+        if (this.reconnectAttempt >= RECONNECT_POLICY.maxAttempts) {
+            console.log("Giving up reconnecting to drone " + this.droneSocketID);
+            this.setState('failed');
+            return;
+        }
+
+        const attempt = this.reconnectAttempt + 1;
+        const method = attempt <= RECONNECT_POLICY.iceRestartAttempts ? 'ice_restart' : 'new_connection';
+        const backoff = Math.min(RECONNECT_POLICY.baseDelayMs * 2 ** (attempt - 1), RECONNECT_POLICY.maxDelayMs);
+        const delay = Math.max(minDelay, backoff);
+
+        console.log(`Reconnecting to drone ${this.droneSocketID} in ${delay}ms (attempt ${attempt}, ${method})`);
+        this.setState('reconnecting', { attempt, method, delay });
+        if (this.ros2Streamer) {
+            this.ros2Streamer.pause();
+        }
+        if (this.ros2AudioStreamer) {
+            this.ros2AudioStreamer.pause();
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnectAttempt = attempt;
+            if (this.closed) {
+                return;
+            }
+            if (this.peerConnection && this.peerConnection.connectionState === 'connected') {
+                // Recovered while we were waiting
+                this.handleConnected();
+                return;
+            }
+
+            if (method === 'ice_restart') {
+                this.startDroneStream({ iceRestart: true });
+            }
+            else {
+                this.restart();
+            }
+            this.attemptTimer = setTimeout(() => {
+                if (this.state !== 'connected') {
+                    this.scheduleReconnect();
+                }
+            }, RECONNECT_POLICY.attemptTimeoutMs);
+        }, delay);
+    }
+
+    handleConnected() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.attemptTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.setState('connected');
+        this.linkQualityMonitor.start();
+        if (this.ros2Streamer) {
+            this.ros2Streamer.resume();
+        }
+        if (this.ros2AudioStreamer) {
+            this.ros2AudioStreamer.resume();
+        }
+    }
+
+    /**
+    * Registers a listener for link quality samples
+    * @param {Function} listener Called with every sample, see computeLinkQuality in LinkQuality.js
+    * @returns {Function} Removes the listener again
+    */
+    onLinkQuality(listener) {
+        this.linkQualityListeners.add(listener);
+        return () => this.linkQualityListeners.delete(listener);
+    }
+
+    /**
+    * Returns the latest link quality sample
+    * @returns {Object|null} bitrate, frames per second, jitter, packet loss, freeze count and round-trip time
+    */
+    getLinkQuality() {
+        return this.linkQuality;
+    }
+
+    handleLinkQuality(quality) {
+        this.linkQuality = quality;
+        this.linkQualityListeners.forEach((listener) => listener(quality));
+        // Published on ROS2 next to the images
+        if (this.ros2Streamer) {
+            this.ros2Streamer.sendLinkQuality(this.droneSocketID, quality);
+        }
+    }
+
+    /**
+    * Stops reconnecting, disconnects the ROS2 streamer and closes the peer connection
+    */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.attemptTimer);
+        this.linkQualityMonitor.stop();
+
+        // Stop ROS2 streaming if active
+        this.stopROS2Streaming();
+        this.stopROS2AudioStreaming();
+        if (this.ros2Bridge) {
+            this.ros2Bridge.disconnect();
+            this.ros2Bridge = null;
+        }
+
+        if (this.peerConnection) {
+            this.peerConnection.close();
+        }
+        this.peerConnection = null;
+        this.setState('closed');
     }
 
     handleOnTrack(event) {
-        this.streamObj.srcObject = event.streams[0];
+        const stream = event.streams[0] || new MediaStream([event.track]);
+        // A new video track replaces the picture (e.g. the drone switched cameras), audio joins it
+        if (event.track.kind === 'video' || !this.mediaStream) {
+            this.mediaStream = stream;
+        }
+        else if (this.mediaStream !== stream) {
+            this.mediaStream.addTrack(event.track);
+        }
+        if (this.streamObj) {
+            this.streamObj.srcObject = this.mediaStream;
+        }
         
         // Initialize ROS2 image streaming when video track is received
         this.initializeROS2Streaming();
+        if (event.track.kind === 'audio') {
+            this.audioTrack = event.track;
+            this.initializeROS2AudioStreaming();
+        }
         
         return false;
     }
 
-    async initializeROS2Streaming() {
-        try {
-            // Wait a bit for the video element to be ready
-            setTimeout(async () => {
-                console.log('Initializing ROS2 image streaming...');
-                
-                this.ros2Streamer = new ROS2ImageStreamer(this.streamObj);
-                
-                try {
-                    await this.ros2Streamer.connect();
-                    console.log('Connected to ROS2 image publisher service');
-                    
-                    // Start streaming at 10 FPS
-                    this.ros2Streamer.startStreaming(10);
-                    console.log('Started ROS2 image streaming at 10 FPS');
-                    
-                } catch (error) {
-                    console.error('Failed to connect to ROS2 image publisher service:', error);
-                    console.warn('Make sure the ROS2 image publisher service is running (npm run ros2-publisher)');
+    /**
+    * Renders the stream in a video element, e.g. once the element of a drone that sent an offer is mounted
+    * @param {HTMLVideoElement|null} videoElement The element, or null to detach
+    */
+    attachVideo(videoElement) {
+        if (this.streamObj === videoElement) {
+            return;
+        }
+        // The ROS2 streamer captures from the element, so it has to follow it
+        this.stopROS2Streaming();
+        this.streamObj = videoElement;
+        if (videoElement && this.mediaStream) {
+            videoElement.srcObject = this.mediaStream;
+            this.initializeROS2Streaming();
+        }
+    }
+
+    /**
+    * Starts or stops publishing the video of this stream to ROS2
+    * @param {Boolean} enabled Whether to publish
+    */
+    setROS2Enabled(enabled) {
+        this.ros2Enabled = enabled;
+        if (!enabled) {
+            this.stopROS2Streaming();
+        }
+        else if (this.mediaStream) {
+            this.initializeROS2Streaming();
+        }
+    }
+
+    setROS2FrameRate(frameRate) {
+        this.ros2FrameRate = frameRate;
+        if (this.ros2Streamer) {
+            this.ros2Streamer.setFrameRate(frameRate);
+        }
+    }
+
+    /**
+    * Lets the ROS2 streamer adapt frame rate, scale and quality to the link, or fixes them again
+    * @param {Object|null} settings Bounds and latency target, see DEFAULT_ADAPTIVE_SETTINGS in AdaptiveQuality.js
+    */
+    setROS2Adaptive(settings) {
+        this.ros2Adaptive = settings;
+        if (this.ros2Streamer) {
+            this.ros2Streamer.setAdaptive(settings);
+        }
+    }
+
+    stopROS2Streaming() {
+        clearTimeout(this.ros2StreamerTimer);
+        this.ros2StreamerTimer = null;
+        if (this.ros2Streamer) {
+            this.ros2Streamer.disconnect();
+            this.ros2Streamer = null;
+        }
+    }
+
+    initializeROS2Streaming() {
+        if (!this.ros2Enabled || !this.streamObj || this.ros2Streamer || this.ros2StreamerTimer || this.closed) {
+            // Already attached to the video element, a renegotiated track just replaces the source
+            return;
+        }
+        // Wait a bit for the video element to be ready
+        this.ros2StreamerTimer = setTimeout(async () => {
+            this.ros2StreamerTimer = null;
+            console.log('Initializing ROS2 image streaming...');
+
+            const ros2Streamer = new ROS2ImageStreamer(this.streamObj, undefined, this.ros2Namespace);
+            this.ros2Streamer = ros2Streamer;
+            ros2Streamer.setAdaptive(this.ros2Adaptive);
+
+            try {
+                await ros2Streamer.connect();
+                console.log('Connected to ROS2 image publisher service');
+
+                // Streaming may have been switched off while connecting
+                if (this.ros2Streamer !== ros2Streamer) {
+                    return;
+                }
+                ros2Streamer.startStreaming(this.ros2FrameRate);
+                console.log(`Started ROS2 image streaming at ${this.ros2FrameRate} FPS`);
+                if (this.state === 'reconnecting') {
+                    ros2Streamer.pause();
                 }
-            }, 1000);
-            
+            } catch (error) {
+                console.error('Failed to connect to ROS2 image publisher service:', error);
+                console.warn('Make sure the ROS2 image publisher service is running (npm run ros2-publisher)');
+            }
+        }, 1000);
+    }
+
+    /**
+    * Starts or stops publishing the audio of this stream to ROS2
+    * @param {Boolean} enabled Whether to publish
+    */
+    setROS2AudioEnabled(enabled) {
+        this.ros2AudioEnabled = enabled;
+        if (!enabled) {
+            this.stopROS2AudioStreaming();
+        }
+        else {
+            this.initializeROS2AudioStreaming();
+        }
+    }
+
+    stopROS2AudioStreaming() {
+        if (this.ros2AudioStreamer) {
+            this.ros2AudioStreamer.disconnect();
+            this.ros2AudioStreamer = null;
+        }
+    }
+
+    async initializeROS2AudioStreaming() {
+        if (!this.ros2AudioEnabled || !this.audioTrack || this.closed
+            || (this.ros2AudioStreamer && this.ros2AudioStreamer.track === this.audioTrack)) {
+            return;
+        }
+        // The drone replaced its audio track
+        this.stopROS2AudioStreaming();
+        console.log('Initializing ROS2 audio streaming...');
+
+        const ros2AudioStreamer = new ROS2AudioStreamer(this.audioTrack, this.droneSocketID, undefined, this.ros2Namespace);
+        this.ros2AudioStreamer = ros2AudioStreamer;
+        try {
+            await ros2AudioStreamer.connect();
+            // Streaming may have been switched off while connecting
+            if (this.ros2AudioStreamer !== ros2AudioStreamer) {
+                return;
+            }
+            await ros2AudioStreamer.startStreaming();
+            console.log('Started ROS2 audio streaming');
+            if (this.state === 'reconnecting') {
+                ros2AudioStreamer.pause();
+            }
         } catch (error) {
-            console.error('Error initializing ROS2 streaming:', error);
+            console.error('Failed to start ROS2 audio streaming:', error);
+            console.warn('Make sure the ROS2 image publisher service is running (npm run ros2-publisher)');
         }
     }
 
@@ -167,15 +839,18 @@ class DroneStream {
                 break;
             case "connected":
                 console.log("Online");
+                this.handleConnected();
                 break;
             case "disconnected":
                 console.log("Disconnecting…");
+                this.scheduleReconnect(RECONNECT_POLICY.disconnectedGraceMs);
                 break;
             case "closed":
                 console.log("Offline");
                 break;
             case "failed":
                 console.log("Error");
+                this.scheduleReconnect();
                 break;
             default:
                 console.log("Unknown");
@@ -183,10 +858,13 @@ class DroneStream {
         }
     }
 
-    createPeerConnection() {
+    async createPeerConnection() {
         try {
+            const iceConfiguration = await DroneStreamManager.getIceConfiguration();
             // NOTE: We will need one RTCPeerConnection for each drone we are connecting to
-            this.peerConnection = new RTCPeerConnection(iceConfiguration);  // Our P2P connection with another client (drone)
+            const peerConnection = new RTCPeerConnection(iceConfiguration);  // Our P2P connection with another client (drone)
+            this.peerConnection = peerConnection;
+            this.dataChannels = null;
             this.peerConnection.onicecandidate = (event) => {
                 if (event.candidate) {
                     this.sendMessage({
@@ -206,11 +884,18 @@ class DroneStream {
 
             // When we receive a stream from the other client
             this.peerConnection.ontrack = (event) => { this.handleOnTrack(event); };
-            this.peerConnection.onconnectionstatechange = (event) => { this.handleOnConnectionStateChange(event); }
-
-            // Configure transceivers to only receive, not send
-            this.peerConnection.addTransceiver('video', { 'direction': 'recvonly' }); // Only accept video, don't send it
-            this.peerConnection.addTransceiver('audio', { 'direction': 'recvonly' }); // Only accept audio, don't send it
+            // Fired when tracks are added on our side, the drone's additions arrive as offers
+            this.peerConnection.onnegotiationneeded = () => {
+                if (peerConnection === this.peerConnection) {
+                    this.negotiate();
+                }
+            };
+            this.peerConnection.onconnectionstatechange = (event) => {
+                // Ignore the connection we replaced during a reconnect
+                if (peerConnection === this.peerConnection) {
+                    this.handleOnConnectionStateChange(event);
+                }
+            }
 
             console.log("Created RTCPeerConnection: " + this.peerConnection);
         } catch (e) {
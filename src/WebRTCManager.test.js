@@ -0,0 +1,804 @@
+import { DroneStreamManager } from './WebRTCManager';
+import { decodeMessage, encodeMessage } from './DataChannels';
+
+// Stands in for the frame capture to the ROS2 image publisher service
+jest.mock('./ROS2ImageStreamer', () => ({
+    ROS2ImageStreamer: class {
+        static instances = [];
+
+        constructor(videoElement, websocketUrl, namespace) {
+            this.videoElement = videoElement;
+            this.namespace = namespace;
+            this.isStreaming = false;
+            this.constructor.instances.push(this);
+        }
+
+        async connect() {}
+
+        startStreaming(frameRate) {
+            this.isStreaming = true;
+            this.frameRate = frameRate;
+        }
+
+        setFrameRate(frameRate) {
+            this.frameRate = frameRate;
+        }
+
+        setAdaptive(settings) {
+            this.adaptive = settings;
+        }
+
+        pause() {}
+
+        resume() {}
+
+        sendLinkQuality(droneID, quality) {
+            this.linkQuality = [droneID, quality];
+        }
+
+        disconnect() {
+            this.isStreaming = false;
+            this.disconnected = true;
+        }
+    },
+}));
+
+// Stands in for the audio capture to the ROS2 publisher service
+jest.mock('./ROS2AudioStreamer', () => ({
+    ROS2AudioStreamer: class {
+        static instances = [];
+
+        constructor(track, droneID, websocketUrl, namespace) {
+            this.track = track;
+            this.droneID = droneID;
+            this.namespace = namespace;
+            this.isStreaming = false;
+            this.isPaused = false;
+            this.constructor.instances.push(this);
+        }
+
+        async connect() {}
+
+        async startStreaming() {
+            this.isStreaming = true;
+        }
+
+        pause() {
+            this.isPaused = true;
+        }
+
+        resume() {
+            this.isPaused = false;
+        }
+
+        disconnect() {
+            this.isStreaming = false;
+            this.disconnected = true;
+        }
+    },
+}));
+
+// Stands in for the WebSocket connection to the ROS2 data bridge service
+jest.mock('./ROS2DataBridge', () => ({
+    ROS2DataBridge: class {
+        static instances = [];
+
+        constructor(droneID) {
+            this.droneID = droneID;
+            this.forwarded = [];
+            this.constructor.instances.push(this);
+        }
+
+        async connect() {}
+
+        onMessage(listener) {
+            this.listener = listener;
+        }
+
+        forward(channel, message) {
+            this.forwarded.push([channel, message]);
+        }
+
+        disconnect() {
+            this.disconnected = true;
+        }
+    },
+}));
+
+/*
+ * Minimal stand-in for the browser's RTCPeerConnection. It follows the signaling state machine
+ * closely enough for negotiation to be tested, including the implicit rollback of a local offer
+ * when a remote offer is applied. Tests drive the connection state with setConnectionState().
+ */
+class FakePeerConnection {
+    static instances = [];
+
+    constructor(configuration) {
+        this.configuration = configuration;
+        this.connectionState = 'new';
+        this.signalingState = 'stable';
+        this.localDescription = null;
+        this.currentRemoteDescription = null;
+        this.offers = [];
+        this.transceivers = [];
+        this.candidates = [];
+        this.dataChannels = [];
+        this.stats = new Map();
+        this.negotiationNeededPending = false;
+        this.closed = false;
+        FakePeerConnection.instances.push(this);
+    }
+
+    // Like browsers, every read gives a new description object
+    get remoteDescription() {
+        return this.currentRemoteDescription && { ...this.currentRemoteDescription };
+    }
+
+    getTransceivers() {
+        return this.transceivers;
+    }
+
+    addTransceiver(kind, init) {
+        this.transceivers.push({
+            kind,
+            ...init,
+            receiver: { track: { kind } },
+            setCodecPreferences(codecs) {
+                this.codecPreferences = codecs;
+            },
+        });
+        this.needNegotiation();
+    }
+
+    createDataChannel(label, options) {
+        const channel = new FakeDataChannel(label, options);
+        this.dataChannels.push(channel);
+        // Only the first channel needs negotiation, unless it is created while answering an offer
+        if (this.dataChannels.length === 1 && this.signalingState === 'stable') {
+            this.needNegotiation();
+        }
+        return channel;
+    }
+
+    needNegotiation() {
+        if (!this.negotiationNeededPending) {
+            this.negotiationNeededPending = true;
+            Promise.resolve().then(() => {
+                this.negotiationNeededPending = false;
+                this.onnegotiationneeded({});
+            });
+        }
+    }
+
+    async createOffer(options) {
+        this.offers.push(options);
+        return { type: 'offer', sdp: `operator-offer-${this.offers.length}` };
+    }
+
+    async createAnswer() {
+        if (this.signalingState !== 'have-remote-offer') {
+            throw new Error(`createAnswer in state ${this.signalingState}`);
+        }
+        return { type: 'answer', sdp: `operator-answer-to-${this.remoteDescription.sdp}` };
+    }
+
+    async setLocalDescription(description) {
+        if (description.type === 'offer' && this.signalingState !== 'stable') {
+            throw new Error(`setLocalDescription(offer) in state ${this.signalingState}`);
+        }
+        this.localDescription = description;
+        this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+    }
+
+    async setRemoteDescription(description) {
+        if (description.type === 'answer' && this.signalingState !== 'have-local-offer') {
+            throw new Error(`setRemoteDescription(answer) in state ${this.signalingState}`);
+        }
+        if (description.type === 'offer' && this.signalingState === 'have-local-offer') {
+            // Implicit rollback
+            this.localDescription = null;
+        }
+        this.currentRemoteDescription = description;
+        this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+    }
+
+    async addIceCandidate(candidate) {
+        if (!this.remoteDescription) {
+            throw new Error('addIceCandidate without a remote description');
+        }
+        this.candidates.push(candidate);
+    }
+
+    async getStats() {
+        return this.stats;
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    setConnectionState(state) {
+        this.connectionState = state;
+        this.onconnectionstatechange({});
+    }
+}
+
+class FakeDataChannel {
+    constructor(label, options) {
+        this.label = label;
+        this.options = options;
+        this.readyState = 'connecting';
+        this.sent = [];
+    }
+
+    send(frame) {
+        this.sent.push(frame);
+    }
+
+    open() {
+        this.readyState = 'open';
+        this.onopen({});
+    }
+}
+
+/*
+ * Plays the drone's side of the signaling: delivers messages through the socket handler installed
+ * by DroneStreamManager.setupSocketEvent, stamped with the drone's socketID like the server does.
+ */
+class ScriptedDrone {
+    constructor(socket, socketID = 'drone1') {
+        this.socket = socket;
+        this.socketID = socketID;
+    }
+
+    send(message) {
+        this.socket.listener({ data: JSON.stringify({ v: 1, event: 'webrtc_msg', data: { ...message, socketID: this.socketID } }) });
+    }
+
+    offer(sdp) {
+        this.send({ type: 'offer', sdp });
+    }
+
+    answer(sdp) {
+        this.send({ type: 'answer', sdp });
+    }
+
+    candidate(candidate) {
+        this.send({ type: 'candidate', label: 0, id: '0', candidate });
+    }
+}
+
+const flushPromises = async () => {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+};
+
+let sent;
+let socket;
+let drone;
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    FakePeerConnection.instances = [];
+    global.RTCPeerConnection = FakePeerConnection;
+    global.RTCSessionDescription = function RTCSessionDescription(init) { Object.assign(this, init); };
+    global.RTCIceCandidate = function RTCIceCandidate(init) { Object.assign(this, init); };
+    global.RTCRtpReceiver = {
+        getCapabilities: () => ({ codecs: ['VP8', 'VP9', 'H264', 'AV1'].map((name) => ({ mimeType: `video/${name}` })) }),
+    };
+
+    sent = [];
+    socket = {
+        send: (message) => sent.push(JSON.parse(message)),
+        addEventListener(type, listener) {
+            this.listener = listener;
+        },
+    };
+    DroneStreamManager.setupSocketEvent(socket);
+    DroneStreamManager.iceConfiguration = { iceServers: [], expiresAt: null };
+    DroneStreamManager.ongoingStreams = {};
+    DroneStreamManager.onIncomingOffer = null;
+    drone = new ScriptedDrone(socket);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+async function startStream() {
+    const stream = DroneStreamManager.createDroneStream('drone1', 'video');
+    const states = [];
+    stream.onStateChange((event) => states.push(event));
+    stream.startDroneStream();
+    await flushPromises();
+    return { stream, states };
+}
+
+describe('DroneStream reconnection', () => {
+    test('restarts ICE first, then replaces the peer connection with backoff', async () => {
+        const { stream, states } = await startStream();
+        const first = FakePeerConnection.instances[0];
+
+        first.setConnectionState('failed');
+        expect(states.pop()).toMatchObject({ state: 'reconnecting', attempt: 1, method: 'ice_restart', delay: 1000 });
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        expect(first.offers.pop()).toEqual({ iceRestart: true });
+
+        first.setConnectionState('failed');
+        expect(states.pop()).toMatchObject({ attempt: 2, method: 'ice_restart', delay: 2000 });
+        jest.advanceTimersByTime(2000);
+        await flushPromises();
+
+        first.setConnectionState('failed');
+        expect(states.pop()).toMatchObject({ attempt: 3, method: 'new_connection', delay: 4000 });
+        jest.advanceTimersByTime(4000);
+        await flushPromises();
+
+        expect(first.closed).toBe(true);
+        expect(FakePeerConnection.instances).toHaveLength(2);
+        expect(stream.peerConnection).toBe(FakePeerConnection.instances[1]);
+        expect(sent.pop().data).toMatchObject({ type: 'offer' });
+    });
+
+    test('resets the backoff and resumes the ROS2 streamer once connected again', async () => {
+        const { stream, states } = await startStream();
+        const ros2Streamer = { paused: false, pause() { this.paused = true; }, resume() { this.paused = false; }, sendLinkQuality() {} };
+        stream.ros2Streamer = ros2Streamer;
+
+        stream.peerConnection.setConnectionState('disconnected');
+        expect(ros2Streamer.paused).toBe(true);
+        // 'disconnected' gets a grace period before the first attempt
+        expect(states.pop()).toMatchObject({ state: 'reconnecting', delay: 2000 });
+
+        stream.peerConnection.setConnectionState('connected');
+        expect(states.pop()).toMatchObject({ state: 'connected', attempt: 0 });
+        expect(ros2Streamer.paused).toBe(false);
+
+        jest.advanceTimersByTime(10000);
+        expect(stream.peerConnection.offers).toHaveLength(1);
+    });
+
+    test('gives up after the maximum number of attempts', async () => {
+        const { stream, states } = await startStream();
+        for (let attempt = 0; attempt < 6; attempt++) {
+            stream.peerConnection.setConnectionState('failed');
+            jest.advanceTimersByTime(15000);
+            await flushPromises();
+        }
+        stream.peerConnection.setConnectionState('failed');
+        expect(states.pop()).toMatchObject({ state: 'failed' });
+    });
+
+    test('ignores state changes of a closed stream', async () => {
+        const { stream, states } = await startStream();
+        const peerConnection = stream.peerConnection;
+        DroneStreamManager.closeDroneStream('drone1');
+        expect(states.pop()).toMatchObject({ state: 'closed' });
+
+        jest.advanceTimersByTime(60000);
+        expect(peerConnection.closed).toBe(true);
+        expect(FakePeerConnection.instances).toHaveLength(1);
+    });
+});
+
+const sentDescriptions = () => sent.filter((message) => message.event === 'webrtc_msg' && message.data.type !== 'candidate')
+    .map((message) => message.data);
+
+describe('DroneStream negotiation', () => {
+    test('the operator offers when the stream is started and applies the answer', async () => {
+        const { stream } = await startStream();
+        expect(stream.peerConnection.getTransceivers().map((t) => t.kind)).toEqual(['video', 'audio']);
+        expect(sentDescriptions()).toEqual([{ type: 'offer', sdp: 'operator-offer-1' }]);
+        expect(sent[0]).toMatchObject({ v: 1, event: 'webrtc_msg', socketID: 'drone1' });
+
+        drone.answer('drone-answer-1');
+        drone.candidate('candidate:1');
+        await stream.incomingMessages;
+        expect(stream.peerConnection.signalingState).toBe('stable');
+        expect(stream.peerConnection.candidates).toHaveLength(1);
+    });
+
+    test('answers an offer from a drone that starts the session', async () => {
+        DroneStreamManager.onIncomingOffer = (droneID) => DroneStreamManager.createDroneStream(droneID, 'video');
+
+        drone.offer('drone-offer-1');
+        // The candidate must wait for the offer it belongs to
+        drone.candidate('candidate:1');
+        const stream = DroneStreamManager.getStreamByDroneID('drone1');
+        await stream.incomingMessages;
+
+        expect(stream.peerConnection.getTransceivers()).toHaveLength(0);
+        expect(stream.peerConnection.candidates).toHaveLength(1);
+        expect(sentDescriptions()).toEqual([{ type: 'answer', sdp: 'operator-answer-to-drone-offer-1' }]);
+    });
+
+    test('ignores offers from drones without a stream unless a handler accepts them', async () => {
+        drone.offer('drone-offer-1');
+        expect(DroneStreamManager.ongoingStreams).toEqual({});
+
+        DroneStreamManager.onIncomingOffer = () => null;
+        drone.offer('drone-offer-2');
+        expect(DroneStreamManager.ongoingStreams).toEqual({});
+        expect(sent).toHaveLength(0);
+    });
+
+    test('answers a renegotiation when the drone adds a track mid-session', async () => {
+        document.body.innerHTML = '<video id="video"></video>';
+        const { stream } = await startStream();
+        drone.answer('drone-answer-1');
+        await stream.incomingMessages;
+
+        const gimbal = { id: 'gimbal' };
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [gimbal] });
+        expect(stream.streamObj.srcObject).toBe(gimbal);
+
+        drone.offer('drone-offer-thermal');
+        await stream.incomingMessages;
+        const thermal = { id: 'thermal' };
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [thermal] });
+
+        expect(sentDescriptions().pop()).toEqual({ type: 'answer', sdp: 'operator-answer-to-drone-offer-thermal' });
+        expect(stream.peerConnection.signalingState).toBe('stable');
+        expect(stream.streamObj.srcObject).toBe(thermal);
+    });
+
+    test('the polite operator rolls back its own offer when the offers collide', async () => {
+        const { stream } = await startStream();
+        expect(stream.peerConnection.signalingState).toBe('have-local-offer');
+
+        drone.offer('drone-offer-1');
+        await stream.incomingMessages;
+
+        expect(sentDescriptions()).toEqual([
+            { type: 'offer', sdp: 'operator-offer-1' },
+            { type: 'answer', sdp: 'operator-answer-to-drone-offer-1' },
+        ]);
+        expect(stream.peerConnection.signalingState).toBe('stable');
+    });
+
+    test('an impolite operator ignores the colliding offer and its candidates', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', 'video', { polite: false });
+        stream.startDroneStream();
+        await flushPromises();
+
+        drone.offer('drone-offer-1');
+        drone.candidate('candidate:1');
+        await stream.incomingMessages;
+        expect(stream.ignoreOffer).toBe(true);
+        expect(stream.peerConnection.signalingState).toBe('have-local-offer');
+
+        // The drone, being polite, answers our offer instead
+        drone.answer('drone-answer-1');
+        await stream.incomingMessages;
+        expect(stream.peerConnection.signalingState).toBe('stable');
+        expect(sentDescriptions()).toEqual([{ type: 'offer', sdp: 'operator-offer-1' }]);
+    });
+
+    test('drops its offer when the drone offer is applied while creating it', async () => {
+        const { stream } = await startStream();
+        drone.answer('drone-answer-1');
+        await stream.incomingMessages;
+
+        let resolveOffer;
+        stream.peerConnection.createOffer = () => new Promise((resolve) => { resolveOffer = resolve; });
+        const negotiation = stream.negotiate();
+        drone.offer('drone-offer-2');
+        await stream.incomingMessages;
+        resolveOffer({ type: 'offer', sdp: 'operator-offer-2' });
+        await negotiation;
+
+        expect(sentDescriptions().map((description) => description.sdp)).toEqual([
+            'operator-offer-1',
+            'operator-answer-to-drone-offer-2',
+        ]);
+    });
+});
+
+describe('DroneStream data channels', () => {
+    const { ROS2DataBridge } = jest.requireMock('./ROS2DataBridge');
+
+    beforeEach(() => {
+        ROS2DataBridge.instances = [];
+    });
+
+    test('are negotiated together with the media in the first offer', async () => {
+        const { stream } = await startStream();
+        const channels = stream.peerConnection.dataChannels;
+        expect(channels.map((channel) => channel.label)).toEqual(['commands', 'telemetry']);
+        expect(channels[0].options).toMatchObject({ negotiated: true, id: 0, ordered: true });
+        expect(channels[1].options).toMatchObject({ negotiated: true, id: 1, ordered: false, maxRetransmits: 0 });
+        expect(sentDescriptions()).toHaveLength(1);
+    });
+
+    test('are created when answering a drone that starts the session', async () => {
+        DroneStreamManager.onIncomingOffer = (droneID) => DroneStreamManager.createDroneStream(droneID, 'video');
+        drone.offer('drone-offer-1');
+        const stream = DroneStreamManager.getStreamByDroneID('drone1');
+        await stream.incomingMessages;
+        await flushPromises();
+
+        expect(stream.peerConnection.dataChannels).toHaveLength(2);
+        expect(sentDescriptions()).toEqual([{ type: 'answer', sdp: 'operator-answer-to-drone-offer-1' }]);
+    });
+
+    test('send typed messages in the configured encoding once open', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', 'video', { dataEncoding: 'cbor' });
+        stream.startDroneStream();
+        await flushPromises();
+
+        expect(stream.sendData('commands', 'command.takeoff', { altitude: 10 })).toBe(false);
+        expect(() => stream.sendData('video', 'command.takeoff')).toThrow(/Unknown data channel/);
+
+        const commands = stream.dataChannels.commands;
+        commands.open();
+        expect(stream.sendData('commands', 'command.takeoff', { altitude: 10 })).toBe(true);
+        expect(ArrayBuffer.isView(commands.sent[0])).toBe(true);
+        expect(decodeMessage(commands.sent[0])).toMatchObject({ type: 'command.takeoff', data: { altitude: 10 } });
+    });
+
+    test('bridge drone messages to ROS2 and ROS2 messages to the drone', async () => {
+        const { stream } = await startStream();
+        const received = [];
+        stream.onDataMessage((channel, message) => received.push([channel, message.type]));
+
+        const { commands, telemetry } = stream.dataChannels;
+        commands.open();
+        await flushPromises();
+        expect(ROS2DataBridge.instances).toHaveLength(1);
+        const bridge = ROS2DataBridge.instances[0];
+        expect(bridge.droneID).toBe('drone1');
+
+        const battery = { type: 'telemetry.battery', data: { voltage: 15.2 }, ts: 1 };
+        telemetry.onmessage({ data: encodeMessage(battery) });
+        expect(received).toEqual([['telemetry', 'telemetry.battery']]);
+        expect(bridge.forwarded).toEqual([['telemetry', battery]]);
+
+        bridge.listener('commands', { type: 'command', data: 'land' });
+        expect(JSON.parse(commands.sent[0])).toMatchObject({ type: 'command', data: 'land' });
+
+        DroneStreamManager.closeDroneStream('drone1');
+        expect(bridge.disconnected).toBe(true);
+    });
+
+    test('bridge the data channels under the ROS2 namespace of the stream', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', 'video', { ros2Namespace: 'scout' });
+        stream.startDroneStream();
+        await flushPromises();
+        stream.dataChannels.commands.open();
+        await flushPromises();
+        expect(ROS2DataBridge.instances.map((bridge) => bridge.droneID)).toEqual(['scout']);
+    });
+});
+
+describe('DroneStreamManager with several drones', () => {
+    const { ROS2ImageStreamer } = jest.requireMock('./ROS2ImageStreamer');
+
+    beforeEach(() => {
+        ROS2ImageStreamer.instances = [];
+    });
+
+    test('routes signaling messages to the stream of the drone that sent them', async () => {
+        const first = DroneStreamManager.createDroneStream('drone1');
+        const second = DroneStreamManager.createDroneStream('drone2');
+        first.startDroneStream();
+        second.startDroneStream();
+        await flushPromises();
+
+        new ScriptedDrone(socket, 'drone2').answer('drone2-answer');
+        await second.incomingMessages;
+        expect(second.peerConnection.remoteDescription.sdp).toBe('drone2-answer');
+        expect(first.peerConnection.remoteDescription).toBeNull();
+
+        drone.answer('drone1-answer');
+        await first.incomingMessages;
+        expect(first.peerConnection.remoteDescription.sdp).toBe('drone1-answer');
+        expect(sent.map((message) => message.socketID)).toEqual(['drone1', 'drone2']);
+    });
+
+    test('does not create a second stream for the same drone', () => {
+        const stream = DroneStreamManager.createDroneStream('drone1');
+        expect(DroneStreamManager.createDroneStream('drone1')).toBe(stream);
+        expect(FakePeerConnection.instances).toHaveLength(0);
+    });
+
+    test('shows media received before the video element was attached', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1');
+        stream.startDroneStream();
+        await flushPromises();
+        const media = { id: 'gimbal' };
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [media] });
+        jest.advanceTimersByTime(2000);
+        expect(ROS2ImageStreamer.instances).toHaveLength(0);
+
+        const video = document.createElement('video');
+        stream.attachVideo(video);
+        expect(video.srcObject).toBe(media);
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        expect(ROS2ImageStreamer.instances).toHaveLength(1);
+        expect(ROS2ImageStreamer.instances[0].videoElement).toBe(video);
+    });
+
+    test('publishes each stream to ROS2 only while it is enabled', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', undefined, { ros2Enabled: false, ros2FrameRate: 5 });
+        stream.attachVideo(document.createElement('video'));
+        stream.startDroneStream();
+        await flushPromises();
+        const media = { id: 'gimbal' };
+        // Audio and video of one stream must not start two streamers
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [media] });
+        stream.peerConnection.ontrack({ track: { kind: 'audio' }, streams: [media] });
+        jest.advanceTimersByTime(1000);
+        expect(ROS2ImageStreamer.instances).toHaveLength(0);
+
+        stream.setROS2Enabled(true);
+        stream.setROS2Enabled(true);
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        expect(ROS2ImageStreamer.instances).toHaveLength(1);
+        const ros2Streamer = ROS2ImageStreamer.instances[0];
+        expect(ros2Streamer.frameRate).toBe(5);
+
+        stream.setROS2Enabled(false);
+        expect(ros2Streamer.disconnected).toBe(true);
+        expect(stream.ros2Streamer).toBeNull();
+    });
+
+    test('publishes each drone under its own namespace', async () => {
+        const named = DroneStreamManager.createDroneStream('drone1', undefined, { ros2Namespace: 'scout' });
+        const unnamed = DroneStreamManager.createDroneStream('drone2');
+        for (const stream of [named, unnamed]) {
+            stream.attachVideo(document.createElement('video'));
+            stream.startDroneStream();
+            await flushPromises();
+            stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [{ id: 'gimbal' }] });
+        }
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        expect(ROS2ImageStreamer.instances.map(({ namespace }) => namespace)).toEqual(['scout', 'drone2']);
+    });
+
+    test('hands the adaptive quality settings to the streamer, also one started later', async () => {
+        const settings = { frameRate: { min: 2, max: 10 } };
+        const stream = DroneStreamManager.createDroneStream('drone1', undefined, { ros2Adaptive: settings });
+        stream.attachVideo(document.createElement('video'));
+        stream.startDroneStream();
+        await flushPromises();
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [{ id: 'gimbal' }] });
+        jest.advanceTimersByTime(1000);
+        await flushPromises();
+        const ros2Streamer = ROS2ImageStreamer.instances[0];
+        expect(ros2Streamer.adaptive).toBe(settings);
+
+        stream.setROS2Adaptive(null);
+        expect(ros2Streamer.adaptive).toBeNull();
+    });
+});
+
+test('DroneStream samples the link quality once connected and forwards it to the ROS2 publisher', async () => {
+    const { ROS2ImageStreamer } = jest.requireMock('./ROS2ImageStreamer');
+    const { stream } = await startStream();
+    const ros2Streamer = new ROS2ImageStreamer(null);
+    stream.ros2Streamer = ros2Streamer;
+    const samples = [];
+    stream.onLinkQuality((quality) => samples.push(quality));
+    stream.peerConnection.stats.set('video', {
+        type: 'inbound-rtp', kind: 'video', timestamp: 1000, bytesReceived: 1000, framesPerSecond: 30,
+    });
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(samples).toHaveLength(0);
+
+    stream.peerConnection.setConnectionState('connected');
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(samples).toHaveLength(1);
+    expect(stream.getLinkQuality()).toMatchObject({ framesPerSecond: 30 });
+    expect(ros2Streamer.linkQuality).toEqual(['drone1', samples[0]]);
+
+    DroneStreamManager.closeDroneStream('drone1');
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(samples).toHaveLength(1);
+});
+
+describe('DroneStream media preferences', () => {
+    const videoCodecs = (stream) => stream.peerConnection.getTransceivers()
+        .find((transceiver) => transceiver.kind === 'video').codecPreferences.map((codec) => codec.mimeType);
+
+    test('prefer codecs on the video transceiver of the first offer', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', undefined, { preferredCodecs: ['H264'] });
+        stream.startDroneStream();
+        await flushPromises();
+
+        expect(videoCodecs(stream)).toEqual(['video/H264', 'video/VP8', 'video/VP9', 'video/AV1']);
+        const audio = stream.peerConnection.getTransceivers().find((transceiver) => transceiver.kind === 'audio');
+        expect(audio.codecPreferences).toBeUndefined();
+        expect(sentDescriptions()).toHaveLength(1);
+    });
+
+    test('renegotiate when the preference changes during a session', async () => {
+        const { stream } = await startStream();
+        drone.answer('drone-answer-1');
+        await stream.incomingMessages;
+
+        stream.setPreferredCodecs(['AV1', 'VP9']);
+        await flushPromises();
+        expect(videoCodecs(stream).slice(0, 2)).toEqual(['video/AV1', 'video/VP9']);
+        expect(sentDescriptions().pop()).toEqual({ type: 'offer', sdp: 'operator-offer-2' });
+
+        expect(() => stream.setPreferredCodecs(['H265'])).toThrow(/Unknown video codecs H265/);
+    });
+
+    test('ask the drone for a resolution and bitrate over signaling', () => {
+        const stream = DroneStreamManager.createDroneStream('drone1');
+        stream.requestMedia({ maxWidth: 1280, maxHeight: 720, maxBitrateKbps: 2500 });
+        stream.requestMedia(null);
+
+        expect(sent.map((message) => message.data)).toEqual([
+            { type: 'media_request', maxWidth: 1280, maxHeight: 720, maxBitrateKbps: 2500, maxFramerate: null },
+            { type: 'media_request', maxWidth: null, maxHeight: null, maxBitrateKbps: null, maxFramerate: null },
+        ]);
+        expect(sent[0]).toMatchObject({ event: 'webrtc_msg', socketID: 'drone1' });
+    });
+});
+
+describe('DroneStream audio', () => {
+    const { ROS2AudioStreamer } = jest.requireMock('./ROS2AudioStreamer');
+
+    beforeEach(() => {
+        ROS2AudioStreamer.instances = [];
+    });
+
+    test('is published to ROS2 only while enabled', async () => {
+        const { stream } = await startStream();
+        const media = { id: 'gimbal' };
+        const microphone = { kind: 'audio', id: 'microphone' };
+        stream.peerConnection.ontrack({ track: { kind: 'video' }, streams: [media] });
+        stream.peerConnection.ontrack({ track: microphone, streams: [media] });
+        await flushPromises();
+        expect(ROS2AudioStreamer.instances).toHaveLength(0);
+
+        stream.setROS2AudioEnabled(true);
+        await flushPromises();
+        expect(ROS2AudioStreamer.instances).toHaveLength(1);
+        const ros2AudioStreamer = ROS2AudioStreamer.instances[0];
+        expect(ros2AudioStreamer.track).toBe(microphone);
+        expect(ros2AudioStreamer.droneID).toBe('drone1');
+        // Published next to the images of the drone
+        expect(ros2AudioStreamer.namespace).toBe('drone1');
+        expect(ros2AudioStreamer.isStreaming).toBe(true);
+
+        stream.setROS2AudioEnabled(false);
+        expect(ros2AudioStreamer.disconnected).toBe(true);
+        expect(stream.ros2AudioStreamer).toBeNull();
+    });
+
+    test('follows a replaced track and pauses while reconnecting', async () => {
+        const stream = DroneStreamManager.createDroneStream('drone1', 'video', { ros2AudioEnabled: true });
+        stream.startDroneStream();
+        await flushPromises();
+        const media = { id: 'gimbal' };
+        stream.peerConnection.ontrack({ track: { kind: 'audio', id: 'first' }, streams: [media] });
+        await flushPromises();
+        stream.peerConnection.ontrack({ track: { kind: 'audio', id: 'second' }, streams: [media] });
+        await flushPromises();
+        expect(ROS2AudioStreamer.instances.map((streamer) => streamer.track.id)).toEqual(['first', 'second']);
+        expect(ROS2AudioStreamer.instances[0].disconnected).toBe(true);
+        const ros2AudioStreamer = ROS2AudioStreamer.instances[1];
+
+        stream.peerConnection.setConnectionState('connected');
+        stream.peerConnection.setConnectionState('failed');
+        expect(ros2AudioStreamer.isPaused).toBe(true);
+        stream.peerConnection.setConnectionState('connected');
+        expect(ros2AudioStreamer.isPaused).toBe(false);
+
+        DroneStreamManager.closeDroneStream('drone1');
+        expect(ros2AudioStreamer.disconnected).toBe(true);
+    });
+});
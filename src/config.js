@@ -0,0 +1,16 @@
+const defaults = {
+    signalingUrl: 'ws://localhost:8090',
+    publisherUrl: 'ws://localhost:8092',
+    bridgeUrl: 'ws://localhost:8093',
+    recordingsUrl: 'http://localhost:8091/recordings',
+    topic: '/camera/image_raw/compressed',
+    audioTopic: '/audio',
+    frameId: 'camera_frame'
+};
+
+/**
+ * Endpoints and ROS2 settings of the app, read from public/config.js at runtime
+ */
+const config = { ...defaults, ...(window.APP_CONFIG || {}) };
+
+export default config;